@@ -0,0 +1,423 @@
+// achievements.js
+//
+// Achievements and daily quests. The engine reports what the player does
+// (answers, finished words, purchases, bear attacks, cleared zones, days
+// played) and this module keeps the counters and streaks in GameState,
+// unlocks achievements when their target is reached, and hands out a few
+// daily quests measured from the counters at the start of the day. Rewards
+// are Root Harvest, Guardian Gems, or cosmetics that are only ever earned
+// here (items marked exclusive in the shop catalogue). A purchase only counts
+// once its refund window has closed, so buying and returning earns nothing.
+
+import { GAME_EVENTS } from './event_bus.js';
+import { LEDGER_SETTINGS, LEDGER_SOURCES, recordTransaction } from './currency_ledger.js';
+import { getItemSlot } from './item_effects.js';
+import { createSeededRandom, shuffle } from './seeded_random.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Tuning for achievements and quests. */
+export const ACHIEVEMENT_SETTINGS = Object.freeze({
+    questsPerDay: 3, // Drawn from DAILY_QUESTS each UTC day, the same for every player
+});
+
+/**
+ * What reaching an achievement or finishing a quest gives. Any combination.
+ * @typedef {object} AchievementReward
+ * @property {number} [harvest] - Root Harvest.
+ * @property {number} [gems] - Guardian Gems.
+ * @property {string} [itemId] - A wearable item added to the inventory (usually an exclusive one).
+ */
+
+/**
+ * A goal measured on one statistic: a lifetime counter (see AchievementState.counters)
+ * or a current streak ('answerStreak', 'perfectStreak', 'loginStreak').
+ * Daily quests only use counters, counted from the start of the day.
+ * @typedef {object} Goal
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} stat
+ * @property {number} target
+ * @property {AchievementReward} reward
+ */
+
+/** @type {Goal[]} Unlocked once, for good. */
+export const ACHIEVEMENTS = Object.freeze([
+    Object.freeze({ id: 'firstPurchase', title: 'Window Shopper', description: 'Buy your first item.', stat: 'purchases', target: 1, reward: Object.freeze({ harvest: 5 }) }),
+    Object.freeze({ id: 'steadyHand', title: 'Steady Hand', description: 'Answer 20 questions in a row without a mistake.', stat: 'answerStreak', target: 20, reward: Object.freeze({ gems: 1 }) }),
+    Object.freeze({ id: 'perfectFive', title: 'Green Thumb', description: 'Play 5 perfect words in a row.', stat: 'perfectStreak', target: 5, reward: Object.freeze({ gems: 2 }) }),
+    Object.freeze({ id: 'carefulGardener', title: 'Careful Gardener', description: 'Review 10 words.', stat: 'reviewWords', target: 10, reward: Object.freeze({ harvest: 25 }) }),
+    Object.freeze({ id: 'bearFreeZone', title: 'Bear Necessities', description: 'Clear a zone without a single bear attack.', stat: 'bearFreeZones', target: 1, reward: Object.freeze({ itemId: 'laurelWreath' }) }),
+    Object.freeze({ id: 'rootCollector', title: 'Root Collector', description: 'Find 50 roots.', stat: 'correctRoots', target: 50, reward: Object.freeze({ gems: 3 }) }),
+    Object.freeze({ id: 'weekOfWeeding', title: 'A Week of Weeding', description: 'Tend your garden 7 days in a row.', stat: 'loginStreak', target: 7, reward: Object.freeze({ itemId: 'silverTrowel' }) }),
+]);
+
+/** @type {Goal[]} The pool daily quests are drawn from. */
+export const DAILY_QUESTS = Object.freeze([
+    Object.freeze({ id: 'rootHunter', title: 'Root Hunter', description: 'Find 10 roots today.', stat: 'correctRoots', target: 10, reward: Object.freeze({ harvest: 10 }) }),
+    Object.freeze({ id: 'posPro', title: 'Fertilizer Pro', description: 'Name 10 parts of speech today.', stat: 'correctPos', target: 10, reward: Object.freeze({ harvest: 10 }) }),
+    Object.freeze({ id: 'perfectThree', title: 'Three Perfect Words', description: 'Play 3 perfect words today.', stat: 'perfectWords', target: 3, reward: Object.freeze({ gems: 1 }) }),
+    Object.freeze({ id: 'reviewer', title: 'Weed Patrol', description: 'Review 3 words today.', stat: 'reviewWords', target: 3, reward: Object.freeze({ harvest: 15 }) }),
+    Object.freeze({ id: 'shopper', title: 'Market Day', description: 'Buy something from the shop today.', stat: 'purchases', target: 1, reward: Object.freeze({ harvest: 5 }) }),
+    Object.freeze({ id: 'wordsTwenty', title: 'Busy Bee', description: 'Play 20 words today.', stat: 'wordsPlayed', target: 20, reward: Object.freeze({ gems: 1 }) }),
+]);
+
+/**
+ * The achievements part of GameState.
+ * @typedef {object} AchievementState
+ * @property {Object<string, number>} counters - Lifetime totals: correctRoots, correctPos, wordsPlayed,
+ *   perfectWords, reviewWords, purchases, bearFreeZones.
+ * @property {{answers: number, perfectWords: number, days: number, lastDay: number | null}} streaks - Correct answers
+ *   and perfect words in a row, and days played in a row up to lastDay (days since epoch, UTC).
+ * @property {number} zoneBearArrivals - Bear attacks since the current zone was entered or last cleared.
+ * @property {Object<string, number>} unlocked - When each achievement was unlocked (ms since epoch), by ID.
+ * @property {{entryId: number, at: number}[]} pendingPurchases - Purchases (by ledger entry) not counted yet
+ *   because they can still be refunded.
+ * @property {{day: number | null, questIds: string[], baseline: Object<string, number>, completed: Object<string, number>}} quests
+ *   Today's quests: the day they were drawn for, the counters at the start of it, and when each was completed.
+ */
+
+/**
+ * An achievement or quest as seen by the renderer.
+ * @typedef {object} GoalView
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {number} progress - Capped at the target; the target once completed.
+ * @property {number} target
+ * @property {AchievementReward} reward
+ * @property {boolean} completed
+ * @property {number | null} completedAt - ms since epoch.
+ */
+
+/** @returns {AchievementState} A fresh state with nothing counted yet. */
+export const createAchievementState = () => ({
+    counters: {
+        correctRoots: 0, correctPos: 0, wordsPlayed: 0, perfectWords: 0, reviewWords: 0, purchases: 0, bearFreeZones: 0,
+    },
+    streaks: { answers: 0, perfectWords: 0, days: 0, lastDay: null },
+    zoneBearArrivals: 0,
+    unlocked: {},
+    pendingPurchases: [],
+    quests: { day: null, questIds: [], baseline: {}, completed: {} },
+});
+
+
+// --- 2. HELPERS ---
+
+/**
+ * @param {AchievementState} achievements
+ * @param {string} stat - A counter or streak name (see Goal).
+ * @returns {number}
+ */
+export function getStatValue(achievements, stat) {
+    switch (stat) {
+        case 'answerStreak':
+            return achievements.streaks.answers;
+        case 'perfectStreak':
+            return achievements.streaks.perfectWords;
+        case 'loginStreak':
+            return achievements.streaks.days;
+        default:
+            return achievements.counters[stat] || 0;
+    }
+}
+
+/**
+ * The quests drawn for a day. The same day always gives the same quests.
+ * @param {number} day - Days since epoch (UTC).
+ * @param {object} [settings=ACHIEVEMENT_SETTINGS]
+ * @returns {string[]} Quest IDs.
+ */
+export function drawDailyQuestIds(day, settings = ACHIEVEMENT_SETTINGS) {
+    return shuffle(DAILY_QUESTS, createSeededRandom(`quests:${day}`))
+        .slice(0, settings.questsPerDay)
+        .map(quest => quest.id);
+}
+
+/**
+ * @param {AchievementReward} reward
+ * @param {import('./shop_items.js').ShopItem[]} shopItems - To name the item.
+ * @returns {string} e.g. '10 Root Harvest' or 'Laurel Wreath'.
+ */
+export function describeReward(reward, shopItems) {
+    return [
+        reward.harvest ? `${reward.harvest} Root Harvest` : null,
+        reward.gems ? `${reward.gems} Guardian Gem${reward.gems === 1 ? '' : 's'}` : null,
+        reward.itemId ? (shopItems.find(item => item.id === reward.itemId)?.name ?? reward.itemId) : null,
+    ].filter(Boolean).join(' + ');
+}
+
+
+// --- 3. ACHIEVEMENTS & QUESTS ---
+
+/**
+ * Creates the achievement tracker for one game. The engine calls the record*
+ * hooks from its own actions; every hook checks for newly reached goals and
+ * pays their rewards straight away.
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {{now: () => number}} options.clock
+ * @param {(type: string, payload?: object) => void} options.emit - Emits a game event.
+ * @param {import('./shop_items.js').ShopItem[]} options.shopItems - The catalogue reward items come from.
+ * @param {object} [options.settings=ACHIEVEMENT_SETTINGS]
+ * @returns {object} { recordSessionStart, recordAnswer, recordWord, recordPurchase, recordRefund, recordBearArrival,
+ *   recordZoneEntered, recordZoneCompleted, getAchievements, getDailyQuests }
+ */
+export function createAchievements({ getState, clock, emit, shopItems, settings = ACHIEVEMENT_SETTINGS }) {
+    const today = () => Math.floor(clock.now() / DAY);
+
+    /**
+     * Pays a reward. Items missing from the catalogue (custom content) or already owned are skipped.
+     * @param {AchievementReward} reward
+     * @param {string} source - LEDGER_SOURCES.ACHIEVEMENT or LEDGER_SOURCES.QUEST.
+     */
+    function grant(reward, source) {
+        const state = getState();
+        for (const [currency, amount] of [['harvest', reward.harvest], ['gem', reward.gems]]) {
+            if (amount > 0) {
+                recordTransaction(state, { at: clock.now(), source, currency, amount, levelId: null });
+            }
+        }
+        const item = shopItems.find(i => i.id === reward.itemId);
+        if (item && getItemSlot(item) && !state.inventory.ownedItems.includes(item.id)) {
+            state.inventory.ownedItems.push(item.id);
+        }
+    }
+
+    /**
+     * Draws new quests when the day has changed since they were last drawn.
+     * @param {AchievementState} achievements
+     */
+    function syncQuests(achievements) {
+        const day = today();
+        if (achievements.quests.day !== day) {
+            achievements.quests = {
+                day,
+                questIds: drawDailyQuestIds(day, settings),
+                baseline: { ...achievements.counters },
+                completed: {},
+            };
+        }
+    }
+
+    /**
+     * Counts the pending purchases whose refund window has closed.
+     * @param {AchievementState} achievements
+     * @returns {boolean} True if any were counted.
+     */
+    function settlePurchases(achievements) {
+        const now = clock.now();
+        const settled = achievements.pendingPurchases.filter(p => now - p.at > LEDGER_SETTINGS.refundWindowMs);
+        if (settled.length === 0) return false;
+        achievements.pendingPurchases = achievements.pendingPurchases.filter(p => !settled.includes(p));
+        achievements.counters.purchases += settled.length;
+        return true;
+    }
+
+    /**
+     * Starts a hook: counts settled purchases, then rolls the quests over to today before anything is counted.
+     * @returns {AchievementState}
+     */
+    function begin() {
+        const { achievements } = getState();
+        if (settlePurchases(achievements)) {
+            checkGoals(); // Before the quests roll over, so a purchase counts for the day it was made
+        }
+        syncQuests(achievements);
+        return achievements;
+    }
+
+    /** Unlocks reached achievements and completes reached quests, paying their rewards. */
+    function checkGoals() {
+        const { achievements } = getState();
+        for (const achievement of ACHIEVEMENTS) {
+            if (!(achievement.id in achievements.unlocked) && getStatValue(achievements, achievement.stat) >= achievement.target) {
+                achievements.unlocked[achievement.id] = clock.now();
+                grant(achievement.reward, LEDGER_SOURCES.ACHIEVEMENT);
+                emit(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, { achievementId: achievement.id, title: achievement.title, reward: achievement.reward });
+            }
+        }
+        const { quests } = achievements;
+        for (const quest of DAILY_QUESTS.filter(q => quests.questIds.includes(q.id))) {
+            const progress = getStatValue(achievements, quest.stat) - (quests.baseline[quest.stat] || 0);
+            if (!(quest.id in quests.completed) && progress >= quest.target) {
+                quests.completed[quest.id] = clock.now();
+                grant(quest.reward, LEDGER_SOURCES.QUEST);
+                emit(GAME_EVENTS.QUEST_COMPLETED, { questId: quest.id, title: quest.title, reward: quest.reward });
+            }
+        }
+    }
+
+    /**
+     * Counts today towards the login streak: one more day if the last one was yesterday, otherwise a new streak.
+     * @param {AchievementState} achievements
+     * @returns {boolean} True if today had not been counted yet.
+     */
+    function touchDay(achievements) {
+        const day = today();
+        const { streaks } = achievements;
+        if (streaks.lastDay === day) return false;
+        streaks.days = streaks.lastDay === day - 1 ? streaks.days + 1 : 1;
+        streaks.lastDay = day;
+        return true;
+    }
+
+    /**
+     * Call when a game is loaded: the day counts towards the login streak.
+     * @returns {boolean} True if it was the first load of the day (the state changed and should be saved).
+     */
+    function recordSessionStart() {
+        const newDay = touchDay(begin());
+        checkGoals();
+        return newDay;
+    }
+
+    /**
+     * Call after every answer.
+     * @param {string} question - The question type (see QUESTION_TYPES).
+     * @param {boolean} correct
+     */
+    function recordAnswer(question, correct) {
+        const achievements = begin();
+        if (correct) {
+            achievements.streaks.answers++;
+            if (question === 'root') achievements.counters.correctRoots++;
+            if (question === 'pos') achievements.counters.correctPos++;
+        } else {
+            achievements.streaks.answers = 0;
+        }
+        checkGoals();
+    }
+
+    /**
+     * Call once a word is finished.
+     * @param {object} word
+     * @param {boolean} word.wasPerfect
+     * @param {boolean} word.wasReview - Played as a review word (bear review, due review or garden recovery).
+     */
+    function recordWord({ wasPerfect, wasReview }) {
+        const achievements = begin();
+        touchDay(achievements); // A session left open past midnight still counts the new day
+        const { counters, streaks } = achievements;
+        counters.wordsPlayed++;
+        if (wasPerfect) {
+            counters.perfectWords++;
+            streaks.perfectWords++;
+        } else {
+            streaks.perfectWords = 0;
+        }
+        if (wasReview) counters.reviewWords++;
+        checkGoals();
+    }
+
+    /**
+     * Call after a successful purchase. It is counted once it can no longer be refunded.
+     * @param {import('./currency_ledger.js').LedgerEntry | null} entry - The purchase's ledger entry (null if it was free).
+     */
+    function recordPurchase(entry) {
+        const achievements = begin();
+        if (entry) {
+            achievements.pendingPurchases.push({ entryId: entry.id, at: entry.at });
+            return;
+        }
+        achievements.counters.purchases++; // Nothing to refund
+        checkGoals();
+    }
+
+    /**
+     * Call after a refund: the purchase is never counted.
+     * @param {number} entryId - The ledger entry of the purchase.
+     */
+    function recordRefund(entryId) {
+        const achievements = begin();
+        achievements.pendingPurchases = achievements.pendingPurchases.filter(p => p.entryId !== entryId);
+    }
+
+    /** Call when the Grizzly Bear arrives. */
+    function recordBearArrival() {
+        begin().zoneBearArrivals++;
+    }
+
+    /** Call when the player enters a zone (moving on or travelling). */
+    function recordZoneEntered() {
+        begin().zoneBearArrivals = 0;
+    }
+
+    /** Call when the last word of a zone is finished. */
+    function recordZoneCompleted() {
+        const achievements = begin();
+        if (achievements.zoneBearArrivals === 0) {
+            achievements.counters.bearFreeZones++;
+        }
+        achievements.zoneBearArrivals = 0;
+        checkGoals();
+    }
+
+    /**
+     * @param {Goal} goal
+     * @param {number} value - Progress so far.
+     * @param {number | undefined} completedAt
+     * @returns {GoalView}
+     */
+    const toView = (goal, value, completedAt) => ({
+        id: goal.id,
+        title: goal.title,
+        description: goal.description,
+        progress: completedAt !== undefined ? goal.target : Math.min(goal.target, Math.max(0, value)), // A streak may have ended since
+        target: goal.target,
+        reward: goal.reward,
+        completed: completedAt !== undefined,
+        completedAt: completedAt ?? null,
+    });
+
+    /** @returns {{achievements: GoalView[], streaks: {answers: number, perfectWords: number, days: number}}} */
+    function getAchievements() {
+        const { achievements } = getState();
+        return {
+            achievements: ACHIEVEMENTS.map(achievement => toView(
+                achievement,
+                getStatValue(achievements, achievement.stat),
+                achievements.unlocked[achievement.id],
+            )),
+            streaks: { answers: achievements.streaks.answers, perfectWords: achievements.streaks.perfectWords, days: achievements.streaks.days },
+        };
+    }
+
+    /**
+     * Today's quests. Does not change the state: if the day has turned since the
+     * last hook, the new day's quests are shown with no progress yet.
+     * @returns {{day: number, quests: GoalView[]}}
+     */
+    function getDailyQuests() {
+        const { achievements } = getState();
+        const day = today();
+        const { quests } = achievements;
+        const current = quests.day === day;
+        const questIds = current ? quests.questIds : drawDailyQuestIds(day, settings);
+        return {
+            day,
+            quests: DAILY_QUESTS.filter(quest => questIds.includes(quest.id)).map(quest => toView(
+                quest,
+                current ? getStatValue(achievements, quest.stat) - (quests.baseline[quest.stat] || 0) : 0,
+                current ? quests.completed[quest.id] : undefined,
+            )),
+        };
+    }
+
+    return {
+        recordSessionStart,
+        recordAnswer,
+        recordWord,
+        recordPurchase,
+        recordRefund,
+        recordBearArrival,
+        recordZoneEntered,
+        recordZoneCompleted,
+        getAchievements,
+        getDailyQuests,
+    };
+}
@@ -0,0 +1,204 @@
+// active_effects.js
+//
+// Timed buffs and debuffs (the Grizzly Bear, the Rattler Defense, future
+// boosts). Every effect lasts a number of rounds and/or seconds, follows a
+// stacking rule when applied again, and can run a hook when it ends.
+// One round is one finished word: rounds only tick in tickRound(), which the
+// game engine calls once from advanceLevel().
+
+import { GAME_EVENTS } from './event_bus.js';
+
+// --- 1. EFFECT DEFINITIONS ---
+
+/**
+ * How a new application combines with an effect that is already active.
+ * - 'ignore': the existing effect stays as it is and the new one is rejected.
+ * - 'refresh': the duration resets to the longer of the two.
+ * - 'extend': the new duration is added on top of what is left.
+ * - 'stack': the stack count goes up and the duration refreshes.
+ * @typedef {'ignore'|'refresh'|'extend'|'stack'} StackingRule
+ */
+
+/**
+ * Static description of an effect type.
+ * @typedef {object} EffectDefinition
+ * @property {string} name - Display name.
+ * @property {StackingRule} stacking
+ * @property {number} [maxStacks] - Upper limit for 'stack' effects.
+ */
+
+/** @type {Object<string, EffectDefinition>} */
+export const EFFECT_DEFINITIONS = Object.freeze({
+    // Debuff: halves Root Harvest rewards while the bear is in the garden
+    bear: { name: 'Grizzly Bear', stacking: 'ignore' },
+    // Buff: keeps the bear away
+    repelBear: { name: 'The Rattler Defense', stacking: 'ignore' },
+});
+
+/**
+ * An effect currently applied to the player.
+ * @typedef {object} ActiveEffect
+ * @property {string} effect - Key in EFFECT_DEFINITIONS.
+ * @property {string} source - What applied it (e.g., an item ID like 'rattlerSnake', or 'grizzlyBear').
+ * @property {number | null} remainingRounds - Rounds left, or null if it is not round-limited.
+ * @property {number | null} expiresAt - Expiry time (ms since epoch), or null if it is not time-limited.
+ * @property {number} stacks - How many times it has been stacked (1 for most effects).
+ * @property {number} appliedAt - When it was first applied (ms since epoch).
+ */
+
+/**
+ * Lifecycle hooks the game engine attaches to an effect type.
+ * @typedef {object} EffectHooks
+ * @property {(effect: ActiveEffect) => void} [onApply] - Runs when the effect becomes active.
+ * @property {(effect: ActiveEffect, reason: 'expired'|string) => void} [onExpire] - Runs when it ends for any reason.
+ */
+
+
+// --- 2. EFFECT MANAGER ---
+
+/**
+ * Creates the effect manager for one game. Effects live in GameState.activeEffects.
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {{now: () => number}} options.clock - Time source for second-based durations.
+ * @param {(type: string, payload?: object) => void} options.emit - Emits a game event.
+ * @param {Object<string, EffectHooks>} [options.hooks] - Hooks per effect type.
+ * @param {Object<string, EffectDefinition>} [options.definitions=EFFECT_DEFINITIONS]
+ * @returns {object} Effect operations (addEffect, removeEffect, hasEffect, getEffect, getActiveEffects, tickRound).
+ */
+export function createEffectManager({ getState, clock, emit, hooks = {}, definitions = EFFECT_DEFINITIONS }) {
+    const list = () => getState().activeEffects;
+
+    /**
+     * Removes an effect and runs its expiry hook.
+     * @param {ActiveEffect} active
+     * @param {string} reason
+     */
+    function end(active, reason) {
+        const state = getState();
+        state.activeEffects = state.activeEffects.filter(e => e !== active);
+        emit(GAME_EVENTS.EFFECT_ENDED, { effect: active.effect, source: active.source, reason });
+        hooks[active.effect]?.onExpire?.(active, reason);
+    }
+
+    /**
+     * Ends every effect whose time has run out.
+     */
+    function purgeExpired() {
+        const now = clock.now();
+        list()
+            .filter(active => active.expiresAt !== null && active.expiresAt <= now)
+            .forEach(active => end(active, 'expired'));
+    }
+
+    /**
+     * @param {string} effect
+     * @returns {ActiveEffect | undefined} The live (mutable) entry.
+     */
+    function find(effect) {
+        purgeExpired();
+        return list().find(active => active.effect === effect);
+    }
+
+    /**
+     * Applies an effect, following its stacking rule if it is already active.
+     * @param {string} effect - Key in the effect definitions.
+     * @param {object} options
+     * @param {string} options.source - What is applying the effect.
+     * @param {number} [options.rounds] - Duration in rounds (finished words).
+     * @param {number} [options.seconds] - Duration in seconds.
+     * @returns {boolean} False if the effect was rejected (already active with 'ignore').
+     */
+    function addEffect(effect, { source, rounds = null, seconds = null }) {
+        const definition = definitions[effect];
+        if (!definition) {
+            throw new Error(`Unknown effect: ${effect}`);
+        }
+        if (rounds === null && seconds === null) {
+            throw new Error(`Effect ${effect} needs a duration in rounds or seconds.`);
+        }
+
+        const now = clock.now();
+        const expiresAt = seconds === null ? null : now + seconds * 1000;
+        const existing = find(effect);
+
+        if (!existing) {
+            const active = { effect, source, remainingRounds: rounds, expiresAt, stacks: 1, appliedAt: now };
+            list().push(active);
+            emit(GAME_EVENTS.EFFECT_APPLIED, { effect, source, remainingRounds: rounds, expiresAt });
+            hooks[effect]?.onApply?.(active);
+            return true;
+        }
+
+        const longer = (a, b) => (a === null || b === null ? (a ?? b) : Math.max(a, b));
+        switch (definition.stacking) {
+            case 'ignore':
+                return false;
+            case 'extend':
+                existing.remainingRounds = existing.remainingRounds === null || rounds === null
+                    ? longer(existing.remainingRounds, rounds)
+                    : existing.remainingRounds + rounds;
+                existing.expiresAt = existing.expiresAt === null || expiresAt === null
+                    ? longer(existing.expiresAt, expiresAt)
+                    : existing.expiresAt + seconds * 1000;
+                break;
+            case 'stack':
+                existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks ?? Infinity);
+                existing.remainingRounds = longer(existing.remainingRounds, rounds);
+                existing.expiresAt = longer(existing.expiresAt, expiresAt);
+                break;
+            default: // 'refresh'
+                existing.remainingRounds = longer(existing.remainingRounds, rounds);
+                existing.expiresAt = longer(existing.expiresAt, expiresAt);
+                break;
+        }
+        existing.source = source;
+        return true;
+    }
+
+    /**
+     * Ends an effect early (e.g., the Rattler scaring the bear away).
+     * @param {string} effect
+     * @param {string} reason - Passed to the onExpire hook.
+     * @returns {boolean} True if the effect was active.
+     */
+    function removeEffect(effect, reason) {
+        const active = find(effect);
+        if (!active) return false;
+        end(active, reason);
+        return true;
+    }
+
+    /**
+     * Counts down round-based effects by one finished word and ends those that run out.
+     * The game engine calls this in exactly one place: advanceLevel().
+     */
+    function tickRound() {
+        purgeExpired();
+        for (const active of [...list()]) {
+            if (active.remainingRounds === null) continue;
+            active.remainingRounds--;
+            if (active.remainingRounds <= 0) {
+                end(active, 'expired');
+            }
+        }
+    }
+
+    return {
+        addEffect,
+        removeEffect,
+        tickRound,
+        /** @returns {boolean} True if the effect is currently active. */
+        hasEffect: (effect) => Boolean(find(effect)),
+        /** @returns {ActiveEffect | null} A copy of the active effect, if any. */
+        getEffect: (effect) => {
+            const active = find(effect);
+            return active ? { ...active } : null;
+        },
+        /** @returns {ActiveEffect[]} Copies of every active effect. */
+        getActiveEffects: () => {
+            purgeExpired();
+            return list().map(active => ({ ...active }));
+        },
+    };
+}
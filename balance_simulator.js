@@ -0,0 +1,240 @@
+// balance_simulator.js
+//
+// Headless balance simulator. Plays thousands of seeded games with virtual
+// learners through the real engine (submitAnswer and nextWord, so the real
+// applyReward, advanceLevel, maybeTriggerBear and buyItem run) and reports how
+// the economy and progression play out: how long each shop item takes to
+// afford, how often the Grizzly Bear comes, how much time goes to review and
+// how many words each zone takes. Nothing is saved (see createGame's persist
+// option), so a thousand games take a minute or two. Run it before changing a reward or a price:
+//
+//   import { runSimulation, formatSimulationReport } from './balance_simulator.js';
+//   console.log(formatSimulationReport(runSimulation({ games: 500, learner: { root: 0.7, pos: 0.6 } })));
+
+import { createGame } from './game_logic.js';
+import { GAME_EVENTS } from './event_bus.js';
+import { createMemoryStorage } from './save_storage.js';
+import { createSeededRandom } from './seeded_random.js';
+import { ZONES } from './game_data_model.js';
+import { SHOP_ITEMS } from './shop_items.js';
+import { CURRENCY_BALANCE_KEYS } from './currency_ledger.js';
+import { TURN_PHASES } from './turn_engine.js';
+import { getPhaseQuestionType, getQuestionAnswer } from './question_types.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/**
+ * A virtual learner: the chance of getting each question right on any try.
+ * @typedef {object} VirtualLearner
+ * @property {number} root - 0-1, for Root Retrieval.
+ * @property {number} pos - 0-1, for POS Fertilizer.
+ * @property {number} morphology - 0-1, for the meaning, suffix and build questions of zones that ask them.
+ */
+
+/** Defaults for a simulation run. */
+export const SIMULATION_DEFAULTS = Object.freeze({
+    games: 1000,
+    wordsPerGame: 300, // Words each virtual learner plays
+    seed: 'balance', // Same seed, same results
+    secondsPerWord: 30, // Virtual time per word (review due dates and shop rotation follow it)
+    difficulty: 'normal',
+    learner: Object.freeze({ root: 0.85, pos: 0.75, morphology: 0.8 }),
+    shoppingList: Object.freeze([]), // Item IDs each learner buys, in order, as soon as they can
+});
+
+/**
+ * What happened in one simulated game.
+ * @typedef {object} GameRun
+ * @property {number} wordsPlayed
+ * @property {Object<string, number | null>} wordsToAfford - Per item, words until its price in the shop (sales included)
+ *   was first in the balance while it was stocked.
+ * @property {number} bearArrivals
+ * @property {number} reviewWords - Words played as review (after a bear attack or slipped in when due).
+ * @property {Object<string, number>} wordsToCompleteZone - Per zone completed, words played when it was first completed.
+ * @property {{itemId: string, word: number}[]} purchases - Items bought from the shopping list.
+ * @property {{harvest: number, gems: number, gardenHealth: number}} final
+ */
+
+/**
+ * Summary of one measurement over all games.
+ * @typedef {object} Distribution
+ * @property {number} reached - Games where it happened (e.g., the item became affordable).
+ * @property {number | null} min
+ * @property {number | null} p10
+ * @property {number | null} median
+ * @property {number | null} p90
+ * @property {number | null} max
+ * @property {number | null} mean
+ */
+
+/**
+ * @typedef {object} SimulationReport
+ * @property {object} settings - The options used (defaults filled in).
+ * @property {Object<string, Distribution>} wordsToAfford - Per shop item.
+ * @property {Distribution} bearArrivals - Per game.
+ * @property {Distribution} reviewShare - Share (0-1) of each game's words played as review.
+ * @property {Object<string, Distribution>} wordsToCompleteZone - Per zone.
+ */
+
+
+// --- 2. ONE GAME ---
+
+/**
+ * Picks the learner's answer: right with the learner's skill, otherwise a wrong choice not tried yet.
+ * @param {string[]} choices
+ * @param {string} answer
+ * @param {string[]} triedChoices
+ * @param {number} skill
+ * @param {() => number} rng
+ * @returns {string}
+ */
+function pickAnswer(choices, answer, triedChoices, skill, rng) {
+    const wrong = choices.filter(c => c !== answer && !triedChoices.includes(c));
+    if (wrong.length === 0 || rng() < skill) return answer;
+    return wrong[Math.floor(rng() * wrong.length)];
+}
+
+/**
+ * Plays one seeded game from a fresh save.
+ * @param {object} [options] - See SIMULATION_DEFAULTS; content defaults to the built-in zones and shop.
+ * @returns {GameRun}
+ */
+export function simulateGame(options = {}) {
+    const { seed, wordsPerGame, secondsPerWord, difficulty, learner, shoppingList, content } = {
+        ...SIMULATION_DEFAULTS,
+        content: { zones: ZONES, shopItems: SHOP_ITEMS },
+        ...options,
+    };
+    const shopItems = (content.shopItems || SHOP_ITEMS).filter(item => !item.exclusive); // Exclusive items are never sold
+    let now = Date.UTC(2026, 0, 1);
+    const learnerRng = createSeededRandom(`${seed}:learner`);
+    const game = createGame({
+        storage: createMemoryStorage(),
+        content,
+        seed: `${seed}:game`,
+        clock: { now: () => now },
+        difficulty,
+        persist: false, // A simulated game is thrown away
+        recordJournal: false, // Nobody replays a simulated game
+    });
+    const state = game.getGameState; // Re-read each time: loading replaces the state object
+
+    const run = {
+        wordsPlayed: 0,
+        wordsToAfford: Object.fromEntries(shopItems.map(item => [item.id, null])),
+        bearArrivals: 0,
+        reviewWords: 0,
+        wordsToCompleteZone: {},
+        purchases: [],
+        final: null,
+    };
+    game.on(GAME_EVENTS.BEAR_ARRIVED, () => run.bearArrivals++);
+    game.on(GAME_EVENTS.ZONE_COMPLETED, ({ zoneId }) => {
+        if (!(zoneId in run.wordsToCompleteZone)) run.wordsToCompleteZone[zoneId] = run.wordsPlayed;
+    });
+
+    const toBuy = [...shoppingList];
+    for (let word = 1; word <= wordsPerGame; word++) {
+        const level = game.getCurrentLevel();
+        if (state().isInReviewMode || state().currentReviewLevelId !== null) run.reviewWords++;
+
+        while (game.getTurn().phase !== TURN_PHASES.RESOLVED) {
+            const question = getPhaseQuestionType(game.getTurn().phase);
+            const skill = question === 'root' || question === 'pos' ? learner[question] : learner.morphology ?? SIMULATION_DEFAULTS.learner.morphology;
+            const choice = pickAnswer(game.getChoices(), getQuestionAnswer(level, question), game.getTurn().triedChoices, skill, learnerRng);
+            game.submitAnswer(choice);
+        }
+        run.wordsPlayed = word;
+        for (const { item, price } of game.getShopStock()) {
+            if (run.wordsToAfford[item.id] === null && state()[CURRENCY_BALANCE_KEYS[item.currencyType]] >= price) {
+                run.wordsToAfford[item.id] = word;
+            }
+        }
+        while (toBuy.length > 0 && game.buyItem(toBuy[0]).success) {
+            run.purchases.push({ itemId: toBuy.shift(), word });
+        }
+
+        now += secondsPerWord * 1000;
+        game.nextWord();
+    }
+
+    run.final = { harvest: state().playerHarvest, gems: state().playerGems, gardenHealth: state().gardenHealth };
+    return run;
+}
+
+
+// --- 3. MANY GAMES ---
+
+/**
+ * @param {number[]} values - One per game where the measurement happened.
+ * @returns {Distribution}
+ */
+export function summarize(values) {
+    if (values.length === 0) {
+        return { reached: 0, min: null, p10: null, median: null, p90: null, max: null, mean: null };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+    return {
+        reached: values.length,
+        min: sorted[0],
+        p10: at(0.1),
+        median: at(0.5),
+        p90: at(0.9),
+        max: sorted[sorted.length - 1],
+        mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+    };
+}
+
+/**
+ * Plays many seeded games (game i uses seed `${seed}:i`) and summarizes them.
+ * @param {object} [options] - See SIMULATION_DEFAULTS, plus content ({zones, shopItems, shopRotation}).
+ * @returns {SimulationReport}
+ */
+export function runSimulation(options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, content: { zones: ZONES, shopItems: SHOP_ITEMS }, ...options };
+    const runs = [];
+    for (let i = 0; i < settings.games; i++) {
+        runs.push(simulateGame({ ...settings, seed: `${settings.seed}:${i}` }));
+    }
+
+    const shopItems = (settings.content.shopItems || SHOP_ITEMS).filter(item => !item.exclusive);
+    const reachedValues = (pick) => runs.map(pick).filter(value => value !== null && value !== undefined);
+    const { content, ...reportedSettings } = settings;
+    return {
+        settings: reportedSettings,
+        wordsToAfford: Object.fromEntries(shopItems.map(item => [item.id, summarize(reachedValues(run => run.wordsToAfford[item.id]))])),
+        bearArrivals: summarize(runs.map(run => run.bearArrivals)),
+        reviewShare: summarize(runs.map(run => run.reviewWords / run.wordsPlayed)),
+        wordsToCompleteZone: Object.fromEntries(content.zones.map(zone => [zone.id, summarize(reachedValues(run => run.wordsToCompleteZone[zone.id]))])),
+    };
+}
+
+/**
+ * Formats a report as a plain-text table.
+ * @param {SimulationReport} report
+ * @returns {string}
+ */
+export function formatSimulationReport(report) {
+    const { games, wordsPerGame, difficulty, learner } = report.settings;
+    const number = (value, digits = 0) => (value === null ? '-' : value.toFixed(digits));
+    const columns = (label, cells) => [label.padEnd(28), cells[0].padStart(11), ...cells.slice(1).map(c => c.padStart(8))].join(' ');
+    const row = (label, d, digits = 0) => columns(label, [
+        `${d.reached}/${games}`,
+        ...[d.min, d.p10, d.median, d.p90, d.max, d.mean].map(v => number(v, digits)),
+    ]);
+    const header = (label) => columns(label, ['reached', 'min', 'p10', 'median', 'p90', 'max', 'mean']);
+    const lines = [
+        `${games} games of ${wordsPerGame} words, difficulty ${difficulty}, learner root ${learner.root} / pos ${learner.pos} / morphology ${learner.morphology ?? SIMULATION_DEFAULTS.learner.morphology}`,
+        '',
+        header('Words until affordable'),
+        ...Object.entries(report.wordsToAfford).map(([itemId, d]) => row(`  ${itemId}`, d)),
+        '',
+        header('Words until zone completed'),
+        ...Object.entries(report.wordsToCompleteZone).map(([zoneId, d]) => row(`  ${zoneId}`, d)),
+        '',
+        row('Bear arrivals per game', report.bearArrivals, 1),
+        row('Share of words in review', report.reviewShare, 2),
+    ];
+    return lines.join('\n');
+}
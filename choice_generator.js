@@ -0,0 +1,256 @@
+// choice_generator.js
+//
+// Builds the answer choices for a question: the right answer plus decoys,
+// shuffled reproducibly from a seed. Hand-written decoys are used first; more
+// root decoys are made from the word itself (its prefix, its suffix, or a
+// wrong split around the root, e.g. 'Micro' or 'Osc' for 'Microscope') and
+// then from other roots in the pack. The morphology questions (see
+// question_types.js) draw their decoys from the rest of the pack: other roots'
+// meanings, and suffixes or parts that make a different part of speech. How
+// many choices are shown depends on the difficulty.
+
+import { PARTS_OF_SPEECH } from './word_packs.js';
+import { createSeededRandom, shuffle } from './seeded_random.js';
+import { ROOT_MEANINGS, getRootMeaning } from './hints.js';
+import {
+    QUESTION_TYPES, SUFFIX_PARTS_OF_SPEECH, formatBuildParts, formatSuffix, getQuestionAnswer,
+} from './question_types.js';
+
+// --- 1. SETTINGS ---
+
+/** Tuning for choice generation. */
+export const CHOICE_SETTINGS = Object.freeze({
+    // Choices shown per question (answer included), by difficulty
+    choicesPerDifficulty: Object.freeze({ easy: 2, normal: 3, hard: 4 }),
+    minFragmentLength: 2, // Shorter prefixes/suffixes are not offered as decoys
+});
+
+/** Common English and Greco-Latin affixes, offered as decoys when the word contains them. */
+const COMMON_PREFIXES = ['Anti', 'Auto', 'Bio', 'Com', 'Con', 'De', 'Dis', 'Ex', 'Geo', 'Im', 'In', 'Inter', 'Micro',
+    'Mis', 'Photo', 'Pre', 'Pro', 'Re', 'Sub', 'Super', 'Tele', 'Trans', 'Un'];
+const COMMON_SUFFIXES = ['Able', 'Al', 'Ance', 'Ence', 'Er', 'Ful', 'Ible', 'Ic', 'Ion', 'Ism', 'Ist', 'Ity', 'Ive',
+    'Less', 'Ly', 'Ment', 'Ness', 'Or', 'Ous', 'Sion', 'Tion'];
+
+/** Words left out when comparing root meanings ('to look at' and 'to look' share the head word 'look'). */
+const MEANING_FILLER_WORDS = ['a', 'an', 'at', 'in', 'of', 'on', 'the', 'to'];
+/** Head words close enough in meaning that a decoy using one could pass for an answer using another. */
+const SIMILAR_MEANING_WORDS = [
+    ['look', 'see', 'watch', 'view'],
+    ['earth', 'land', 'ground', 'soil'],
+    ['say', 'speak', 'tell'],
+    ['feeling', 'suffering'],
+];
+
+
+// --- 2. DECOYS ---
+
+const titleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+
+/**
+ * Makes plausible wrong roots out of the word itself.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {object} [settings=CHOICE_SETTINGS]
+ * @returns {string[]} Title-cased, may contain duplicates or the answer.
+ */
+export function getMorphologyDecoys(level, settings = CHOICE_SETTINGS) {
+    const word = level.fullWord.toLowerCase();
+    const root = level.root.toLowerCase();
+    const start = word.indexOf(root);
+    const candidates = [];
+    if (start === -1) return candidates;
+
+    const prefix = word.slice(0, start);
+    const suffix = word.slice(start + root.length);
+    if (prefix.length >= settings.minFragmentLength) candidates.push(prefix);
+    if (suffix.length >= settings.minFragmentLength) candidates.push(suffix);
+    // Wrong splits: the root's length, shifted across its real boundaries
+    if (prefix.length > 0) candidates.push(word.slice(start - 1, start - 1 + root.length));
+    if (suffix.length > 0) candidates.push(word.slice(start + 1, start + 1 + root.length));
+    // Known affixes the word starts or ends with
+    candidates.push(...COMMON_PREFIXES.filter(p => word.startsWith(p.toLowerCase())));
+    candidates.push(...COMMON_SUFFIXES.filter(s => word.endsWith(s.toLowerCase())));
+
+    return candidates.filter(c => c.length >= settings.minFragmentLength).map(titleCase);
+}
+
+/**
+ * Picks root decoys: hand-written first, then (shuffled) parts of the word, then other roots.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {number} count - How many decoys are needed.
+ * @param {object} context
+ * @param {string[]} context.packRoots - Every root in the content, for the last resort.
+ * @param {() => number} context.rng
+ * @param {object} [context.settings=CHOICE_SETTINGS]
+ * @returns {string[]} Up to count decoys (fewer if the word and pack cannot supply enough).
+ */
+export function pickRootDecoys(level, count, { packRoots, rng, settings = CHOICE_SETTINGS }) {
+    const candidates = [
+        ...level.decoys,
+        ...shuffle(getMorphologyDecoys(level, settings), rng),
+        ...shuffle(packRoots, rng),
+    ];
+    return takeUnique(candidates, [level.root, level.fullWord], count);
+}
+
+/**
+ * Takes the first distinct candidates (ignoring case) that are not excluded.
+ * @param {string[]} candidates
+ * @param {string[]} excluded - e.g. the answer.
+ * @param {number} count
+ * @returns {string[]}
+ */
+function takeUnique(candidates, excluded, count) {
+    const seen = new Set(excluded.map(text => text.toLowerCase()));
+    const picked = [];
+    for (const candidate of candidates) {
+        if (picked.length >= count) break;
+        const key = candidate.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        picked.push(candidate);
+    }
+    return picked;
+}
+
+/**
+ * Picks POS decoys: hand-written first, then the other parts of speech.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {number} count
+ * @param {() => number} rng
+ * @returns {string[]}
+ */
+export function pickPosDecoys(level, count, rng) {
+    const others = shuffle(PARTS_OF_SPEECH.filter(pos => pos !== level.pos && !level.posDecoys.includes(pos)), rng);
+    return [...new Set([...level.posDecoys, ...others])].filter(pos => pos !== level.pos).slice(0, count);
+}
+
+/**
+ * @param {string} meaning - e.g. 'earth, land'.
+ * @returns {Set<string>} Its head words, with each word from SIMILAR_MEANING_WORDS replaced by the first of its group.
+ */
+function getMeaningHeadWords(meaning) {
+    const words = meaning.toLowerCase().split(/[^a-z]+/).filter(word => word && !MEANING_FILLER_WORDS.includes(word));
+    return new Set(words.map(word => (SIMILAR_MEANING_WORDS.find(group => group.includes(word)) || [word])[0]));
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if the meanings share a head word (or a near-synonym of one), so either could be right.
+ */
+function isSimilarMeaning(a, b) {
+    const headWords = getMeaningHeadWords(a);
+    return [...getMeaningHeadWords(b)].some(word => headWords.has(word));
+}
+
+/**
+ * Picks wrong meanings: other roots' meanings in the pack first, then the built-in glossary.
+ * Meanings that share a head word with the answer (e.g. 'earth, land' for 'earth') are left out.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {number} count
+ * @param {object} context
+ * @param {import('./game_data_model.js').Level[]} context.packLevels - Every level in the content.
+ * @param {() => number} context.rng
+ * @returns {string[]}
+ */
+export function pickMeaningDecoys(level, count, { packLevels, rng }) {
+    const sameRoot = (other) => other.root.toLowerCase() === level.root.toLowerCase();
+    const answer = getRootMeaning(level);
+    const packMeanings = packLevels.filter(other => !sameRoot(other)).map(getRootMeaning).filter(Boolean);
+    const candidates = [...shuffle(packMeanings, rng), ...shuffle(Object.values(ROOT_MEANINGS), rng)];
+    return takeUnique(candidates.filter(meaning => !isSimilarMeaning(meaning, answer)), [answer], count);
+}
+
+/**
+ * Suffixes known to make another part of speech than the level's: from the pack's levels and SUFFIX_PARTS_OF_SPEECH.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {import('./game_data_model.js').Level[]} packLevels
+ * @returns {string[]} Lower case, without the level's own suffix.
+ */
+function otherPosSuffixes(level, packLevels) {
+    const known = { ...SUFFIX_PARTS_OF_SPEECH };
+    packLevels.filter(other => other.suffix).forEach(other => { known[other.suffix.toLowerCase()] = other.pos; });
+    return Object.keys(known).filter(suffix => known[suffix] !== level.pos && suffix !== level.suffix.toLowerCase());
+}
+
+/**
+ * Picks wrong suffixes: the suffix boundary moved by a letter first (e.g., '-sible', '-ble' for 'Visible'),
+ * then suffixes that make another part of speech.
+ * @param {import('./game_data_model.js').Level} level - Must have a suffix.
+ * @param {number} count
+ * @param {object} context
+ * @param {import('./game_data_model.js').Level[]} context.packLevels
+ * @param {() => number} context.rng
+ * @returns {string[]}
+ */
+export function pickSuffixDecoys(level, count, { packLevels, rng }) {
+    const word = level.fullWord.toLowerCase();
+    const suffix = level.suffix.toLowerCase();
+    const shifted = [
+        suffix.length + 1 < word.length ? word.slice(-(suffix.length + 1)) : null,
+        suffix.length > 1 ? suffix.slice(1) : null,
+    ].filter(Boolean);
+    const candidates = [...shuffle(shifted, rng), ...shuffle(otherPosSuffixes(level, packLevels), rng)];
+    return takeUnique(candidates.map(formatSuffix), [formatSuffix(level.suffix)], count);
+}
+
+/**
+ * Picks wrong builds: the level's parts with a suffix that makes another part of speech,
+ * or with another root that means something else.
+ * @param {import('./game_data_model.js').Level} level - Must have a suffix.
+ * @param {number} count
+ * @param {object} context
+ * @param {import('./game_data_model.js').Level[]} context.packLevels
+ * @param {() => number} context.rng
+ * @returns {string[]}
+ */
+export function pickBuildDecoys(level, count, { packLevels, rng }) {
+    const meaning = getRootMeaning(level);
+    const wrongSuffix = otherPosSuffixes(level, packLevels).map(suffix => [level.prefix, level.root, suffix]);
+    const wrongRoot = [...new Set(packLevels.filter(other => getRootMeaning(other) !== meaning).map(other => other.root))]
+        .map(root => [level.prefix, root, level.suffix]);
+    const candidates = shuffle([...wrongSuffix, ...wrongRoot], rng).map(parts => formatBuildParts(parts.filter(Boolean)));
+    return takeUnique(candidates, [getQuestionAnswer(level, QUESTION_TYPES.BUILD)], count);
+}
+
+
+// --- 3. CHOICES ---
+
+/**
+ * Builds the shuffled choices for one question. The same seed always gives the same choices in the same order.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {object} options
+ * @param {string} options.phase - The question type (see QUESTION_TYPES).
+ * @param {string} options.seed - e.g. the game's choice seed plus the level and attempt number.
+ * @param {string} [options.difficulty='normal'] - Key in settings.choicesPerDifficulty.
+ * @param {number} [options.choiceCount] - Choices to show, answer included; overrides difficulty.
+ * @param {string[]} [options.packRoots=[]] - Every root in the content.
+ * @param {import('./game_data_model.js').Level[]} [options.packLevels=[]] - Every level in the content (morphology decoys).
+ * @param {object} [options.settings=CHOICE_SETTINGS]
+ * @returns {string[]} The answer and its decoys, shuffled.
+ */
+export function buildChoices(level, {
+    phase, seed, difficulty = 'normal', choiceCount: fixedCount, packRoots = [], packLevels = [], settings = CHOICE_SETTINGS,
+}) {
+    const choiceCount = fixedCount ?? settings.choicesPerDifficulty[difficulty] ?? settings.choicesPerDifficulty.normal;
+    const rng = createSeededRandom(`${seed}:${phase}`);
+    const answer = getQuestionAnswer(level, phase);
+    let decoys;
+    switch (phase) {
+        case QUESTION_TYPES.ROOT:
+            decoys = pickRootDecoys(level, choiceCount - 1, { packRoots, rng, settings });
+            break;
+        case QUESTION_TYPES.MEANING:
+            decoys = pickMeaningDecoys(level, choiceCount - 1, { packLevels, rng });
+            break;
+        case QUESTION_TYPES.SUFFIX:
+            decoys = pickSuffixDecoys(level, choiceCount - 1, { packLevels, rng });
+            break;
+        case QUESTION_TYPES.BUILD:
+            decoys = pickBuildDecoys(level, choiceCount - 1, { packLevels, rng });
+            break;
+        default:
+            decoys = pickPosDecoys(level, choiceCount - 1, rng);
+    }
+    return shuffle([answer, ...decoys], rng);
+}
@@ -0,0 +1,449 @@
+// classroom.js
+//
+// Classroom mode: a teacher layer on top of the game engine. The teacher keeps
+// a roster of students (each one a player profile), imports extra word packs,
+// assigns zones or packs with due dates, and can close the shop and keep the
+// bear away during assessments. Class-wide reports show which words are missed
+// most. Everything lives in the same storage adapter as the saves, so a local
+// JSON file (createJsonFileStorage) or the browser's localStorage is enough.
+
+import { DEFAULT_WORD_PACK, restoreGameState } from './game_data_model.js';
+import { createGame } from './game_logic.js';
+import { createProfileManager, profileStateKey } from './player_profiles.js';
+import { WordPackError, combineWordPacks, loadWordPack } from './word_packs.js';
+import { buildLearningReport } from './learning_report.js';
+
+const CLASSROOM_KEY = 'grammarGardenClassroom';
+const MAX_TITLE_LENGTH = 60;
+
+// --- 1. DATA STRUCTURES ---
+
+/**
+ * Limits applied to every student game while an assessment is open.
+ * @typedef {object} AssessmentRules
+ * @property {boolean} lockShop - No buying or refunding.
+ * @property {boolean} disableBear - The Grizzly Bear stays away.
+ */
+
+/**
+ * Work set by the teacher.
+ * @typedef {object} Assignment
+ * @property {string} id
+ * @property {string} title - e.g., 'Week 3: Latin roots'.
+ * @property {string[]} zoneIds - The zones to play (a pack assignment lists the pack's zones).
+ * @property {string | null} packId - The word pack assigned, if it was assigned as a pack.
+ * @property {number} startsAt - When the assignment opens (ms since epoch).
+ * @property {number} dueAt - When it is due (ms since epoch).
+ * @property {AssessmentRules | null} assessment - Set for assessments; applies while the assignment is open.
+ * @property {string[] | null} studentIds - Who it is for (null for the whole class).
+ * @property {number} createdAt
+ */
+
+/**
+ * The persisted classroom (stored under CLASSROOM_KEY).
+ * @typedef {object} ClassroomData
+ * @property {string} className
+ * @property {string[]} studentIds - Profile IDs of the students on the roster.
+ * @property {import('./word_packs.js').WordPack[]} packs - Word packs imported by the teacher.
+ * @property {Assignment[]} assignments
+ * @property {number} nextAssignmentNumber
+ */
+
+/**
+ * How far a student is with one assignment.
+ * @typedef {object} AssignmentProgress
+ * @property {string} assignmentId
+ * @property {number} wordCount - Words in the assigned zones.
+ * @property {number} wordsPlayed - Words answered at least once.
+ * @property {number} wordsPerfect - Words whose latest attempt was perfect.
+ * @property {'notStarted'|'inProgress'|'complete'|'late'} status
+ */
+
+/**
+ * One word, summed over the whole class.
+ * @typedef {object} MissedLevel
+ * @property {number} levelId
+ * @property {string} fullWord
+ * @property {string} zoneId
+ * @property {number} wrongAnswers - Wrong answers from every student.
+ * @property {number} attempts - All answers from every student.
+ * @property {number} studentsMissed - Students who got it wrong at least once.
+ */
+
+/**
+ * @typedef {object} ClassReport
+ * @property {number} generatedAt
+ * @property {{id: string, name: string, attempts: number, accuracy: number, readable: boolean,
+ *   assignments: AssignmentProgress[]}[]} students - readable is false if the student's save could not be loaded.
+ * @property {MissedLevel[]} mostMissedLevels - Most wrong answers first.
+ * @property {import('./learning_report.js').LearningReport} combined - The learning report over every student's answers.
+ */
+
+
+// --- 2. CLASSROOM ---
+
+/**
+ * Opens (or sets up) the classroom kept in a storage adapter.
+ * @param {object} options
+ * @param {import('./save_storage.js').StorageAdapter} options.storage - Shared with the student saves.
+ * @param {{now: () => number}} [options.clock] - Time source (Date.now by default).
+ * @returns {object} Classroom operations (roster, packs, assignments, student games, reports).
+ */
+export function createClassroom({ storage, clock = { now: () => Date.now() } }) {
+    const profiles = createProfileManager(storage, clock);
+
+    /** @type {ClassroomData} */
+    let data;
+    try {
+        data = JSON.parse(storage.getItem(CLASSROOM_KEY));
+    } catch (e) {
+        console.error('Error reading the classroom, starting an empty one.', e);
+        data = null;
+    }
+    if (!data || !Array.isArray(data.studentIds) || !Array.isArray(data.assignments) || !Array.isArray(data.packs)) {
+        data = { className: 'My Class', studentIds: [], packs: [], assignments: [], nextAssignmentNumber: 1 };
+    }
+    // Students whose profile was deleted elsewhere leave the roster
+    data.studentIds = data.studentIds.filter(id => profiles.listProfiles().some(p => p.id === id));
+    saveData();
+
+    let content = buildContent(data.packs);
+
+    function saveData() {
+        storage.setItem(CLASSROOM_KEY, JSON.stringify(data));
+    }
+
+    /**
+     * The zones every student plays: the built-in words followed by the imported packs.
+     * @param {import('./word_packs.js').WordPack[]} packs
+     * @returns {{zones: import('./game_data_model.js').Zone[]}}
+     * @throws {WordPackError} If the packs clash (e.g., duplicate level IDs).
+     */
+    function buildContent(packs) {
+        return { zones: loadWordPack(combineWordPacks([DEFAULT_WORD_PACK, ...packs])).zones };
+    }
+
+    const findAssignment = (assignmentId) => data.assignments.find(a => a.id === assignmentId);
+    const assignedTo = (assignment, studentId) => assignment.studentIds === null || assignment.studentIds.includes(studentId);
+    const isOpen = (assignment, now) => assignment.startsAt <= now && now <= assignment.dueAt;
+
+    // --- Roster ---
+
+    /**
+     * @returns {import('./player_profiles.js').PlayerProfile[]} The students on the roster.
+     */
+    function listStudents() {
+        return profiles.listProfiles().filter(p => data.studentIds.includes(p.id));
+    }
+
+    /**
+     * Adds a new student (with a new, empty garden) to the roster.
+     * @param {string} name
+     * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+     */
+    function addStudent(name) {
+        const result = profiles.createProfile(name);
+        if (result.success) {
+            data.studentIds.push(result.profile.id);
+            saveData();
+            result.message = `${result.profile.name} joined the class.`;
+        }
+        return result;
+    }
+
+    /**
+     * Takes a student off the roster. Their garden is kept unless deleteSave is set.
+     * @param {string} studentId
+     * @param {object} [options]
+     * @param {boolean} [options.deleteSave=false]
+     * @returns {object} { success: boolean, message: string }
+     */
+    function removeStudent(studentId, { deleteSave = false } = {}) {
+        if (!data.studentIds.includes(studentId)) {
+            return { success: false, message: 'Error: Student not found.' };
+        }
+        if (deleteSave) {
+            const result = profiles.deleteProfile(studentId);
+            if (!result.success) return result;
+        }
+        data.studentIds = data.studentIds.filter(id => id !== studentId);
+        data.assignments.forEach(a => {
+            if (a.studentIds) a.studentIds = a.studentIds.filter(id => id !== studentId);
+        });
+        saveData();
+        return { success: true, message: 'Student removed from the class.' };
+    }
+
+    // --- Word packs ---
+
+    /**
+     * Imports a word pack for the class. Its zones are added after the built-in ones.
+     * @param {string | import('./word_packs.js').WordPack} source - JSON text, CSV text or a pack object.
+     * @param {object} [options] - Passed to loadWordPack (format, id, title).
+     * @returns {object} { success: boolean, message: string, issues?: WordPackIssue[] }
+     */
+    function importWordPack(source, options = {}) {
+        try {
+            const { pack, issues } = loadWordPack(source, options);
+            if (data.packs.some(p => p.id === pack.id)) {
+                return { success: false, message: `A pack with the id ${pack.id} is already imported.` };
+            }
+            content = buildContent([...data.packs, pack]);
+            data.packs.push(pack);
+            saveData();
+            return { success: true, message: `${pack.title} imported.`, issues };
+        } catch (e) {
+            if (e instanceof WordPackError) {
+                return { success: false, message: e.message, issues: e.issues };
+            }
+            throw e;
+        }
+    }
+
+    // --- Assignments ---
+
+    /**
+     * Sets work for the class (or some students).
+     * @param {object} details
+     * @param {string} details.title
+     * @param {string[]} [details.zoneIds] - Zones to assign...
+     * @param {string} [details.packId] - ...or every zone of an imported pack.
+     * @param {number} details.dueAt - Due date (ms since epoch).
+     * @param {number} [details.startsAt] - Opens now by default.
+     * @param {AssessmentRules | null} [details.assessment=null] - Set to make it an assessment.
+     * @param {string[] | null} [details.studentIds=null] - Whole class by default.
+     * @returns {object} { success: boolean, message: string, assignment?: Assignment }
+     */
+    function createAssignment({ title, zoneIds, packId, dueAt, startsAt = clock.now(), assessment = null, studentIds = null }) {
+        const cleanTitle = typeof title === 'string' ? title.trim() : '';
+        if (!cleanTitle || cleanTitle.length > MAX_TITLE_LENGTH) {
+            return { success: false, message: `Assignment titles must be 1-${MAX_TITLE_LENGTH} characters.` };
+        }
+        let assignedZoneIds = zoneIds;
+        if (packId !== undefined) {
+            const pack = data.packs.find(p => p.id === packId);
+            if (!pack) return { success: false, message: 'Error: Word pack not found.' };
+            assignedZoneIds = pack.zones.map(z => z.id);
+        }
+        if (!Array.isArray(assignedZoneIds) || assignedZoneIds.length === 0) {
+            return { success: false, message: 'Choose at least one zone or a word pack.' };
+        }
+        const unknownZones = assignedZoneIds.filter(id => !content.zones.some(z => z.id === id));
+        if (unknownZones.length > 0) {
+            return { success: false, message: `Unknown zones: ${unknownZones.join(', ')}.` };
+        }
+        if (!Number.isFinite(dueAt) || !Number.isFinite(startsAt) || dueAt <= startsAt) {
+            return { success: false, message: 'The due date must be after the start date.' };
+        }
+        if (studentIds !== null && studentIds.some(id => !data.studentIds.includes(id))) {
+            return { success: false, message: 'Error: Student not found.' };
+        }
+
+        const assignment = {
+            id: `assignment-${data.nextAssignmentNumber}`,
+            title: cleanTitle,
+            zoneIds: [...assignedZoneIds],
+            packId: packId ?? null,
+            startsAt,
+            dueAt,
+            assessment: assessment ? { lockShop: Boolean(assessment.lockShop), disableBear: Boolean(assessment.disableBear) } : null,
+            studentIds: studentIds ? [...studentIds] : null,
+            createdAt: clock.now(),
+        };
+        data.nextAssignmentNumber++;
+        data.assignments.push(assignment);
+        saveData();
+        return { success: true, message: `${assignment.title} assigned.`, assignment: structuredClone(assignment) };
+    }
+
+    /**
+     * @param {string} assignmentId
+     * @returns {object} { success: boolean, message: string }
+     */
+    function deleteAssignment(assignmentId) {
+        const assignment = findAssignment(assignmentId);
+        if (!assignment) {
+            return { success: false, message: 'Error: Assignment not found.' };
+        }
+        data.assignments = data.assignments.filter(a => a !== assignment);
+        saveData();
+        return { success: true, message: `${assignment.title} removed.` };
+    }
+
+    /**
+     * @param {string} [studentId] - Only the assignments for this student.
+     * @returns {Assignment[]} Copies, soonest due first.
+     */
+    function listAssignments(studentId) {
+        return data.assignments
+            .filter(a => studentId === undefined || assignedTo(a, studentId))
+            .sort((a, b) => a.dueAt - b.dueAt)
+            .map(a => structuredClone(a));
+    }
+
+    /**
+     * The limits that apply to a student right now: the zones of their open assignments
+     * are open to them, and their open assessments may close the shop and keep the bear away.
+     * @param {string} studentId
+     * @returns {import('./game_logic.js').GameRestrictions}
+     */
+    function getRestrictionsFor(studentId) {
+        const now = clock.now();
+        const open = data.assignments.filter(a => assignedTo(a, studentId) && isOpen(a, now));
+        const assessments = open.filter(a => a.assessment);
+        return {
+            shopLocked: assessments.some(a => a.assessment.lockShop),
+            bearDisabled: assessments.some(a => a.assessment.disableBear),
+            reason: assessments[0]?.title ?? null,
+            openZoneIds: [...new Set(open.flatMap(a => a.zoneIds))],
+        };
+    }
+
+    // --- Playing ---
+
+    /**
+     * Opens a student's garden with the class content. Zones from their open
+     * assignments are open for the session (not unlocked in the save), and any
+     * assessment limits are applied. Call refreshRestrictions() from time to time
+     * so assignments and assessments end on time.
+     * @param {string} studentId
+     * @param {object} [options] - Passed to createGame (e.g., rng).
+     * @returns {{game: import('./game_logic.js').GameEngine, refreshRestrictions: () => void}}
+     * @throws {Error} If the student is not on the roster.
+     */
+    function openStudentGame(studentId, options = {}) {
+        if (!data.studentIds.includes(studentId)) {
+            throw new Error(`Student not found: ${studentId}`);
+        }
+        const game = createGame({ ...options, storage, content, clock, profileId: studentId });
+
+        const refreshRestrictions = () => game.setRestrictions(getRestrictionsFor(studentId));
+        refreshRestrictions();
+        return { game, refreshRestrictions };
+    }
+
+    // --- Reports ---
+
+    /**
+     * Loads a student's saved garden for reporting (read-only).
+     * @param {string} studentId
+     * @returns {import('./game_data_model.js').GameState | null} Null if there is no save or it cannot be read.
+     */
+    function readStudentState(studentId) {
+        try {
+            const raw = storage.getItem(profileStateKey(studentId));
+            return raw === null ? null : restoreGameState(JSON.parse(raw), content.zones).state;
+        } catch (e) {
+            console.error(`Error reading the garden of ${studentId}.`, e);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Assignment} assignment
+     * @param {import('./game_data_model.js').GameState | null} state
+     * @param {number} now
+     * @returns {AssignmentProgress}
+     */
+    function assignmentProgress(assignment, state, now) {
+        const levels = content.zones.filter(z => assignment.zoneIds.includes(z.id)).flatMap(z => z.levels);
+        const results = state?.levelResults || {};
+        const wordsPlayed = levels.filter(level => results[level.id]?.attempts > 0).length;
+        const wordsPerfect = levels.filter(level => results[level.id]?.lastPerfect).length;
+        let status = 'inProgress';
+        if (wordsPlayed === levels.length) status = 'complete';
+        else if (now > assignment.dueAt) status = 'late';
+        else if (wordsPlayed === 0) status = 'notStarted';
+        return { assignmentId: assignment.id, wordCount: levels.length, wordsPlayed, wordsPerfect, status };
+    }
+
+    /**
+     * Builds the class-wide report from every student's saved garden.
+     * @returns {ClassReport}
+     */
+    function getClassReport() {
+        const now = clock.now();
+        const levelInfo = new Map(content.zones.flatMap(zone => zone.levels.map(level => [level.id, { zone, level }])));
+        const missed = new Map();
+        const allAttempts = [];
+
+        const students = listStudents().map(student => {
+            const state = readStudentState(student.id);
+            const attempts = state?.attempts || [];
+            allAttempts.push(...attempts);
+
+            const missedByStudent = new Set();
+            for (const attempt of attempts) {
+                const info = levelInfo.get(attempt.levelId);
+                if (!info) continue;
+                if (!missed.has(attempt.levelId)) {
+                    missed.set(attempt.levelId, {
+                        levelId: attempt.levelId,
+                        fullWord: info.level.fullWord,
+                        zoneId: info.zone.id,
+                        wrongAnswers: 0,
+                        attempts: 0,
+                        studentsMissed: 0,
+                    });
+                }
+                const row = missed.get(attempt.levelId);
+                row.attempts++;
+                if (!attempt.correct) {
+                    row.wrongAnswers++;
+                    missedByStudent.add(attempt.levelId);
+                }
+            }
+            missedByStudent.forEach(levelId => missed.get(levelId).studentsMissed++);
+
+            const correct = attempts.filter(a => a.correct).length;
+            return {
+                id: student.id,
+                name: student.name,
+                attempts: attempts.length,
+                accuracy: attempts.length === 0 ? 0 : correct / attempts.length,
+                readable: state !== null || storage.getItem(profileStateKey(student.id)) === null,
+                assignments: listAssignments(student.id).map(a => assignmentProgress(a, state, now)),
+            };
+        });
+
+        allAttempts.sort((a, b) => a.at - b.at);
+        return {
+            generatedAt: now,
+            students,
+            mostMissedLevels: [...missed.values()]
+                .filter(row => row.wrongAnswers > 0)
+                .sort((a, b) => b.wrongAnswers - a.wrongAnswers || b.studentsMissed - a.studentsMissed),
+            combined: buildLearningReport(allAttempts, content.zones, { now }),
+        };
+    }
+
+    return {
+        /** @returns {string} */
+        getClassName: () => data.className,
+        /**
+         * @param {string} name
+         * @returns {object} { success: boolean, message: string }
+         */
+        renameClass(name) {
+            const cleaned = typeof name === 'string' ? name.trim() : '';
+            if (!cleaned || cleaned.length > MAX_TITLE_LENGTH) {
+                return { success: false, message: `Class names must be 1-${MAX_TITLE_LENGTH} characters.` };
+            }
+            data.className = cleaned;
+            saveData();
+            return { success: true, message: `Class renamed to ${cleaned}.` };
+        },
+        listStudents,
+        addStudent,
+        removeStudent,
+        importWordPack,
+        /** @returns {{zones: import('./game_data_model.js').Zone[]}} The content every student plays. */
+        getContent: () => content,
+        createAssignment,
+        deleteAssignment,
+        listAssignments,
+        getRestrictionsFor,
+        openStudentGame,
+        getClassReport,
+    };
+}
@@ -0,0 +1,132 @@
+// currency_ledger.js
+//
+// An append-only history of every Root Harvest and Guardian Gem credit and
+// debit. Balances (GameState.playerHarvest / playerGems) are derived from it,
+// so every gem can be accounted for. Saves carry a checksum of the ledger,
+// which makes currency edited by hand (e.g., in localStorage) detectable.
+
+import { hashSeed } from './seeded_random.js';
+
+const MINUTE = 60 * 1000;
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Why a ledger entry was made. */
+export const LEDGER_SOURCES = Object.freeze({
+    ROOT: 'root', // Root Harvest for a correct root
+    MORPHOLOGY: 'morphology', // Root Harvest for a correct meaning, suffix or build question
+    POS: 'pos', // Root Harvest for a correct part of speech
+    PERFECT: 'perfect', // Gem for a perfect word
+    BEAR_PENALTY: 'bearPenalty', // Harvest taken by the Grizzly Bear
+    PURCHASE: 'purchase',
+    HINT: 'hint', // Harvest spent on a hint
+    REFUND: 'refund',
+    ACHIEVEMENT: 'achievement', // Reward for unlocking an achievement
+    QUEST: 'quest', // Reward for completing a daily quest
+    PET: 'pet', // Extra Root Harvest brought by the active pet
+    OPENING_BALANCE: 'openingBalance', // Balance carried over from saves made before the ledger existed
+    CORRECTION: 'correction', // Brings a broken (negative) balance back to 0
+});
+
+/** Tuning for the ledger. */
+export const LEDGER_SETTINGS = Object.freeze({
+    refundWindowMs: 10 * MINUTE, // Purchases can be returned for this long
+});
+
+/** Currencies tracked by the ledger, matching ShopItem.currencyType, and the GameState field holding each balance. */
+export const CURRENCY_BALANCE_KEYS = Object.freeze({
+    harvest: 'playerHarvest',
+    gem: 'playerGems',
+});
+
+/**
+ * A single credit (positive amount) or debit (negative amount).
+ * @typedef {object} LedgerEntry
+ * @property {number} id - Sequential, starting at 1.
+ * @property {number} at - When it happened (ms since epoch).
+ * @property {string} source - One of LEDGER_SOURCES.
+ * @property {'harvest'|'gem'} currency
+ * @property {number} amount - Whole number; never 0.
+ * @property {number | null} levelId - The word that earned or lost it, if any.
+ * @property {string} [itemId] - For purchases and refunds.
+ * @property {number} [refundOf] - For refunds, the ID of the purchase entry.
+ */
+
+
+// --- 2. BALANCES ---
+
+/**
+ * Adds up the ledger.
+ * @param {LedgerEntry[]} ledger
+ * @returns {{harvest: number, gem: number}}
+ */
+export function getBalances(ledger) {
+    const balances = { harvest: 0, gem: 0 };
+    for (const entry of ledger) {
+        balances[entry.currency] += entry.amount;
+    }
+    return balances;
+}
+
+/**
+ * Appends an entry and updates the derived balance in GameState.
+ * @param {import('./game_data_model.js').GameState} state - Updated in place.
+ * @param {Omit<LedgerEntry, 'id'>} entry
+ * @returns {LedgerEntry | null} The stored entry, or null for a zero amount (nothing is recorded).
+ */
+export function recordTransaction(state, entry) {
+    if (entry.amount === 0) return null;
+    const ledger = state.currencyLedger;
+    const stored = { id: (ledger[ledger.length - 1]?.id || 0) + 1, ...entry };
+    ledger.push(stored);
+    // Kept in step with the ledger entry by entry; getBalances() rebuilds it from scratch on load
+    state[CURRENCY_BALANCE_KEYS[entry.currency]] += entry.amount;
+    return stored;
+}
+
+
+// --- 3. REFUNDS ---
+
+/**
+ * Lists the purchases that can still be returned, newest first.
+ * @param {LedgerEntry[]} ledger
+ * @param {number} now - Current time (ms since epoch).
+ * @param {object} [settings=LEDGER_SETTINGS]
+ * @returns {LedgerEntry[]}
+ */
+export function getRefundablePurchases(ledger, now, settings = LEDGER_SETTINGS) {
+    const refunded = new Set(ledger.filter(e => e.source === LEDGER_SOURCES.REFUND).map(e => e.refundOf));
+    return ledger
+        .filter(e => e.source === LEDGER_SOURCES.PURCHASE && !refunded.has(e.id) && now - e.at <= settings.refundWindowMs)
+        .reverse();
+}
+
+
+// --- 4. INTEGRITY ---
+
+/**
+ * Checksum of the ledger, stored with every save. Not cryptographic: it only
+ * has to show that currency or history was changed outside the game.
+ * @param {LedgerEntry[]} ledger
+ * @returns {string} 16 hex digits.
+ */
+export function computeLedgerChecksum(ledger) {
+    const text = JSON.stringify(ledger.map(e => [e.id, e.at, e.source, e.currency, e.amount, e.levelId, e.itemId ?? null, e.refundOf ?? null]));
+    const part = (salt) => hashSeed(`${salt}:${text}`).toString(16).padStart(8, '0');
+    return part('grammarGarden') + part('ledger');
+}
+
+/**
+ * Checks that an entry has the expected shape (used by the save validator).
+ * @param {any} entry
+ * @returns {boolean}
+ */
+export function isValidLedgerEntry(entry) {
+    return entry !== null && typeof entry === 'object'
+        && Number.isInteger(entry.id) && entry.id > 0
+        && Number.isFinite(entry.at)
+        && Object.values(LEDGER_SOURCES).includes(entry.source)
+        && Object.prototype.hasOwnProperty.call(CURRENCY_BALANCE_KEYS, entry.currency)
+        && Number.isInteger(entry.amount) && entry.amount !== 0
+        && (entry.levelId === null || Number.isInteger(entry.levelId));
+}
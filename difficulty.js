@@ -0,0 +1,153 @@
+// difficulty.js
+//
+// Difficulty profiles: every balancing number the engine uses (Grizzly Bear
+// odds and stay, health penalties, reward sizes, answer choices) in one place.
+// 'easy', 'normal' and 'hard' are fixed. 'adaptive' slides between them,
+// keeping each learner near a target success rate: it gets harder while
+// recent answers are mostly right and easier while they are mostly wrong.
+
+import { CHOICE_SETTINGS } from './choice_generator.js';
+
+// --- 1. PROFILES ---
+
+/**
+ * The numbers a difficulty sets.
+ * @typedef {object} DifficultyProfile
+ * @property {number} choiceCount - Answer choices per question, answer included.
+ * @property {{root: number, morphology: number, pos: number, perfect: number}} rewards - Root Harvest for a correct
+ *   root, morphology question (meaning, suffix, build) and part of speech, Guardian Gems for a perfect word.
+ * @property {{root: number, morphology: number, pos: number}} healthPenalties - Garden health lost per wrong answer.
+ * @property {object} bear - When the Grizzly Bear arrives and what it costs.
+ * @property {number} bear.baseChance - Chance (0-1) per word.
+ * @property {number} bear.mistakeWeight - Added chance per share of all words that are imperfect.
+ * @property {number} bear.imperfectBonus - Added chance right after an imperfect word.
+ * @property {number} bear.rounds - Words the bear stays for.
+ * @property {number} bear.harvestShare - Share (0-1) of Root Harvest rewards it takes while present.
+ */
+
+/** Fixed difficulty profiles. 'normal' holds the game's original balance. */
+export const DIFFICULTY_PROFILES = Object.freeze({
+    easy: Object.freeze({
+        choiceCount: CHOICE_SETTINGS.choicesPerDifficulty.easy,
+        rewards: Object.freeze({ root: 1, morphology: 1, pos: 2, perfect: 1 }),
+        healthPenalties: Object.freeze({ root: 3, morphology: 3, pos: 5 }),
+        bear: Object.freeze({ baseChance: 0.02, mistakeWeight: 0.5, imperfectBonus: 0.05, rounds: 2, harvestShare: 0.25 }),
+    }),
+    normal: Object.freeze({
+        choiceCount: CHOICE_SETTINGS.choicesPerDifficulty.normal,
+        rewards: Object.freeze({ root: 1, morphology: 1, pos: 2, perfect: 1 }),
+        healthPenalties: Object.freeze({ root: 5, morphology: 5, pos: 10 }),
+        bear: Object.freeze({ baseChance: 0.05, mistakeWeight: 1, imperfectBonus: 0.1, rounds: 3, harvestShare: 0.5 }),
+    }),
+    hard: Object.freeze({
+        choiceCount: CHOICE_SETTINGS.choicesPerDifficulty.hard,
+        rewards: Object.freeze({ root: 2, morphology: 2, pos: 3, perfect: 2 }),
+        healthPenalties: Object.freeze({ root: 8, morphology: 8, pos: 15 }),
+        bear: Object.freeze({ baseChance: 0.08, mistakeWeight: 1.5, imperfectBonus: 0.15, rounds: 4, harvestShare: 0.5 }),
+    }),
+});
+
+/** Every difficulty a game can be created with. */
+export const DIFFICULTIES = Object.freeze([...Object.keys(DIFFICULTY_PROFILES), 'adaptive']);
+
+/** Tuning for the adaptive difficulty. */
+export const ADAPTIVE_SETTINGS = Object.freeze({
+    // The adaptive level runs from 0 (easy) through 1 (normal) to 2 (hard)
+    levels: Object.freeze(['easy', 'normal', 'hard']),
+    startLevel: 1,
+    targetAccuracy: 0.75, // Share of answers that should be right
+    tolerance: 0.05, // No change while recent accuracy is this close to the target
+    window: 20, // Recent answers considered
+    minAttempts: 10, // No change until this many answers are recorded
+    step: 0.1, // Change per word
+});
+
+
+// --- 2. RESOLVING A PROFILE ---
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Blends two profiles. Whole-number settings (choices, rewards, penalties, rounds) are rounded.
+ * @param {DifficultyProfile} from
+ * @param {DifficultyProfile} to
+ * @param {number} t - 0 gives from, 1 gives to.
+ * @returns {DifficultyProfile}
+ */
+export function blendProfiles(from, to, t) {
+    const whole = (a, b) => Math.round(lerp(a, b, t));
+    return {
+        choiceCount: whole(from.choiceCount, to.choiceCount),
+        rewards: {
+            root: whole(from.rewards.root, to.rewards.root),
+            morphology: whole(from.rewards.morphology, to.rewards.morphology),
+            pos: whole(from.rewards.pos, to.rewards.pos),
+            perfect: whole(from.rewards.perfect, to.rewards.perfect),
+        },
+        healthPenalties: {
+            root: whole(from.healthPenalties.root, to.healthPenalties.root),
+            morphology: whole(from.healthPenalties.morphology, to.healthPenalties.morphology),
+            pos: whole(from.healthPenalties.pos, to.healthPenalties.pos),
+        },
+        bear: {
+            baseChance: lerp(from.bear.baseChance, to.bear.baseChance, t),
+            mistakeWeight: lerp(from.bear.mistakeWeight, to.bear.mistakeWeight, t),
+            imperfectBonus: lerp(from.bear.imperfectBonus, to.bear.imperfectBonus, t),
+            rounds: whole(from.bear.rounds, to.bear.rounds),
+            harvestShare: lerp(from.bear.harvestShare, to.bear.harvestShare, t),
+        },
+    };
+}
+
+/**
+ * Returns the numbers to play with.
+ * @param {string} difficulty - One of DIFFICULTIES.
+ * @param {number} [adaptiveLevel=ADAPTIVE_SETTINGS.startLevel] - Only used by 'adaptive'.
+ * @param {object} [settings=ADAPTIVE_SETTINGS]
+ * @returns {DifficultyProfile}
+ * @throws {Error} For an unknown difficulty.
+ */
+export function getDifficultyProfile(difficulty, adaptiveLevel = ADAPTIVE_SETTINGS.startLevel, settings = ADAPTIVE_SETTINGS) {
+    if (difficulty !== 'adaptive') {
+        if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, difficulty)) {
+            throw new Error(`Unknown difficulty ${JSON.stringify(difficulty)} (expected ${DIFFICULTIES.join(', ')}).`);
+        }
+        return DIFFICULTY_PROFILES[difficulty];
+    }
+    const top = settings.levels.length - 1;
+    const level = Math.min(top, Math.max(0, adaptiveLevel));
+    const lower = Math.min(top - 1, Math.floor(level));
+    return blendProfiles(DIFFICULTY_PROFILES[settings.levels[lower]], DIFFICULTY_PROFILES[settings.levels[lower + 1]], level - lower);
+}
+
+
+// --- 3. ADAPTIVE STEERING ---
+
+/**
+ * @param {import('./learning_report.js').Attempt[]} attempts - Oldest first.
+ * @param {object} [settings=ADAPTIVE_SETTINGS]
+ * @returns {number | null} Share of recent answers that were right, or null if there are too few.
+ */
+export function getRecentAccuracy(attempts, settings = ADAPTIVE_SETTINGS) {
+    const recent = attempts.slice(-settings.window);
+    if (recent.length < settings.minAttempts) return null;
+    return recent.filter(a => a.correct).length / recent.length;
+}
+
+/**
+ * Moves the adaptive level one step towards the target accuracy (called once per word).
+ * @param {number} adaptiveLevel
+ * @param {import('./learning_report.js').Attempt[]} attempts
+ * @param {object} [settings=ADAPTIVE_SETTINGS]
+ * @returns {number} The new level.
+ */
+export function adjustAdaptiveLevel(adaptiveLevel, attempts, settings = ADAPTIVE_SETTINGS) {
+    const accuracy = getRecentAccuracy(attempts, settings);
+    if (accuracy === null || Math.abs(accuracy - settings.targetAccuracy) <= settings.tolerance) {
+        return adaptiveLevel;
+    }
+    const direction = accuracy > settings.targetAccuracy ? 1 : -1;
+    const next = adaptiveLevel + direction * settings.step;
+    // Rounded so repeated steps do not drift (0.30000000000000004)
+    return Math.min(settings.levels.length - 1, Math.max(0, Math.round(next * 1000) / 1000));
+}
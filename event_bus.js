@@ -0,0 +1,342 @@
+// event_bus.js
+//
+// A small publish/subscribe event bus. Each game engine owns one and emits a
+// structured event for every important moment (rewards, the bear, zone
+// changes, review), so animations and sounds can react without polling.
+
+// --- 1. EVENT NAMES & PAYLOADS ---
+
+/** Every event a game engine can emit. */
+export const GAME_EVENTS = Object.freeze({
+    GAME_LOADED: 'gameLoaded',
+    GAME_SAVED: 'gameSaved',
+    ANSWER_SUBMITTED: 'answerSubmitted',
+    TURN_RESOLVED: 'turnResolved',
+    HINT_USED: 'hintUsed',
+    REWARD_APPLIED: 'rewardApplied',
+    FERTILIZER_CONSUMED: 'fertilizerConsumed',
+    MISTAKE_RECORDED: 'mistakeRecorded',
+    ITEM_PURCHASED: 'itemPurchased',
+    ITEM_REFUNDED: 'itemRefunded',
+    ITEM_EQUIPPED: 'itemEquipped',
+    ITEM_UNEQUIPPED: 'itemUnequipped',
+    EFFECT_APPLIED: 'effectApplied',
+    EFFECT_ENDED: 'effectEnded',
+    BEAR_ARRIVED: 'bearArrived',
+    BEAR_LEFT: 'bearLeft',
+    LEVEL_ADVANCED: 'levelAdvanced',
+    ZONE_COMPLETED: 'zoneCompleted',
+    ZONE_LOCKED: 'zoneLocked',
+    ZONE_UNLOCKED: 'zoneUnlocked',
+    ZONE_ENTERED: 'zoneEntered',
+    ALL_ZONES_COMPLETED: 'allZonesCompleted',
+    DIFFICULTY_CHANGED: 'difficultyChanged',
+    PLANT_PLANTED: 'plantPlanted',
+    PLANT_GREW: 'plantGrew',
+    GARDEN_WILTED: 'gardenWilted',
+    GARDEN_REVIVED: 'gardenRevived',
+    RECOVERY_STARTED: 'recoveryStarted',
+    GARDEN_RECOVERED: 'gardenRecovered',
+    REVIEW_STARTED: 'reviewStarted',
+    REVIEW_DUE: 'reviewDue',
+    REVIEW_RECORDED: 'reviewRecorded',
+    REVIEW_WORD_MASTERED: 'reviewWordMastered',
+    REVIEW_COMPLETED: 'reviewCompleted',
+    ACHIEVEMENT_UNLOCKED: 'achievementUnlocked',
+    QUEST_COMPLETED: 'questCompleted',
+    PET_LEVELED_UP: 'petLeveledUp',
+    PET_SWITCHED: 'petSwitched',
+});
+
+/**
+ * @typedef {object} GameLoadedEvent
+ * @property {string} profileId - The profile whose garden was loaded.
+ * @property {import('./save_schema.js').LoadReport | null} report - Null if the save was rejected and a new game started.
+ */
+
+/**
+ * @typedef {object} GameSavedEvent
+ * @property {string} profileId - The profile that was saved.
+ */
+
+/**
+ * @typedef {object} AnswerSubmittedEvent
+ * @property {number} levelId
+ * @property {string} phase - The question that was answered (a TURN_PHASES value, e.g. 'rootQuestion').
+ * @property {string} choice - The choice the player picked.
+ * @property {boolean} correct
+ * @property {number | null} answerMs - Time since the question was shown (or the last try), if known.
+ */
+
+/**
+ * @typedef {object} TurnResolvedEvent
+ * @property {number} levelId
+ * @property {boolean} wasPerfect - True if every question was right on the first try, without hints.
+ */
+
+/**
+ * @typedef {object} HintUsedEvent
+ * @property {number} levelId
+ * @property {string} type - One of HINT_TYPES (see hints.js).
+ * @property {string} phase - The question type it was used on (see QUESTION_TYPES).
+ * @property {number} cost - Root Harvest paid.
+ */
+
+/**
+ * @typedef {object} RewardAppliedEvent
+ * @property {'root'|'morphology'|'pos'|'perfect'} rewardType
+ * @property {string | null} question - For 'morphology' rewards, the question answered ('meaning', 'suffix' or 'build').
+ * @property {number} harvest - Root Harvest actually credited.
+ * @property {number} gems - Gems actually credited.
+ * @property {number} multiplier - Harvest multiplier from boosts (e.g., 2 with Fertilizer).
+ * @property {number} bearPenalty - Root Harvest withheld by the Grizzly Bear.
+ * @property {number} petHarvest - Extra Root Harvest brought by the active pet (not taxed by the bear).
+ * @property {number} petHealth - Garden health restored by the active pet.
+ * @property {number} totalHarvest - Harvest balance after the reward.
+ * @property {number} totalGems - Gem balance after the reward.
+ */
+
+/**
+ * @typedef {object} FertilizerConsumedEvent
+ * @property {number} remaining - Fertilizer left in the inventory.
+ */
+
+/**
+ * @typedef {object} MistakeRecordedEvent
+ * @property {number} levelId
+ * @property {string} phase - The question type answered wrong (see QUESTION_TYPES).
+ * @property {number} healthLost
+ * @property {number} gardenHealth - Health after the penalty.
+ */
+
+/**
+ * @typedef {object} ItemPurchasedEvent
+ * @property {string} itemId
+ * @property {number} cost - The price actually paid.
+ * @property {'harvest'|'gem'} currencyType
+ * @property {number} percentOff - Sale discount applied (0 if none).
+ */
+
+/**
+ * @typedef {object} ItemRefundedEvent
+ * @property {string} itemId
+ * @property {number} amount - Currency given back.
+ * @property {'harvest'|'gem'} currencyType
+ */
+
+/**
+ * @typedef {object} ItemEquippedEvent
+ * @property {string} itemId
+ * @property {string} slot
+ * @property {string | null} replacedItemId - The item that was in the slot before, if any.
+ */
+
+/**
+ * @typedef {object} ItemUnequippedEvent
+ * @property {string} itemId
+ * @property {string} slot
+ */
+
+/**
+ * @typedef {object} EffectAppliedEvent
+ * @property {string} effect - Key in EFFECT_DEFINITIONS (e.g., 'repelBear').
+ * @property {string} source - What applied it (an item ID, 'grizzlyBear', ...).
+ * @property {number | null} remainingRounds
+ * @property {number | null} expiresAt - Expiry time (ms since epoch), if time-limited.
+ */
+
+/**
+ * @typedef {object} EffectEndedEvent
+ * @property {string} effect
+ * @property {string} source
+ * @property {string} reason - 'expired' when its duration ran out, otherwise why it was removed.
+ */
+
+/**
+ * @typedef {object} BearArrivedEvent
+ * @property {number} triggerChance - The chance (0-1) that was rolled against.
+ * @property {number} rounds - How many rounds the bear will stay.
+ * @property {boolean} reviewStarted - True if the attack started Review Mode.
+ */
+
+/**
+ * @typedef {object} BearLeftEvent
+ * @property {'timeout'|'scaredOff'} reason
+ */
+
+/**
+ * @typedef {object} LevelAdvancedEvent
+ * @property {string} zoneId
+ * @property {number} levelIndex
+ * @property {number} levelId
+ */
+
+/**
+ * @typedef {object} ZoneEvent
+ * @property {string} zoneId - The zone completed, unlocked or entered.
+ * @property {string} [previousZoneId] - For zoneUnlocked, the zone the player came from.
+ */
+
+/**
+ * @typedef {object} ZoneLockedEvent
+ * @property {string} zoneId - The zone the player could not enter yet.
+ * @property {import('./zone_progress.js').UnlockRequirement[]} requirements - Each criterion and whether it is met.
+ */
+
+/**
+ * @typedef {object} PlantEvent
+ * @property {string} root
+ * @property {number} [levelId] - For plantPlanted, the word whose mastery planted it.
+ * @property {string} [stage] - For plantGrew, the stage reached (see GARDEN_SETTINGS).
+ */
+
+/**
+ * @typedef {object} GardenHealthEvent
+ * @property {number} gardenHealth - Health when the garden wilted, revived or recovered.
+ */
+
+/**
+ * @typedef {object} RecoveryStartedEvent
+ * @property {number[]} levelIds - The words to clear, in order.
+ */
+
+/**
+ * @typedef {object} DifficultyChangedEvent
+ * @property {number} from - Adaptive level before (0 easy, 1 normal, 2 hard).
+ * @property {number} to - Adaptive level after.
+ * @property {number} recentAccuracy - The accuracy that caused the change.
+ */
+
+/**
+ * @typedef {object} ReviewStartedEvent
+ * @property {number[]} levelIds - The words queued for review.
+ */
+
+/**
+ * @typedef {object} ReviewDueEvent
+ * @property {number} levelId - The review word slipped in between normal words.
+ */
+
+/**
+ * @typedef {object} ReviewRecordedEvent
+ * @property {number} levelId
+ * @property {boolean} correct - True if the word was recalled without mistakes.
+ * @property {number} repetitions - Spaced correct recalls in a row.
+ * @property {number} dueAt - When the word is next due (ms since epoch).
+ * @property {boolean} mastered
+ */
+
+/**
+ * @typedef {object} ReviewWordMasteredEvent
+ * @property {number} levelId
+ */
+
+/**
+ * @typedef {object} AchievementUnlockedEvent
+ * @property {string} achievementId - One of ACHIEVEMENTS (see achievements.js).
+ * @property {string} title
+ * @property {import('./achievements.js').AchievementReward} reward - Already paid.
+ */
+
+/**
+ * @typedef {object} QuestCompletedEvent
+ * @property {string} questId - One of DAILY_QUESTS (see achievements.js).
+ * @property {string} title
+ * @property {import('./achievements.js').AchievementReward} reward - Already paid.
+ */
+
+/**
+ * @typedef {object} PetLeveledUpEvent
+ * @property {string} petId - One of PET_DEFINITIONS (see pets.js).
+ * @property {number} level - The level reached, from 1.
+ * @property {string} bonus - What the pet now does, e.g. '20% chance of +3 Root Harvest'.
+ */
+
+/**
+ * @typedef {object} PetSwitchedEvent
+ * @property {string | null} petId - The pet now following the player, or null if none.
+ * @property {string | null} previousPetId
+ */
+
+
+// --- 2. EVENT BUS ---
+
+/**
+ * Creates an event bus.
+ * Listener errors are caught and logged so a broken animation can never stop the game.
+ * @returns {object} { on, once, off, emit }
+ */
+export function createEventBus() {
+    /** @type {Map<string, Set<Function>>} */
+    const listeners = new Map();
+    // The wrapper registered for each once() handler, so off() can find it
+    /** @type {Map<string, Map<Function, Function>>} */
+    const onceWrappers = new Map();
+
+    /**
+     * Subscribes to an event.
+     * @param {string} type - One of GAME_EVENTS.
+     * @param {(payload: object) => void} handler
+     * @returns {() => void} Call to unsubscribe.
+     */
+    function on(type, handler) {
+        if (!listeners.has(type)) {
+            listeners.set(type, new Set());
+        }
+        listeners.get(type).add(handler);
+        return () => off(type, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only.
+     * @param {string} type - One of GAME_EVENTS.
+     * @param {(payload: object) => void} handler
+     * @returns {() => void} Call to unsubscribe before it fires.
+     */
+    function once(type, handler) {
+        if (!onceWrappers.has(type)) {
+            onceWrappers.set(type, new Map());
+        }
+        // Like on(), subscribing the same handler twice only subscribes it once
+        if (!onceWrappers.get(type).has(handler)) {
+            const wrapper = (payload) => {
+                off(type, handler);
+                handler(payload);
+            };
+            onceWrappers.get(type).set(handler, wrapper);
+            on(type, wrapper);
+        }
+        return () => off(type, handler);
+    }
+
+    /**
+     * Unsubscribes a handler, whether it was subscribed with on() or once().
+     * @param {string} type
+     * @param {(payload: object) => void} handler
+     */
+    function off(type, handler) {
+        const wrapper = onceWrappers.get(type)?.get(handler);
+        if (wrapper) {
+            onceWrappers.get(type).delete(handler);
+            listeners.get(type)?.delete(wrapper);
+        }
+        listeners.get(type)?.delete(handler);
+    }
+
+    /**
+     * Delivers an event to every current subscriber.
+     * @param {string} type - One of GAME_EVENTS.
+     * @param {object} [payload]
+     */
+    function emit(type, payload = {}) {
+        for (const handler of [...(listeners.get(type) || [])]) {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Error in ${type} listener:`, e);
+            }
+        }
+    }
+
+    return { on, once, off, emit };
+}
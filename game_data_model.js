@@ -3,6 +3,12 @@
 // This file defines the core data structures and the initial game state
 // for the Grammar Garden Guardians application.
 
+import { CURRENT_SCHEMA_VERSION, restoreSave } from './save_schema.js';
+import { loadWordPack } from './word_packs.js';
+import { computeLedgerChecksum } from './currency_ledger.js';
+import { ADAPTIVE_SETTINGS } from './difficulty.js';
+import { createAchievementState } from './achievements.js';
+
 // --- 1. CORE DATA STRUCTURES ---
 
 /**
@@ -11,9 +17,13 @@
  * @property {number} id - The unique ID of the level (used for tracking mistakes).
  * @property {string} fullWord - The derivative word presented to the player (the 'Pest').
  * @property {string} root - The core root word (the 'Root Plant').
- * @property {string[]} decoys - Incorrect root choices for the multiple-choice question.
+ * @property {string[]} decoys - Hand-written incorrect root choices (more are generated by choice_generator.js).
  * @property {string} pos - The correct Part of Speech (POS) of the root ('Fertilizer').
- * @property {string[]} posDecoys - Incorrect POS choices.
+ * @property {string[]} posDecoys - Preferred incorrect POS choices (the other parts of speech fill up the rest).
+ * @property {string} [prefix] - The prefix the word starts with, as spelled in it (e.g., 'In' in 'Inscribe').
+ * @property {string} [suffix] - The suffix the word ends with, which sets its part of speech (e.g., 'ible' in 'Visible').
+ * @property {string} [rootMeaning] - What the root means (e.g., 'to see'); ROOT_MEANINGS in hints.js covers the built-in roots.
+ * @property {'Greek'|'Latin'} [origin] - The language the root comes from.
  */
 
 /**
@@ -23,95 +33,211 @@
  * @property {string} title - The name displayed on the map (e.g., 'Quaint English Garden').
  * @property {Level[]} levels - The array of words/levels in this zone.
  * @property {boolean} isLocked - Flag to prevent access until mastery criteria are met.
+ * @property {import('./zone_progress.js').UnlockRule} [unlock] - The mastery criteria (DEFAULT_UNLOCK_RULE if omitted).
+ * @property {string[]} [questionTypes] - The questions asked of each word, in order (DEFAULT_QUESTION_TYPES if omitted;
+ *   see question_types.js).
+ */
+
+/**
+ * What the player owns and wears.
+ * @typedef {object} Inventory
+ * @property {string | null} hat - ID of the item equipped in each avatar slot (see ITEM_SLOTS), or null.
+ * @property {string | null} apron
+ * @property {string | null} hoe
+ * @property {string[]} ownedItems - IDs of the permanent (slot) items bought.
+ * @property {number} fertilizerCount - Unused Fertilizer.
+ * @property {Object<string, import('./pets.js').PetState>} pets - Adopted pets, by pet ID (see PET_DEFINITIONS).
+ * @property {string | null} activePet - The pet following the player (only one at a time), or null.
  */
 
 /**
  * Defines the comprehensive, persistent state of the player and the garden.
  * Corresponds to the GameState model in the roadmap.
  * @typedef {object} GameState
+ * @property {number} schemaVersion - Save format version, used to migrate older saves.
  * @property {string} currentZoneId - The ID of the zone the player is currently in.
  * @property {number} currentLevelIndex - The index of the current word in the zone's levels array.
- * @property {number} playerHarvest - Soft currency for basic supplies.
- * @property {number} playerGems - Hard currency for permanent items/pets/defenses.
- * @property {number[]} imperfectWords - IDs of levels where the player made a mistake.
- * @property {object} inventory - Tracks cosmetic and active items.
+ * @property {string[]} unlockedZoneIds - Locked zones this player has opened through mastery.
+ * @property {Object<string, import('./zone_progress.js').LevelResult>} levelResults - Latest results per level ID.
+ * @property {number} playerHarvest - Soft currency for basic supplies (derived from currencyLedger).
+ * @property {number} playerGems - Hard currency for permanent items/pets/defenses (derived from currencyLedger).
+ * @property {import('./currency_ledger.js').LedgerEntry[]} currencyLedger - Every credit and debit, oldest first.
+ * @property {string} currencyChecksum - Checksum of currencyLedger, refreshed on every save.
+ * @property {number[]} imperfectWords - IDs of levels where the player made a mistake and that are not yet mastered.
+ * @property {Object<string, import('./review_scheduler.js').ReviewCard>} reviewSchedule - Spaced-repetition cards keyed by level ID.
+ * @property {import('./learning_report.js').Attempt[]} attempts - Every answer given, oldest first (for learning analytics).
+ * @property {string | null} choiceSeed - Seeds the order of answer choices; set when the game is first loaded.
+ * @property {import('./seeded_random.js').RandomState | null} random - The game's random generator (bear attacks, seeds);
+ *   set when the game is first loaded.
+ * @property {number} adaptiveLevel - Where the adaptive difficulty stands, from 0 (easy) to 2 (hard).
+ * @property {Inventory} inventory - Tracks cosmetic and active items.
+ * @property {import('./shop_stock.js').ShopState} shop - Purchases in the current shop rotation, for stock limits.
  * @property {number} gardenHealth - Progress bar health (100 is max).
- * @property {boolean} isBearActive - Flag for the Grizzly Bear threat.
- * @property {number} roundsUntilBearLeaves - Counter for the currency penalty duration.
+ * @property {import('./garden.js').GardenState} garden - Plants for mastered roots and the recovery challenge.
+ * @property {import('./achievements.js').AchievementState} achievements - Counters, streaks, unlocked achievements and today's quests.
+ * @property {import('./active_effects.js').ActiveEffect[]} activeEffects - Timed effects, e.g. the Grizzly Bear threat (3 rounds) or the Rattler (5 rounds).
+ * @property {boolean} isInReviewMode - True while the player is repairing imperfect words after a bear attack.
+ * @property {number[]} reviewQueue - Words still to come in the current bear review session.
+ * @property {number | null} currentReviewLevelId - The review (or garden recovery) word being played, or null for a normal zone word.
+ * @property {import('./turn_engine.js').TurnState | null} turn - Progress through the current word's questions.
  */
 
 
 // --- 2. GAME CONTENT (LEVELS & ZONES) ---
 
-// Define the initial list of levels. The structure ensures we have all necessary components
-// for both the Root Retrieval and POS Fertilizer steps.
-
-/** @type {Level[]} */
-const allLevels = [
-    // Zone 1: English Garden (Beginner) - Focus on simple, common roots
-    { id: 1, fullWord: 'Visible', root: 'Vis', decoys: ['Abl', 'Tion'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
-    { id: 2, fullWord: 'Audience', root: 'Aud', decoys: ['Ence', 'Audi'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 3, fullWord: 'Credible', root: 'Cred', decoys: ['Able', 'Cree'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
-    { id: 4, fullWord: 'Project', root: 'Ject', decoys: ['Pro', 'Ect'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'] },
-    { id: 5, fullWord: 'Territory', root: 'Terr', decoys: ['Tory', 'Ito'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 6, fullWord: 'Inscribe', root: 'Scrib', decoys: ['In', 'Cribe'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'] },
-
-    // Zone 2: Mossy Glade (Advanced) - Longer words, focus on tougher POS
-    { id: 7, fullWord: 'Demography', root: 'Dem', decoys: ['Graph', 'Yphy'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 8, fullWord: 'Biography', root: 'Bio', decoys: ['Graphy', 'Bioh'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 9, fullWord: 'Symmetric', root: 'Metr', decoys: ['Sym', 'Tric'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
-    { id: 10, fullWord: 'Telepathy', root: 'Path', decoys: ['Tele', 'Ethy'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 11, fullWord: 'Hydration', root: 'Hydr', decoys: ['Tion', 'Drat'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-    { id: 12, fullWord: 'Microscope', root: 'Scop', decoys: ['Micro', 'Rope'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
-];
+// The built-in content is itself a word pack (see word_packs.js for the format), so it goes
+// through the same validator as teacher-made packs. Every level has all the components
+// needed for both the Root Retrieval and POS Fertilizer steps.
+
+/** @type {import('./word_packs.js').WordPack} */
+export const DEFAULT_WORD_PACK = {
+    id: 'default',
+    title: 'Grammar Garden Guardians',
+    zones: [
+        {
+            id: 'EnglishGarden',
+            title: 'Quaint English Country Garden',
+            isLocked: false,
+            // Beginner - Focus on simple, common roots
+            levels: [
+                { id: 1, fullWord: 'Visible', root: 'Vis', decoys: ['Abl', 'Tion'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
+                { id: 2, fullWord: 'Audience', root: 'Aud', decoys: ['Ence', 'Audi'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 3, fullWord: 'Credible', root: 'Cred', decoys: ['Able', 'Cree'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
+                { id: 4, fullWord: 'Project', root: 'Ject', decoys: ['Pro', 'Ect'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'] },
+                { id: 5, fullWord: 'Territory', root: 'Terr', decoys: ['Tory', 'Ito'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 6, fullWord: 'Inscribe', root: 'Scrib', decoys: ['In', 'Cribe'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'] },
+            ],
+        },
+        {
+            id: 'MossyGlade',
+            title: 'The Enchanted Mossy Glade',
+            isLocked: true, // Will be unlocked after English Garden mastery
+            unlock: { minPerfectRatio: 0.8, maxReviewWords: 2, minHealth: 50 },
+            // Advanced - Longer words, focus on tougher POS
+            levels: [
+                { id: 7, fullWord: 'Demography', root: 'Dem', decoys: ['Graph', 'Yphy'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 8, fullWord: 'Biography', root: 'Bio', decoys: ['Graphy', 'Bioh'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 9, fullWord: 'Symmetric', root: 'Metr', decoys: ['Sym', 'Tric'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'] },
+                { id: 10, fullWord: 'Telepathy', root: 'Path', decoys: ['Tele', 'Ethy'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 11, fullWord: 'Hydration', root: 'Hydr', decoys: ['Tion', 'Drat'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+                { id: 12, fullWord: 'Microscope', root: 'Scop', decoys: ['Micro', 'Rope'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'] },
+            ],
+        },
+        {
+            id: 'GrecoRoman',
+            title: 'The Greco-Roman Temple Garden',
+            isLocked: true,
+            unlock: { minPerfectRatio: 0.8, maxReviewWords: 2, minHealth: 50 },
+            // Expert - Etymology: every word also asks what its root means, which suffix
+            // sets its part of speech, and how it is built from its parts
+            questionTypes: ['root', 'meaning', 'suffix', 'build', 'pos'],
+            levels: [
+                { id: 13, fullWord: 'Chronic', root: 'Chron', decoys: ['Onic', 'Chro'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'], suffix: 'ic', rootMeaning: 'time', origin: 'Greek' },
+                { id: 14, fullWord: 'Portable', root: 'Port', decoys: ['Able', 'Orta'], pos: 'Adjective', posDecoys: ['Noun', 'Verb'], suffix: 'able', rootMeaning: 'to carry', origin: 'Latin' },
+                { id: 15, fullWord: 'Dictate', root: 'Dict', decoys: ['Tate', 'Dic'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'], suffix: 'ate', rootMeaning: 'to say', origin: 'Latin' },
+                { id: 16, fullWord: 'Geology', root: 'Geo', decoys: ['Logy', 'Olog'], pos: 'Noun', posDecoys: ['Adjective', 'Verb'], suffix: 'logy', rootMeaning: 'earth', origin: 'Greek' },
+                { id: 17, fullWord: 'Rupture', root: 'Rupt', decoys: ['Ture', 'Rup'], pos: 'Noun', posDecoys: ['Verb', 'Adjective'], suffix: 'ure', rootMeaning: 'to break', origin: 'Latin' },
+                { id: 18, fullWord: 'Sympathize', root: 'Path', decoys: ['Sym', 'Thize'], pos: 'Verb', posDecoys: ['Noun', 'Adjective'], prefix: 'Sym', suffix: 'ize', rootMeaning: 'feeling, suffering', origin: 'Greek' },
+                { id: 19, fullWord: 'Transmission', root: 'Miss', decoys: ['Trans', 'Sion'], pos: 'Noun', posDecoys: ['Verb', 'Adjective'], prefix: 'Trans', suffix: 'ion', rootMeaning: 'to send', origin: 'Latin' },
+                { id: 20, fullWord: 'Inspector', root: 'Spect', decoys: ['Insp', 'Ector'], pos: 'Noun', posDecoys: ['Verb', 'Adjective'], prefix: 'In', suffix: 'or', rootMeaning: 'to look', origin: 'Latin' },
+            ],
+        },
+    ],
+};
 
 /** @type {Zone[]} */
-export const ZONES = [
-    {
-        id: 'EnglishGarden',
-        title: 'Quaint English Country Garden',
-        levels: allLevels.slice(0, 6), // Levels 1-6
-        isLocked: false,
-    },
-    {
-        id: 'MossyGlade',
-        title: 'The Enchanted Mossy Glade',
-        levels: allLevels.slice(6, 12), // Levels 7-12
-        isLocked: true, // Will be unlocked after English Garden mastery
-    },
-    {
-        id: 'GrecoRoman',
-        title: 'The Greco-Roman Temple Garden',
-        levels: [], // Future Greek/Latin root words (Phase 4 content)
-        isLocked: true,
-    },
-];
+export const ZONES = loadWordPack(DEFAULT_WORD_PACK).zones;
 
 
 // --- 3. INITIAL GAME STATE ---
 
-/** @type {GameState} */
-export const INITIAL_GAME_STATE = {
+/**
+ * Recursively freezes an object so shared defaults cannot be mutated by accident.
+ * @param {object} value
+ * @returns {object} The same object, frozen.
+ */
+const deepFreeze = (value) => {
+    Object.values(value).forEach(child => {
+        if (child !== null && typeof child === 'object') deepFreeze(child);
+    });
+    return Object.freeze(value);
+};
+
+/**
+ * The starting state of every new garden. Frozen: use createInitialGameState()
+ * to get a copy that can be played with.
+ * @type {GameState}
+ */
+export const INITIAL_GAME_STATE = deepFreeze({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     currentZoneId: ZONES[0].id,
     currentLevelIndex: 0,
+    unlockedZoneIds: [], // Locked zones opened by this player
+    levelResults: {}, // Latest result per level, used for mastery checks
     playerHarvest: 0, // Root Harvest currency
     playerGems: 0,
+    currencyLedger: [], // Append-only; the balances above are derived from it
+    currencyChecksum: computeLedgerChecksum([]),
     imperfectWords: [], // List of level IDs where mistakes occurred
+    reviewSchedule: {}, // Spaced-repetition cards for those words
+    attempts: [], // Every answer, for the learning report
+    choiceSeed: null, // Picked on first load, so choice order survives reloads
+    random: null, // Seeded on first load; every random draw advances it
+    adaptiveLevel: ADAPTIVE_SETTINGS.startLevel, // Only used by the adaptive difficulty
     inventory: {
-        hat: null, // e.g., 'straw'
-        apron: null, // e.g., 'green'
-        hoe: null, // e.g., 'silver'
-        snakeActive: false,
+        hat: null, // e.g., 'strawHat'
+        apron: null, // e.g., 'fancyApron'
+        hoe: null, // e.g., 'goldenHoe'
+        ownedItems: [], // Cosmetics bought, whether worn or not
         fertilizerCount: 0,
+        pets: {}, // Adopted pets and their experience
+        activePet: null, // e.g., 'magpie'
+    },
+    shop: {
+        rotationKey: null, // Purchase counts reset when the rotation changes
+        purchases: {},
     },
     gardenHealth: 100, // Starts full
-    isBearActive: false,
-    roundsUntilBearLeaves: 0,
-};
+    garden: {
+        plants: [], // One per mastered root
+        pendingLevelIds: [], // Mastered while wilted, planted once health recovers
+        wilted: false,
+        recovery: null, // Words to clear after health reaches 0
+    },
+    achievements: createAchievementState(), // Nothing counted yet; the login streak starts on first load
+    activeEffects: [], // Timed buffs and debuffs
+    isInReviewMode: false,
+    reviewQueue: [],
+    currentReviewLevelId: null,
+    turn: null, // Started when the first question of a word is asked
+});
 
-// Function to safely load state, merging with initial state to ensure new properties are added.
-export const loadGameState = (savedState) => {
-    return savedState
-        ? { ...INITIAL_GAME_STATE, ...savedState }
-        : INITIAL_GAME_STATE;
-};
+/**
+ * Returns a fresh, mutable copy of the initial state, starting in the first of the given zones.
+ * @param {Zone[]} [zones=ZONES] - The zones being played.
+ * @returns {GameState}
+ */
+export const createInitialGameState = (zones = ZONES) => ({
+    ...structuredClone(INITIAL_GAME_STATE),
+    currentZoneId: zones[0].id,
+    unlockedZoneIds: [zones[0].id], // The zone the player is in always counts as unlocked (as after a load)
+});
+
+/**
+ * Restores a saved state: migrates it to the current schema, deep-merges it with the
+ * initial state so new (nested) properties are added, and repairs invalid values.
+ * New games get a fresh copy of the initial state, so games never share one object.
+ * @param {object | null} savedState - Parsed save data, or null for a new game.
+ * @param {Zone[]} [zones=ZONES] - The zones being played, used to check zone and level IDs.
+ * @param {import('./shop_items.js').ShopItem[]} [shopItems] - The shop catalogue, used to check owned items.
+ * @returns {{state: GameState, report: import('./save_schema.js').LoadReport}}
+ * @throws {import('./save_schema.js').SaveFormatError} If the save has to be rejected.
+ */
+export const restoreGameState = (savedState, zones = ZONES, shopItems) => restoreSave(savedState, {
+    zones,
+    defaults: createInitialGameState(zones),
+    shopItems,
+});
+
+// Function to safely load state when the load report is not needed.
+export const loadGameState = (savedState, zones = ZONES) => restoreGameState(savedState, zones).state;
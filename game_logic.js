@@ -1,411 +1,1399 @@
-import { INITIAL_GAME_STATE, ZONES, loadGameState } from './game_data_model.js';
+import { ZONES, createInitialGameState, restoreGameState } from './game_data_model.js';
 import { SHOP_ITEMS } from './shop_items.js'; // Import shop items
+import { createDefaultStorage } from './save_storage.js';
+import { createProfileManager } from './player_profiles.js';
+import { createTurnEngine } from './turn_engine.js';
+import { GAME_EVENTS, createEventBus } from './event_bus.js';
+import { getDueLevelIds, getLearningLevelIds, recordReview } from './review_scheduler.js';
+import { checkZoneUnlock, getPerfectRatio, recordLevelResult } from './zone_progress.js';
+import { createEffectManager } from './active_effects.js';
+import { createItemEffectInterpreter, validateShopItems } from './item_effects.js';
+import { DEFAULT_SHOP_ROTATION, buildShopStock, getRotationKey, syncShopState } from './shop_stock.js';
+import { createWardrobe } from './wardrobe.js';
+import { createGarden } from './garden.js';
+import { createAchievements } from './achievements.js';
+import { createPets } from './pets.js';
+import { buildChoices } from './choice_generator.js';
+import { QUESTION_DEFINITIONS, getLevelQuestionTypes } from './question_types.js';
+import { createRandomState, nextRandom } from './seeded_random.js';
+import { JOURNALED_ACTIONS, JOURNAL_SETTINGS, createJournal, recordJournalEntry } from './session_journal.js';
+import { adjustAdaptiveLevel, getDifficultyProfile, getRecentAccuracy } from './difficulty.js';
+import {
+    attemptsToCsv, buildLearningReport, recordAttempt, reportToCsv, reportToJson,
+} from './learning_report.js';
+import {
+    LEDGER_SOURCES, computeLedgerChecksum, getRefundablePurchases as listRefundablePurchases, recordTransaction,
+} from './currency_ledger.js';
 
-// --- Global Game State and Persistence ---
-let gameState = INITIAL_GAME_STATE;
-let currentZone = ZONES[0];
-// Need to reference all levels for review mode lookup
-const allLevels = ZONES.flatMap(zone => zone.levels);
-let currentLevel = currentZone.levels[0];
+/** @typedef {import('./game_data_model.js').GameState} GameState */
+/** @typedef {import('./game_data_model.js').Level} Level */
+/** @typedef {import('./game_data_model.js').Zone} Zone */
 
-// Keys for localStorage
-const GAME_STATE_KEY = 'grammarGardenState';
+/**
+ * A zone as seen by the current player, for map rendering.
+ * @typedef {object} ZoneStatus
+ * @property {string} id
+ * @property {string} title
+ * @property {boolean} isLocked - True until this player meets the zone's unlock rule.
+ * @property {boolean} isCurrent - True for the zone the player is in.
+ * @property {number} levelCount
+ * @property {number} perfectRatio - Share (0-1) of the zone's words whose latest attempt was perfect.
+ * @property {import('./zone_progress.js').UnlockRequirement[]} requirements - What the unlock rule needs (empty once open).
+ */
 
-// Extend GameState with Review Mode flag
-if (typeof gameState.isInReviewMode === 'undefined') {
-    gameState.isInReviewMode = false;
-}
+/**
+ * Temporary limits and allowances set from outside the game, e.g. by classroom mode during an assessment.
+ * Not saved: whoever sets them is responsible for setting them again after a restart.
+ * @typedef {object} GameRestrictions
+ * @property {boolean} shopLocked - Buying and refunding are blocked.
+ * @property {boolean} bearDisabled - The Grizzly Bear never arrives.
+ * @property {string | null} reason - Shown to the player, e.g. 'Spelling Quiz'.
+ * @property {string[]} openZoneIds - Locked zones the player may enter anyway, e.g. assigned by the teacher.
+ *   They are not unlocked for good: once the restriction is lifted they are locked again.
+ */
 
 /**
- * Saves the current gameState to localStorage.
+ * The difficulty a game is played at.
+ * @typedef {object} DifficultyStatus
+ * @property {string} difficulty - 'easy', 'normal', 'hard' or 'adaptive'.
+ * @property {number | null} adaptiveLevel - 0 (easy) to 2 (hard) when adaptive, otherwise null.
+ * @property {number | null} recentAccuracy - Share of recent answers that were right, once there are enough.
+ * @property {import('./difficulty.js').DifficultyProfile} profile - The numbers in force right now.
  */
-export function saveProgress() {
-    try {
-        localStorage.setItem(GAME_STATE_KEY, JSON.stringify(gameState));
-        console.log('Game state saved.');
-    } catch (e) {
-        console.error('Error saving game state to localStorage:', e);
-    }
-}
 
 /**
- * Loads the game state from localStorage, or uses the initial state if none is found.
+ * The operations exposed by a single, independent game.
+ * @typedef {object} GameEngine
+ * @property {() => void} saveProgress
+ * @property {() => void} loadProgress
+ * @property {() => (import('./save_schema.js').LoadReport | null)} getLastLoadReport
+ * @property {() => void} handleRootSuccess
+ * @property {(levelId: number) => void} handleRootFailure
+ * @property {(isPerfect: boolean) => void} handlePOSSuccess
+ * @property {(levelId: number) => void} handlePOSFailure
+ * @property {(itemId: string) => object} buyItem
+ * @property {() => GameRestrictions} getRestrictions
+ * @property {(restrictions: Partial<GameRestrictions>) => void} setRestrictions
+ * @property {() => import('./shop_stock.js').ShopStockEntry[]} getShopStock
+ * @property {() => import('./shop_items.js').ShopItem[]} getShopItems - The whole catalogue the engine was created with.
+ * @property {() => import('./wardrobe.js').WardrobeView} getWardrobe
+ * @property {(itemId: string) => object} equipItem
+ * @property {(slot: string) => object} unequipItem
+ * @property {() => import('./pets.js').PetView[]} getPets
+ * @property {(petId: string | null) => object} setActivePet
+ * @property {() => import('./currency_ledger.js').LedgerEntry[]} getLedger
+ * @property {() => import('./currency_ledger.js').LedgerEntry[]} getRefundablePurchases
+ * @property {(entryId: number) => object} refundPurchase
+ * @property {(wasPerfect: boolean) => void} advanceLevel
+ * @property {() => import('./turn_engine.js').TurnState} getTurn
+ * @property {() => string[]} getChoices
+ * @property {(choice: string) => import('./turn_engine.js').AnswerResult} submitAnswer
+ * @property {(type: string) => {success: boolean, message: string, hint?: import('./hints.js').Hint}} useHint
+ * @property {() => Level} nextWord
+ * @property {() => import('./player_profiles.js').PlayerProfile[]} listProfiles
+ * @property {() => import('./player_profiles.js').PlayerProfile} getActiveProfile
+ * @property {(name: string) => object} createProfile
+ * @property {(profileId: string) => object} switchProfile
+ * @property {(profileId: string, newName: string) => object} renameProfile
+ * @property {(profileId: string) => object} deleteProfile
+ * @property {() => DifficultyStatus} getDifficulty
+ * @property {() => import('./learning_report.js').LearningReport} getLearningReport
+ * @property {(format: 'json'|'csv'|'attemptsCsv') => string} exportLearningReport
+ * @property {() => GameState} getGameState
+ * @property {() => Level} getCurrentLevel
+ * @property {() => Zone[]} getZones
+ * @property {() => ZoneStatus[]} getZoneStatus
+ * @property {(zoneId: string) => object} travelToZone
+ * @property {() => import('./garden.js').GardenView} getGarden
+ * @property {() => {achievements: import('./achievements.js').GoalView[], streaks: object}} getAchievements
+ * @property {() => {day: number, quests: import('./achievements.js').GoalView[]}} getDailyQuests
+ * @property {() => import('./active_effects.js').ActiveEffect[]} getActiveEffects
+ * @property {() => boolean} isBearActive
+ * @property {(type: string, handler: Function) => (() => void)} on - Subscribes to a game event; returns an unsubscribe function.
+ * @property {(type: string, handler: Function) => (() => void)} once - Subscribes to the next occurrence of a game event.
+ * @property {(type: string, handler: Function) => void} off - Unsubscribes from a game event.
+ * @property {() => import('./session_journal.js').SessionJournal | null} getSessionJournal - Every action since the last load
+ *   (null if the engine was created with recordJournal false).
  */
-export function loadProgress() {
-    try {
-        const savedState = JSON.parse(localStorage.getItem(GAME_STATE_KEY));
-        gameState = loadGameState(savedState);
-        // Ensure new properties are initialized if not present in old save data
-        if (typeof gameState.isInReviewMode === 'undefined') {
-            gameState.isInReviewMode = false;
-        }
-
-        // Sync current zone and level based on loaded state
-        currentZone = ZONES.find(z => z.id === gameState.currentZoneId) || ZONES[0];
-        
-        // Determine the next level to load based on mode
-        if (gameState.isInReviewMode) {
-             currentLevel = loadReviewLevel(true); // Loads the next review level without advancing the index
-        } else {
-             // Ensure index is valid for the current zone
-             const zoneLevels = currentZone.levels;
-             if (gameState.currentLevelIndex >= zoneLevels.length) {
-                 gameState.currentLevelIndex = zoneLevels.length - 1; // Cap at last level if corrupted
-             }
-             currentLevel = zoneLevels[gameState.currentLevelIndex] || zoneLevels[0];
+
+/**
+ * Creates an independent game engine with its own state, storage and content.
+ * Nothing is shared between engines, so several players (or many test games)
+ * can run side by side. The engine loads the active profile's save (or options.profileId's) when created.
+ * @param {object} [options]
+ * @param {import('./save_storage.js').StorageAdapter} [options.storage] - Where saves live (localStorage, or memory under Node, by default).
+ * @param {{zones: Zone[], shopItems?: import('./shop_items.js').ShopItem[], shopRotation?: import('./shop_stock.js').ShopRotation}} [options.content]
+ *   The zones and levels to play (the built-in ZONES by default), the shop catalogue (SHOP_ITEMS by default)
+ *   and how its stock rotates (DEFAULT_SHOP_ROTATION by default).
+ * @param {() => number} [options.rng] - Random number source returning [0, 1). By default the game uses its own
+ *   seeded generator, saved with the game (GameState.random), so sessions can be replayed exactly.
+ * @param {string} [options.seed] - Seed for the generator of a new game (picked at random by default).
+ * @param {{now: () => number}} [options.clock] - Time source in ms since epoch (Date.now by default).
+ *   It stands still for the length of each journaled action.
+ * @param {string} [options.difficulty='normal'] - 'easy', 'normal', 'hard' or 'adaptive'; sets the bear odds,
+ *   penalties, rewards and answer choices (see DIFFICULTY_PROFILES).
+ * @param {string} [options.profileId] - Play this profile without making it the device's active profile
+ *   (e.g. a student's garden in classroom mode). Only its save is loaded and written.
+ * @param {boolean} [options.persist=true] - Save to storage as the game goes. Turn it off for throwaway games
+ *   (e.g. the balance simulator): every save serialises the whole state.
+ * @param {boolean} [options.recordJournal=true] - Keep a session journal for replays. Turn it off where nobody will
+ *   replay the session (e.g. the balance simulator): each journaled action hashes the whole state.
+ * @returns {GameEngine}
+ */
+export function createGame({
+    storage = createDefaultStorage(),
+    content = { zones: ZONES },
+    rng = null,
+    seed = null,
+    clock: baseClock = { now: () => Date.now() },
+    difficulty = 'normal',
+    profileId = null,
+    persist = true,
+    recordJournal = true,
+} = {}) {
+    // Time is pinned while a journaled action runs, so replaying it at the recorded time gives the same result
+    let pinnedNow = null;
+    const clock = { now: () => pinnedNow ?? baseClock.now() };
+
+    // --- Game State and Persistence ---
+    const zones = content.zones;
+    // Need to reference all levels for review mode lookup
+    const allLevels = zones.flatMap(zone => zone.levels);
+    // Other roots in the content, offered as decoys when a word cannot supply enough
+    const packRoots = [...new Set(allLevels.map(level => level.root))];
+    const shopItems = content.shopItems || SHOP_ITEMS;
+    const shopRotation = content.shopRotation || DEFAULT_SHOP_ROTATION;
+    validateShopItems(shopItems);
+    getDifficultyProfile(difficulty); // Throws for an unknown difficulty
+    const profiles = createProfileManager(storage, clock, { profileId });
+    const events = createEventBus();
+    // Timed buffs/debuffs (the bear, the Rattler); rounds tick once per word in advanceLevel()
+    const effects = createEffectManager({
+        getState: () => gameState,
+        clock,
+        emit: events.emit,
+        hooks: {
+            bear: {
+                onExpire: (effect, reason) => events.emit(GAME_EVENTS.BEAR_LEFT, {
+                    reason: reason === 'expired' ? 'timeout' : reason,
+                }),
+            },
+        },
+    });
+    const itemEffects = createItemEffectInterpreter({ getState: () => gameState, effects });
+    const wardrobe = createWardrobe({ getState: () => gameState, shopItems });
+    // Plants for mastered roots, wilting and the recovery challenge at zero health
+    const garden = createGarden({
+        getState: () => gameState,
+        findLevel: (levelId) => allLevels.find(level => level.id === levelId),
+        clock,
+        emit: events.emit,
+    });
+    // Counters and streaks behind achievements and daily quests; rewards are paid as goals are reached
+    const achievements = createAchievements({
+        getState: () => gameState,
+        clock,
+        emit: events.emit,
+        shopItems,
+    });
+    // Pet companions: experience from correct answers, passive bonuses asked for below
+    const pets = createPets({
+        getState: () => gameState,
+        random: () => random(),
+        emit: events.emit,
+    });
+
+    /** @type {GameRestrictions} */
+    let restrictions = { shopLocked: false, bearDisabled: false, reason: null, openZoneIds: [] };
+    let gameState = createInitialGameState(zones);
+    let currentZone = zones[0];
+    let currentLevel = currentZone.levels[0];
+    // What happened during the most recent load (migrations and repairs)
+    let lastLoadReport = null;
+    /** @returns {string} A fresh seed for the order of answer choices. */
+    const newChoiceSeed = () => Math.floor(random() * 0x100000000).toString(36);
+    // Session journal of player actions (see session_journal.js); restarted on every load and when it grows long
+    let journal = null;
+    let journaling = false;
+
+    /**
+     * Draws a random number: from the injected rng if there is one, otherwise from the saved generator.
+     * @returns {number} In [0, 1).
+     */
+    function random() {
+        return rng ? rng() : nextRandom(gameState.random);
+    }
+
+    /**
+     * Gives a new (or older) save its random generator and choice seed.
+     * Picking the seed of a brand-new game is the only place Math.random is used.
+     */
+    function ensureSeeds() {
+        if (gameState.random === null) {
+            gameState.random = createRandomState(seed ?? Math.floor(Math.random() * 0x100000000).toString(36));
         }
+        if (gameState.choiceSeed === null) {
+            gameState.choiceSeed = newChoiceSeed();
+        }
+    }
 
-        console.log('Game state loaded:', gameState);
-    } catch (e) {
-        console.error('Error loading game state from localStorage, initializing new game.', e);
-        gameState = INITIAL_GAME_STATE;
-        saveProgress(); // Save the fresh state
+    /** Starts a new session journal from the state just loaded. */
+    function startJournal() {
+        if (!recordJournal) return;
+        journal = createJournal({
+            profileId: profiles.getActiveProfile().id,
+            difficulty,
+            startedAt: clock.now(),
+            startState: gameState,
+        });
     }
-}
 
-/**
- * Applies the currency rewards based on the action, factoring in the Bear threat.
- * @param {('root'|'pos'|'perfect')} rewardType - The type of reward earned.
- */
-function applyReward(rewardType) {
-    let harvestReward = 0;
-    let gemReward = 0;
-    let harvestMultiplier = 1;
+    /**
+     * Restarts a long session journal from the current state, without reloading.
+     * The restrictions are not part of the state, so they are recorded again as the first entry.
+     */
+    function restartJournal() {
+        // A replay loads the start state like a save, so it gets the checksum a save would give it
+        gameState.currencyChecksum = computeLedgerChecksum(gameState.currencyLedger);
+        startJournal();
+        recordJournalEntry(journal, { at: pinnedNow, action: 'setRestrictions', args: [restrictions], state: gameState });
+    }
 
-    // Check for consumable boosts (e.g., Fertilizer)
-    // Note: We are using 'fertilizerCount' from inventory.
-    if (rewardType === 'pos' && gameState.inventory.fertilizerCount > 0) {
-        harvestMultiplier = 2;
-        // The boost is consumed on use
-        gameState.inventory.fertilizerCount--;
-        console.log("Nutrient Fertilizer consumed! Harvest multiplier applied (x2).");
+    /**
+     * Wraps a public operation so every call is recorded in the session journal.
+     * Calls made while another journaled action runs are part of that action and are not recorded.
+     * @param {string} action - One of JOURNALED_ACTIONS.
+     * @param {Function} operation
+     * @returns {Function}
+     */
+    function journaled(action, operation) {
+        return (...args) => {
+            if (journaling) {
+                return operation(...args);
+            }
+            journaling = true;
+            pinnedNow = baseClock.now();
+            try {
+                return operation(...args);
+            } finally {
+                if (journal) {
+                    recordJournalEntry(journal, { at: pinnedNow, action, args, state: gameState });
+                    // Between words nothing is held outside the saved state, so a long journal can start over there
+                    if (action === 'nextWord' && journal.entries.length >= JOURNAL_SETTINGS.maxEntries) {
+                        restartJournal();
+                    }
+                }
+                pinnedNow = null;
+                journaling = false;
+            }
+        };
     }
+    /** @returns {import('./difficulty.js').DifficultyProfile} The balancing numbers in force right now. */
+    const getProfile = () => getDifficultyProfile(difficulty, gameState.adaptiveLevel);
 
-    switch (rewardType) {
-        case 'root':
-            harvestReward = 1; // +1 Root Harvest for zapping the Pest
-            break;
-        case 'pos':
-            harvestReward = 2; // +2 Root Harvest for applying the Tonic
-            break;
-        case 'perfect':
-            gemReward = 1; // +1 Gem for a perfect word
-            break;
+    /**
+     * Saves the current gameState under the active profile (nothing is saved if the engine does not persist).
+     */
+    function saveProgress() {
+        if (!persist) return;
+        try {
+            gameState.currencyChecksum = computeLedgerChecksum(gameState.currencyLedger);
+            storage.setItem(profiles.getActiveStateKey(), JSON.stringify(gameState));
+            events.emit(GAME_EVENTS.GAME_SAVED, { profileId: profiles.getActiveProfile().id });
+        } catch (e) {
+            console.error(`Error saving game state to ${storage.kind}:`, e);
+        }
     }
 
-    // Apply Multiplier
-    harvestReward = harvestReward * harvestMultiplier;
+    /**
+     * Loads the active profile's game state, or uses the initial state if none is found.
+     */
+    function loadProgress() {
+        const stateKey = profiles.getActiveStateKey();
+        let rawSave = null;
+        try {
+            rawSave = storage.getItem(stateKey);
+            const { state, report } = restoreGameState(JSON.parse(rawSave), zones, shopItems);
+            gameState = state;
+            lastLoadReport = report;
+            if (gameState.random === null || gameState.choiceSeed === null) {
+                ensureSeeds();
+                saveProgress();
+            }
+
+            report.repairs.forEach(({ path, message }) => console.warn(`Save repaired (${path}): ${message}`));
+            if (report.currencyTampered) {
+                console.warn('Currency in this save was edited outside the game.');
+            }
+
+            // Sync current zone and level based on loaded state
+            currentZone = zones.find(z => z.id === gameState.currentZoneId) || zones[0];
+
+            // Resume the review word in progress, if any; otherwise the zone word at the saved index
+            // (the validator has already checked both against the current content)
+            currentLevel = allLevels.find(level => level.id === gameState.currentReviewLevelId)
+                || currentZone.levels[gameState.currentLevelIndex];
 
-    // Apply Bear Penalty (50% reduction in Root Harvest)
-    if (gameState.isBearActive) {
-        harvestReward = Math.floor(harvestReward * 0.5);
+            if (achievements.recordSessionStart()) {
+                saveProgress(); // Keep the login streak even if nothing else is played today
+            }
+            startJournal();
+            events.emit(GAME_EVENTS.GAME_LOADED, { profileId: profiles.getActiveProfile().id, report });
+        } catch (e) {
+            console.error(`Error loading game state from ${storage.kind}, initializing new game.`, e);
+            // Keep the unreadable save around so it can be inspected or recovered later
+            if (rawSave !== null) {
+                storage.setItem(`${stateKey}:rejected`, rawSave);
+            }
+            gameState = createInitialGameState(zones);
+            ensureSeeds();
+            lastLoadReport = null;
+            currentZone = zones[0];
+            currentLevel = currentZone.levels[0];
+            achievements.recordSessionStart();
+            saveProgress(); // Save the fresh state
+            startJournal();
+            events.emit(GAME_EVENTS.GAME_LOADED, { profileId: profiles.getActiveProfile().id, report: null });
+        }
     }
-    
-    gameState.playerHarvest += harvestReward;
-    gameState.playerGems += gemReward;
 
-    console.log(`Reward applied: +${harvestReward} Harvest, +${gemReward} Gems. Current Harvest: ${gameState.playerHarvest}`);
+    /**
+     * Returns what happened during the most recent load: the schema versions involved,
+     * migrations applied and fields the validator repaired.
+     * @returns {import('./save_schema.js').LoadReport | null} Null if the last load fell back to a new game.
+     */
+    const getLastLoadReport = () => lastLoadReport;
+
+    /**
+     * Applies the currency rewards based on the action, factoring in the Bear threat and the active pet.
+     * @param {('root'|'morphology'|'pos'|'perfect')} rewardType - The type of reward earned.
+     * @param {string} [question] - For 'morphology', the question type answered (meaning, suffix or build).
+     */
+    function applyReward(rewardType, question = null) {
+        let harvestReward = 0;
+        let gemReward = 0;
+        let harvestMultiplier = 1;
+
+        // Check for consumable boosts (e.g., Fertilizer)
+        // Note: We are using 'fertilizerCount' from inventory.
+        if (rewardType === 'pos' && gameState.inventory.fertilizerCount > 0) {
+            harvestMultiplier = 2;
+            // The boost is consumed on use
+            gameState.inventory.fertilizerCount--;
+            events.emit(GAME_EVENTS.FERTILIZER_CONSUMED, { remaining: gameState.inventory.fertilizerCount });
+        }
+
+        const { rewards, bear } = getProfile();
+        switch (rewardType) {
+            case 'root':
+                harvestReward = rewards.root; // Root Harvest for zapping the Pest
+                break;
+            case 'morphology':
+                harvestReward = rewards.morphology; // Root Harvest for a meaning, suffix or build question
+                break;
+            case 'pos':
+                harvestReward = rewards.pos; // Root Harvest for applying the Tonic
+                break;
+            case 'perfect':
+                gemReward = rewards.perfect; // Gems for a perfect word
+                break;
+        }
+
+        // Apply Multiplier
+        harvestReward = harvestReward * harvestMultiplier;
+
+        // The active pet may bring a little extra (the bear does not take a share of it)
+        const petHarvest = harvestReward > 0 ? pets.rollExtraHarvest() : 0;
+
+        // Apply Bear Penalty (the bear takes its share of Root Harvest, rounded in its favour)
+        let bearPenalty = 0;
+        if (effects.hasEffect('bear')) {
+            bearPenalty = harvestReward - Math.floor(harvestReward * (1 - bear.harvestShare));
+            harvestReward -= bearPenalty;
+        }
+
+        // Credit the full reward, then book what the bear took, so the ledger shows both
+        const at = clock.now();
+        const levelId = currentLevel.id;
+        recordTransaction(gameState, { at, source: rewardType, currency: 'harvest', amount: harvestReward + bearPenalty, levelId });
+        recordTransaction(gameState, { at, source: LEDGER_SOURCES.BEAR_PENALTY, currency: 'harvest', amount: -bearPenalty, levelId });
+        recordTransaction(gameState, { at, source: rewardType, currency: 'gem', amount: gemReward, levelId });
+        recordTransaction(gameState, { at, source: LEDGER_SOURCES.PET, currency: 'harvest', amount: petHarvest, levelId });
 
-    // If a penalty was applied, decrement the bear timer
-    if (gameState.isBearActive && (harvestReward > 0 || gemReward > 0)) {
-        gameState.roundsUntilBearLeaves--;
-        if (gameState.roundsUntilBearLeaves <= 0) {
-            gameState.isBearActive = false;
-            console.log("The Grizzly Bear has left! Your garden is safe.");
+        // A finished word: the active pet may restore some health (a garden at 0 waits for the recovery challenge)
+        let petHealth = 0;
+        if (rewardType === 'pos' && gameState.gardenHealth > 0) {
+            const before = gameState.gardenHealth;
+            gameState.gardenHealth = Math.min(100, before + pets.getHealthRegen());
+            petHealth = gameState.gardenHealth - before;
         }
+
+        events.emit(GAME_EVENTS.REWARD_APPLIED, {
+            rewardType,
+            question,
+            harvest: harvestReward,
+            gems: gemReward,
+            multiplier: harvestMultiplier,
+            bearPenalty,
+            petHarvest,
+            petHealth,
+            totalHarvest: gameState.playerHarvest,
+            totalGems: gameState.playerGems,
+        });
     }
-}
 
-// --- Game Action Handlers (Success/Failure) ---
+    // --- Game Action Handlers (Success/Failure) ---
+    // Low-level handlers: they trust the caller. UIs should go through submitAnswer()
+    // (see Turn Flow below), which checks answers and calls these in the right order.
 
-/**
- * Handles a successful Root Retrieval (Phase 1).
- */
-export function handleRootSuccess() {
-    applyReward('root');
-}
+    /**
+     * Handles a successful Root Retrieval (Phase 1).
+     */
+    function handleRootSuccess() {
+        applyReward('root');
+        pets.recordCorrectAnswer();
+        achievements.recordAnswer('root', true);
+    }
 
-/**
- * Handles a failed Root Retrieval (Phase 1).
- * @param {number} levelId - The ID of the current level for tracking mistakes.
- */
-export function handleRootFailure(levelId) {
-    // 1. Mistake Tracking
-    if (!gameState.imperfectWords.includes(levelId)) {
-        gameState.imperfectWords.push(levelId);
-    }
-    // 2. Health Penalty
-    gameState.gardenHealth = Math.max(0, gameState.gardenHealth - 5); 
-    console.warn(`Root ID failed. Imperfect word added (ID ${levelId}). Health: ${gameState.gardenHealth}`);
-}
+    /**
+     * Handles a failed Root Retrieval (Phase 1).
+     * @param {number} levelId - The ID of the current level for tracking mistakes.
+     */
+    function handleRootFailure(levelId) {
+        // 1. Mistake Tracking
+        if (!gameState.imperfectWords.includes(levelId)) {
+            gameState.imperfectWords.push(levelId);
+        }
+        // 2. Health Penalty
+        const healthLost = getProfile().healthPenalties.root;
+        gameState.gardenHealth = Math.max(0, gameState.gardenHealth - healthLost);
+        events.emit(GAME_EVENTS.MISTAKE_RECORDED, { levelId, phase: 'root', healthLost, gardenHealth: gameState.gardenHealth });
+        achievements.recordAnswer('root', false);
+    }
 
-/**
- * Handles a successful POS Fertilizer application (Phase 2).
- * @param {boolean} isPerfect - True if both Root and POS were correct on the first try.
- */
-export function handlePOSSuccess(isPerfect) {
-    applyReward('pos');
-    if (isPerfect) {
-        applyReward('perfect');
+    /**
+     * Handles a correct morphology question (meaning, suffix or build; see question_types.js).
+     * @param {string} type - The question type.
+     */
+    function handleMorphologySuccess(type) {
+        applyReward('morphology', type);
+        pets.recordCorrectAnswer();
+        achievements.recordAnswer(type, true);
     }
-    // Health logic: Plant pulses with light (tiny health boost for maintenance)
-    gameState.gardenHealth = Math.min(100, gameState.gardenHealth + 1);
-}
 
-/**
- * Handles a failed POS Fertilizer application (Phase 2).
- * @param {number} levelId - The ID of the current level for tracking mistakes.
- */
-export function handlePOSFailure(levelId) {
-    // 1. Mistake Tracking
-    if (!gameState.imperfectWords.includes(levelId)) {
-        gameState.imperfectWords.push(levelId);
-    }
-    // 2. Health Penalty
-    gameState.gardenHealth = Math.max(0, gameState.gardenHealth - 10);
-    console.warn(`POS ID failed. Imperfect word added (ID ${levelId}). Health: ${gameState.gardenHealth}`);
-}
+    /**
+     * Handles a wrong morphology question.
+     * @param {string} type - The question type.
+     * @param {number} levelId - The ID of the current level for tracking mistakes.
+     */
+    function handleMorphologyFailure(type, levelId) {
+        if (!gameState.imperfectWords.includes(levelId)) {
+            gameState.imperfectWords.push(levelId);
+        }
+        const healthLost = getProfile().healthPenalties.morphology;
+        gameState.gardenHealth = Math.max(0, gameState.gardenHealth - healthLost);
+        events.emit(GAME_EVENTS.MISTAKE_RECORDED, { levelId, phase: type, healthLost, gardenHealth: gameState.gardenHealth });
+        achievements.recordAnswer(type, false);
+    }
 
-// --- Shop and Inventory Logic ---
+    /**
+     * Handles a successful POS Fertilizer application (Phase 2).
+     * @param {boolean} isPerfect - True if every question of the word was correct on the first try.
+     */
+    function handlePOSSuccess(isPerfect) {
+        applyReward('pos');
+        if (isPerfect) {
+            applyReward('perfect');
+        }
+        // Health logic: Plant pulses with light (tiny health boost for maintenance)
+        // A garden at 0 cannot heal itself: only the recovery challenge brings it back
+        if (gameState.gardenHealth > 0) {
+            gameState.gardenHealth = Math.min(100, gameState.gardenHealth + 1);
+        }
+        pets.recordCorrectAnswer();
+        achievements.recordAnswer('pos', true);
+    }
 
-/**
- * Attempts to purchase an item, updating currency and inventory if successful.
- * @param {string} itemId - The ID of the item to purchase (must match item in SHOP_ITEMS).
- * @returns {object} { success: boolean, message: string }
- */
-export function buyItem(itemId) {
-    const item = SHOP_ITEMS.find(i => i.id === itemId);
-
-    if (!item) {
-        return { success: false, message: 'Error: Item not found.' };
-    }
-
-    // 1. Check if item is already owned (for permanent items)
-    if (item.type === 'cosmetic' && gameState.inventory[item.id]) {
-        return { success: false, message: 'You already own this item.' };
-    }
-    
-    // Check defense item status
-    if (item.id === 'rattlerSnake' && gameState.inventory.snakeActive) {
-        return { success: false, message: 'The Rattler is already guarding your garden!' };
-    }
-
-    // 2. Check sufficient funds
-    if (item.currencyType === 'harvest' && gameState.playerHarvest < item.cost) {
-        return { success: false, message: `Not enough Root Harvest! Need ${item.cost}.` };
-    }
-    if (item.currencyType === 'gem' && gameState.playerGems < item.cost) {
-        return { success: false, message: `Not enough Guardian Gems! Need ${item.cost}.` };
-    }
-
-    // --- Purchase Successful ---
-
-    // 3. Deduct currency
-    if (item.currencyType === 'harvest') {
-        gameState.playerHarvest -= item.cost;
-    } else {
-        gameState.playerGems -= item.cost;
-    }
-
-    // 4. Apply effect and update inventory
-    let inventoryKey;
-    switch (item.type) {
-        case 'cosmetic':
-            // Cosmetic items are tracked by their type (hat, apron, hoe)
-            // The item ID is saved under the category key
-            inventoryKey = item.id.replace(/(Hat|Apron|Hoe)$/, '').toLowerCase() + item.type.replace('c', 'C');
-            gameState.inventory[inventoryKey] = item.id;
-            break;
-        case 'consumable':
-            // Fertilizer is tracked by count
-            gameState.inventory.fertilizerCount++;
-            break;
-        case 'defense':
-            // Snake activates immediately upon purchase
-            if (item.id === 'rattlerSnake') {
-                gameState.inventory.snakeActive = true;
-                // If the bear is active, purchasing the snake scares it away immediately
-                if (gameState.isBearActive) {
-                    gameState.isBearActive = false;
-                    gameState.roundsUntilBearLeaves = 0;
-                    console.log("Rattler purchased! The Grizzly Bear has been scared off!");
-                }
-            }
-            break;
+    /**
+     * Handles a failed POS Fertilizer application (Phase 2).
+     * @param {number} levelId - The ID of the current level for tracking mistakes.
+     */
+    function handlePOSFailure(levelId) {
+        // 1. Mistake Tracking
+        if (!gameState.imperfectWords.includes(levelId)) {
+            gameState.imperfectWords.push(levelId);
+        }
+        // 2. Health Penalty
+        const healthLost = getProfile().healthPenalties.pos;
+        gameState.gardenHealth = Math.max(0, gameState.gardenHealth - healthLost);
+        events.emit(GAME_EVENTS.MISTAKE_RECORDED, { levelId, phase: 'pos', healthLost, gardenHealth: gameState.gardenHealth });
+        achievements.recordAnswer('pos', false);
     }
 
-    saveProgress(); // Save the state immediately after purchase
-    return { success: true, message: `${item.name} purchased! Garden upgraded.` };
-}
+    /**
+     * Charges Root Harvest for a hint (called by the turn engine).
+     * @param {import('./hints.js').Hint} hint
+     * @param {number} levelId - The word the hint was used on.
+     * @returns {string | null} Why the hint could not be paid for, or null once paid.
+     */
+    function payForHint(hint, levelId) {
+        if (gameState.playerHarvest < hint.cost) {
+            return `Not enough Root Harvest! Need ${hint.cost}.`;
+        }
+        recordTransaction(gameState, {
+            at: clock.now(),
+            source: LEDGER_SOURCES.HINT,
+            currency: 'harvest',
+            amount: -hint.cost,
+            levelId,
+        });
+        return null;
+    }
 
+    // --- Shop and Inventory Logic ---
 
-// --- Level and Progression Management ---
+    /**
+     * @returns {string | null} Why the shop is closed, or null if it is open.
+     */
+    const shopClosedMessage = () => (restrictions.shopLocked
+        ? `The shop is closed during ${restrictions.reason || 'the assessment'}.`
+        : null);
 
-/**
- * Determines the next level to load when in Review Mode.
- * @param {boolean} peek - If true, just return the level without modifying state.
- * @returns {Level | null} The next level to review, or null if review list is empty.
- */
-function loadReviewLevel(peek = false) {
-    if (gameState.imperfectWords.length === 0) {
-        if (!peek) {
-            gameState.isInReviewMode = false;
-            console.log("Review complete! Returning to main progression.");
+    /**
+     * Lists what the shop sells in the current rotation, with prices and stock left.
+     * @returns {import('./shop_stock.js').ShopStockEntry[]}
+     */
+    function getShopStock() {
+        const now = clock.now();
+        syncShopState(gameState.shop, getRotationKey(shopRotation, gameState, now));
+        return buildShopStock(shopItems, shopRotation, {
+            state: gameState,
+            now,
+            getZoneAccess: (zoneId) => {
+                const zone = zones.find(z => z.id === zoneId);
+                if (!zone) return null;
+                return { open: isZoneOpen(zoneId), title: zone.title };
+            },
+        });
+    }
+
+    /**
+     * Attempts to purchase an item, updating currency and inventory if successful.
+     * @param {string} itemId - The ID of the item to purchase (must be in the current stock).
+     * @returns {object} { success: boolean, message: string }
+     */
+    function buyItem(itemId) {
+        const item = shopItems.find(i => i.id === itemId);
+
+        if (!item) {
+            return { success: false, message: 'Error: Item not found.' };
+        }
+        if (item.exclusive) {
+            return { success: false, message: `${item.name} cannot be bought; it is earned through achievements.` };
+        }
+        if (shopClosedMessage()) {
+            return { success: false, message: shopClosedMessage() };
+        }
+
+        // 0. Check the current rotation sells it
+        const stock = getShopStock().find(entry => entry.item.id === item.id);
+        if (!stock) {
+            return { success: false, message: `${item.name} is not in stock right now. Check back later!` };
+        }
+        if (stock.lockedReason) {
+            return { success: false, message: stock.lockedReason };
+        }
+        if (stock.remaining === 0) {
+            return { success: false, message: `${item.name} is sold out! Check back later.` };
+        }
+
+        // 1. Check the item would do something (not already owned, effect not already running)
+        const blocked = itemEffects.checkPurchase(item);
+        if (blocked) {
+            return { success: false, message: blocked };
+        }
+
+        // 2. Check sufficient funds
+        const price = stock.price;
+        if (item.currencyType === 'harvest' && gameState.playerHarvest < price) {
+            return { success: false, message: `Not enough Root Harvest! Need ${price}.` };
+        }
+        if (item.currencyType === 'gem' && gameState.playerGems < price) {
+            return { success: false, message: `Not enough Guardian Gems! Need ${price}.` };
+        }
+
+        // --- Purchase Successful ---
+
+        // 3. Deduct currency
+        const entry = recordTransaction(gameState, {
+            at: clock.now(),
+            source: LEDGER_SOURCES.PURCHASE,
+            currency: item.currencyType,
+            amount: -price,
+            levelId: null,
+            itemId: item.id,
+        });
+        gameState.shop.purchases[item.id] = (gameState.shop.purchases[item.id] || 0) + 1;
+
+        // 4. Apply the item's declared effects (see shop_items.js)
+        itemEffects.applyItem(item);
+        achievements.recordPurchase(entry);
+
+        saveProgress(); // Save the state immediately after purchase
+        events.emit(GAME_EVENTS.ITEM_PURCHASED, {
+            itemId: item.id,
+            cost: price,
+            currencyType: item.currencyType,
+            percentOff: stock.percentOff,
+        });
+        return { success: true, message: `${item.name} purchased! Garden upgraded.` };
+    }
+
+    /**
+     * Returns a recent purchase (see LEDGER_SETTINGS.refundWindowMs) and gives the currency back.
+     * Only items whose effects can be undone (unused consumables, cosmetics) can be refunded.
+     * @param {number} entryId - The ledger entry of the purchase.
+     * @returns {object} { success: boolean, message: string }
+     */
+    function refundPurchase(entryId) {
+        if (shopClosedMessage()) {
+            return { success: false, message: shopClosedMessage() };
+        }
+        const purchase = listRefundablePurchases(gameState.currencyLedger, clock.now()).find(e => e.id === entryId);
+        if (!purchase) {
+            return { success: false, message: 'That purchase can no longer be refunded.' };
+        }
+        const item = shopItems.find(i => i.id === purchase.itemId);
+        if (!item) {
+            return { success: false, message: 'Error: Item not found.' };
+        }
+        const blocked = itemEffects.checkRefund(item);
+        if (blocked) {
+            return { success: false, message: blocked };
+        }
+
+        itemEffects.revertItem(item);
+        achievements.recordRefund(purchase.id);
+        recordTransaction(gameState, {
+            at: clock.now(),
+            source: LEDGER_SOURCES.REFUND,
+            currency: purchase.currency,
+            amount: -purchase.amount,
+            levelId: null,
+            itemId: item.id,
+            refundOf: purchase.id,
+        });
+        // The item goes back on the shelf if it was bought in this rotation
+        if (gameState.shop.purchases[item.id] > 0) {
+            gameState.shop.purchases[item.id]--;
+        }
+
+        saveProgress();
+        events.emit(GAME_EVENTS.ITEM_REFUNDED, { itemId: item.id, amount: -purchase.amount, currencyType: purchase.currency });
+        return { success: true, message: `${item.name} returned. Your ${purchase.currency === 'gem' ? 'Guardian Gems have' : 'Root Harvest has'} been refunded.` };
+    }
+
+    /**
+     * Wears an owned cosmetic, swapping out whatever was in its slot.
+     * @param {string} itemId
+     * @returns {object} { success: boolean, message: string }
+     */
+    function equipItem(itemId) {
+        const result = wardrobe.equipItem(itemId);
+        if (result.success) {
+            saveProgress();
+            events.emit(GAME_EVENTS.ITEM_EQUIPPED, { itemId, slot: result.slot, replacedItemId: result.replacedItemId });
+        }
+        return { success: result.success, message: result.message };
+    }
+
+    /**
+     * Takes off whatever is worn in an avatar slot.
+     * @param {string} slot - One of ITEM_SLOTS ('hat', 'apron', 'hoe').
+     * @returns {object} { success: boolean, message: string }
+     */
+    function unequipItem(slot) {
+        const result = wardrobe.unequipSlot(slot);
+        if (result.success) {
+            saveProgress();
+            events.emit(GAME_EVENTS.ITEM_UNEQUIPPED, { itemId: result.itemId, slot });
+        }
+        return { success: result.success, message: result.message };
+    }
+
+    /**
+     * Chooses which adopted pet follows the player (only one at a time).
+     * @param {string | null} petId - One of PET_DEFINITIONS, or null to let the active pet rest.
+     * @returns {object} { success: boolean, message: string }
+     */
+    function setActivePet(petId) {
+        const result = pets.setActivePet(petId);
+        if (result.success) {
+            saveProgress();
+            events.emit(GAME_EVENTS.PET_SWITCHED, { petId, previousPetId: result.previousPetId });
+        }
+        return { success: result.success, message: result.message };
+    }
+
+
+    // --- Player Profiles ---
+
+    /**
+     * Lists every player profile on this device.
+     * @returns {import('./player_profiles.js').PlayerProfile[]}
+     */
+    const listProfiles = () => profiles.listProfiles();
+
+    /**
+     * Returns the profile whose garden is currently loaded.
+     * @returns {import('./player_profiles.js').PlayerProfile}
+     */
+    const getActiveProfile = () => profiles.getActiveProfile();
+
+    /**
+     * Creates a new profile with a fresh garden. The current profile stays active.
+     * @param {string} name - Display name for the new profile.
+     * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+     */
+    const createProfile = (name) => profiles.createProfile(name);
+
+    /**
+     * Saves the current garden, then loads the garden of another profile.
+     * @param {string} profileId - The ID of the profile to switch to.
+     * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+     */
+    function switchProfile(profileId) {
+        if (!profiles.listProfiles().some(p => p.id === profileId)) {
+            return { success: false, message: 'Error: Profile not found.' };
         }
+        saveProgress();
+        const result = profiles.switchProfile(profileId);
+        loadProgress();
+        return result;
+    }
+
+    /**
+     * Renames a profile.
+     * @param {string} profileId - The ID of the profile to rename.
+     * @param {string} newName - The new display name.
+     * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+     */
+    const renameProfile = (profileId, newName) => profiles.renameProfile(profileId, newName);
+
+    /**
+     * Deletes a profile and its saved garden. The active profile cannot be deleted.
+     * @param {string} profileId - The ID of the profile to delete.
+     * @returns {object} { success: boolean, message: string }
+     */
+    const deleteProfile = (profileId) => profiles.deleteProfile(profileId);
+
+
+    // --- Level and Progression Management ---
+
+    /**
+     * Loads the next word from the bear's review queue, or ends Review Mode when it is empty.
+     * @returns {Level | null} The next level to review, or null if the review session is over.
+     */
+    function loadReviewLevel() {
+        while (gameState.reviewQueue.length > 0) {
+            const nextLevelId = gameState.reviewQueue.shift();
+            const reviewLevel = allLevels.find(level => level.id === nextLevelId);
+            if (reviewLevel) {
+                gameState.currentReviewLevelId = reviewLevel.id;
+                currentLevel = reviewLevel;
+                return currentLevel;
+            }
+            // Should not happen, but skip bad IDs just in case
+        }
+
+        gameState.isInReviewMode = false;
+        events.emit(GAME_EVENTS.REVIEW_COMPLETED);
         return null;
     }
 
-    // Always review the word that has been in the list the longest (FIFO)
-    const nextLevelId = gameState.imperfectWords[0];
-    const reviewLevel = allLevels.find(level => level.id === nextLevelId);
+    /**
+     * Loads the next word of the garden's recovery challenge, starting one if health has run out.
+     * @returns {Level | null} The recovery level, or null if the garden is not recovering.
+     */
+    function loadRecoveryLevel() {
+        const levelId = garden.nextRecoveryLevelId(currentLevel.id);
+        const recoveryLevel = levelId === null ? undefined : allLevels.find(level => level.id === levelId);
+        if (!recoveryLevel) {
+            return null;
+        }
+        // Played like a review word, so a reload resumes it
+        gameState.currentReviewLevelId = recoveryLevel.id;
+        currentLevel = recoveryLevel;
+        return currentLevel;
+    }
+
+    /**
+     * Slips the most overdue review word in between two normal words.
+     * @returns {Level | null} The review level, or null if nothing is due.
+     */
+    function loadDueReviewLevel() {
+        const dueLevel = getDueLevelIds(gameState.reviewSchedule, clock.now())
+            .map(levelId => allLevels.find(level => level.id === levelId))
+            .find(Boolean);
+        if (!dueLevel) {
+            return null;
+        }
 
-    if (!reviewLevel) {
-        // Should not happen, but clean up bad ID just in case
-        if (!peek) gameState.imperfectWords.shift();
-        return loadReviewLevel(peek);
+        gameState.currentReviewLevelId = dueLevel.id;
+        currentLevel = dueLevel;
+        events.emit(GAME_EVENTS.REVIEW_DUE, { levelId: dueLevel.id });
+        return currentLevel;
     }
-    
-    currentLevel = reviewLevel;
-    return currentLevel;
-}
 
-/**
- * Attempts to unlock and move to the next sequential zone.
- * @returns {boolean} True if the zone transition was successful.
- */
-function tryAdvanceZone() {
-    const currentZoneIndex = ZONES.findIndex(z => z.id === gameState.currentZoneId);
-    const nextZoneIndex = currentZoneIndex + 1;
+    /**
+     * Feeds the outcome of a finished word into the spaced-repetition schedule.
+     * Mastered words leave the imperfect list; missed words (re)join it.
+     * @param {number} levelId
+     * @param {boolean} wasPerfect
+     */
+    function recordReviewResult(levelId, wasPerfect) {
+        const { card, counted, mastered } = recordReview(gameState.reviewSchedule, levelId, wasPerfect, clock.now());
+        if (!counted) {
+            return;
+        }
 
-    if (nextZoneIndex < ZONES.length) {
-        const nextZone = ZONES[nextZoneIndex];
-        
-        if (nextZone.levels.length === 0) {
-            console.log(`Zone ${nextZone.title} is empty (Phase 4 content pending). Game halted.`);
-            return false; // Stop progression if zone is empty
+        if (!wasPerfect && !gameState.imperfectWords.includes(levelId)) {
+            gameState.imperfectWords.push(levelId);
+        }
+        if (mastered) {
+            gameState.imperfectWords = gameState.imperfectWords.filter(id => id !== levelId);
         }
+        events.emit(GAME_EVENTS.REVIEW_RECORDED, {
+            levelId,
+            correct: wasPerfect,
+            repetitions: card.repetitions,
+            dueAt: card.dueAt,
+            mastered,
+        });
+        if (mastered) {
+            events.emit(GAME_EVENTS.REVIEW_WORD_MASTERED, { levelId });
+        }
+    }
 
-        // UNLOCK AND TRANSITION
-        gameState.currentZoneId = nextZone.id;
+    /**
+     * Moves the player to the first word of a zone.
+     * @param {Zone} zone
+     */
+    function enterZone(zone) {
+        gameState.currentZoneId = zone.id;
         gameState.currentLevelIndex = 0;
-        currentZone = nextZone;
+        currentZone = zone;
         currentLevel = currentZone.levels[0];
-        // Note: The UI layer will need to visually unlock the map segment
-        console.log(`Transitioning to new Zone: ${currentZone.title}`);
-        return true;
-    } else {
-        console.log("All current zones mastered! You are a Grand Guardian!");
-        // The game should offer a final reward or loop back to the first zone here.
-        return false; 
+        achievements.recordZoneEntered();
+        events.emit(GAME_EVENTS.ZONE_ENTERED, { zoneId: zone.id });
     }
-}
 
+    /**
+     * Attempts to unlock and move to the next sequential zone.
+     * A locked zone only opens once its unlock rule (mastery criteria) is met.
+     * @returns {boolean} True if the zone transition was successful.
+     */
+    function tryAdvanceZone() {
+        const currentZoneIndex = zones.findIndex(z => z.id === gameState.currentZoneId);
+        const nextZoneIndex = currentZoneIndex + 1;
 
-/**
- * Advances the game to the next level, handling Zone completion and Review Mode transition.
- * @param {boolean} wasPerfect - True if the last word was answered perfectly (Root & POS).
- */
-export function advanceLevel(wasPerfect) {
-    saveProgress(); // Save before advancing
-
-    // 1. Handle Review Mode Completion/Advancement
-    if (gameState.isInReviewMode) {
-        if (wasPerfect) {
-            // If perfect in review, remove it from the list
-            gameState.imperfectWords.shift();
-            console.log(`Review word mastered (ID ${currentLevel.id}) and removed from list.`);
-        }
-        
-        // Load the next review word, or exit review mode
-        if (loadReviewLevel() !== null) {
+        if (nextZoneIndex < zones.length) {
+            const nextZone = zones[nextZoneIndex];
+
+            if (nextZone.levels.length === 0) {
+                return false; // Stop progression if zone is empty
+            }
+
+            const { unlocked, requirements } = checkZoneUnlock(zones, nextZone.id, gameState, clock.now());
+            if (!unlocked) {
+                if (requirements.every(requirement => requirement.met)) {
+                    // UNLOCK (remembered for this player)
+                    gameState.unlockedZoneIds.push(nextZone.id);
+                    // Note: The UI layer will need to visually unlock the map segment
+                    events.emit(GAME_EVENTS.ZONE_UNLOCKED, { zoneId: nextZone.id, previousZoneId: zones[currentZoneIndex].id });
+                } else if (!restrictions.openZoneIds.includes(nextZone.id)) {
+                    // Not mastered yet: the player keeps practising the current zone
+                    events.emit(GAME_EVENTS.ZONE_LOCKED, { zoneId: nextZone.id, requirements });
+                    return false;
+                }
+                // Otherwise it is open for this session only (see GameRestrictions.openZoneIds)
+            }
+
+            // TRANSITION
+            enterZone(nextZone);
+            return true;
+        } else {
+            events.emit(GAME_EVENTS.ALL_ZONES_COMPLETED);
+            // The game should offer a final reward or loop back to the first zone here.
+            return false; 
+        }
+    }
+
+
+    /**
+     * Advances the game to the next level, handling Zone completion and Review Mode transition.
+     * Review words (from a bear review session or due for spaced repetition) are played
+     * in between zone words without moving the zone's level index.
+     * @param {boolean} wasPerfect - True if the last word was answered perfectly (every question right first time).
+     */
+    function advanceLevel(wasPerfect) {
+        saveProgress(); // Save before advancing
+
+        // 1. Update the spaced-repetition schedule with the word just played
+        const wasReviewWord = gameState.currentReviewLevelId !== null;
+        recordReviewResult(currentLevel.id, wasPerfect);
+        recordLevelResult(gameState.levelResults, currentLevel.id, wasPerfect);
+        gameState.currentReviewLevelId = null;
+        if (difficulty === 'adaptive') {
+            adaptDifficulty();
+        }
+        garden.recordWord(currentLevel, wasPerfect);
+        achievements.recordWord({ wasPerfect, wasReview: wasReviewWord });
+
+        // The word counts as one round for every timed effect (bear, Rattler, ...)
+        effects.tickRound();
+
+        // 2. A garden at zero health must be recovered before anything else
+        if (loadRecoveryLevel() !== null) {
+            return;
+        }
+
+        // 3. Handle Review Mode Completion/Advancement
+        if (gameState.isInReviewMode && loadReviewLevel() !== null) {
             // Still in review mode, next level loaded
             return;
-        } 
+        }
         // If loadReviewLevel returned null, it means Review Mode is now false.
+
+        // 4. Trigger the Bear Event (only if the snake is NOT active)
+        // Note: The bear can be triggered after a perfect review or a normal word.
+        if (maybeTriggerBear(wasPerfect)) {
+            // The bear started a review session; its first word is loaded
+            return;
+        }
+
+        // 5. Slip in one due review word between normal words
+        if (!wasReviewWord && loadDueReviewLevel() !== null) {
+            return;
+        }
+
+        // 6. Normal Progression Logic
+        const currentZoneLevels = currentZone.levels;
+        const nextIndex = gameState.currentLevelIndex + 1;
+
+        if (nextIndex < currentZoneLevels.length) {
+            // Move to the next word in the current zone
+            gameState.currentLevelIndex = nextIndex;
+            currentLevel = currentZoneLevels[nextIndex];
+        } else {
+            // Zone Complete! Try to move to the next zone.
+            events.emit(GAME_EVENTS.ZONE_COMPLETED, { zoneId: currentZone.id });
+            achievements.recordZoneCompleted();
+            if (!tryAdvanceZone()) {
+                // If advancing fails (e.g., last zone is complete), reset to start of the current zone for replayability
+                gameState.currentLevelIndex = 0;
+                currentLevel = currentZoneLevels[0];
+            }
+        }
+
+        // Ensure the currentLevel reference is correct after any index change
+        currentLevel = currentZone.levels[gameState.currentLevelIndex];
+        events.emit(GAME_EVENTS.LEVEL_ADVANCED, {
+            zoneId: currentZone.id,
+            levelIndex: gameState.currentLevelIndex,
+            levelId: currentLevel.id,
+        });
+    }
+
+    /**
+     * Randomly checks if the Grizzly Bear should be triggered, and initiates Review Mode if so.
+     * This should be called after a player completes a word or section.
+     * @param {boolean} wasPerfect - True if the last word was answered perfectly.
+     * @returns {boolean} True if the bear started a review session (a review word is now loaded).
+     */
+    function maybeTriggerBear(wasPerfect) {
+        if (effects.hasEffect('repelBear') || effects.hasEffect('bear')) {
+            return false; // Defense active or bear is already here
+        }
+        if (restrictions.bearDisabled) {
+            return false; // e.g., during an assessment
+        }
+        if (garden.isRecovering()) {
+            return false; // The garden is in enough trouble already
+        }
+
+        // Calculate a failure chance based on mistakes made so far
+        // High mistakes = high chance. Low mistakes (perfect round) = low chance.
+        const { bear } = getProfile();
+
+        // Additive chance for poor performance
+        let mistakeMultiplier = bear.mistakeWeight * gameState.imperfectWords.length / allLevels.length;
+
+        // If the last word was imperfect, increase the immediate chance
+        if (!wasPerfect) {
+            mistakeMultiplier += bear.imperfectBonus;
+        }
+
+        // The active pet may keep the bear further away
+        const triggerChance = (bear.baseChance + mistakeMultiplier) * pets.getBearChanceMultiplier();
+
+        if (random() < triggerChance) {
+            // 1. Activate Bear Penalty
+            const bearRounds = bear.rounds;
+            effects.addEffect('bear', { source: 'grizzlyBear', rounds: bearRounds });
+            achievements.recordBearArrival();
+
+            // 2. Initiate Review Mode (Reinforcement Learning)
+            // Every word still being learned is reviewed, soonest due first (except the word just played).
+            // Otherwise the player was perfect and the Bear just demands the currency toll.
+            const reviewLevelIds = getLearningLevelIds(gameState.reviewSchedule)
+                .filter(levelId => levelId !== currentLevel.id);
+            const reviewStarted = reviewLevelIds.length > 0;
+            events.emit(GAME_EVENTS.BEAR_ARRIVED, {
+                triggerChance,
+                rounds: bearRounds,
+                reviewStarted,
+            });
+            if (reviewStarted) {
+                gameState.isInReviewMode = true;
+                gameState.reviewQueue = reviewLevelIds;
+                events.emit(GAME_EVENTS.REVIEW_STARTED, { levelIds: [...reviewLevelIds] });
+                loadReviewLevel(); // Load the first word to review
+            }
+            return reviewStarted;
+        }
+        return false;
+    }
+
+
+    // --- Map and Zone Travel ---
+
+    /**
+     * @param {string} zoneId
+     * @returns {boolean} True if the zone is unlocked for this player or opened for this session by the restrictions.
+     */
+    function isZoneOpen(zoneId) {
+        return checkZoneUnlock(zones, zoneId, gameState, clock.now()).unlocked || restrictions.openZoneIds.includes(zoneId);
+    }
+
+    /**
+     * Describes every zone for the current player (lock state, progress, unlock requirements).
+     * @returns {ZoneStatus[]}
+     */
+    function getZoneStatus() {
+        return zones.map(zone => {
+            const { requirements } = checkZoneUnlock(zones, zone.id, gameState, clock.now());
+            const unlocked = isZoneOpen(zone.id);
+            return {
+                id: zone.id,
+                title: zone.title,
+                isLocked: !unlocked,
+                isCurrent: zone.id === currentZone.id,
+                levelCount: zone.levels.length,
+                perfectRatio: getPerfectRatio(zone, gameState.levelResults),
+                requirements: unlocked ? [] : requirements,
+            };
+        });
+    }
+
+    /**
+     * Travels to an unlocked zone (e.g., to replay an earlier one), starting at its first word.
+     * @param {string} zoneId - The ID of the zone to travel to.
+     * @returns {object} { success: boolean, message: string }
+     */
+    function travelToZone(zoneId) {
+        const zone = zones.find(z => z.id === zoneId);
+        if (!zone) {
+            return { success: false, message: 'Error: Zone not found.' };
+        }
+        if (zone.id === currentZone.id) {
+            return { success: false, message: `You are already in ${zone.title}.` };
+        }
+        if (zone.levels.length === 0) {
+            return { success: false, message: `${zone.title} has no words yet.` };
+        }
+        if (!isZoneOpen(zone.id)) {
+            return { success: false, message: `${zone.title} is still locked.` };
+        }
+        if (gameState.isInReviewMode) {
+            return { success: false, message: 'Repair your garden before travelling!' };
+        }
+        const turn = gameState.turn;
+        const turnStarted = turn && (turn.phase !== QUESTION_DEFINITIONS[turn.questions[0]].phase || turn.triedChoices.length > 0);
+        if (turn && turn.levelId === currentLevel.id && turnStarted) {
+            return { success: false, message: 'Finish the current word before travelling.' };
+        }
+
+        // Any review word that was slipped in stays scheduled for later
+        gameState.currentReviewLevelId = null;
+        gameState.turn = null;
+        enterZone(zone);
+        saveProgress();
+        return { success: true, message: `Welcome to ${zone.title}!` };
+    }
+
+
+    // --- Turn Flow ---
+    // The turn engine is the preferred way to play: it asks the Root question, the
+    // zone's morphology questions and the POS question, checks answers itself and
+    // calls the handlers above exactly once.
+    const turns = createTurnEngine({
+        getState: () => gameState,
+        getCurrentLevel: () => currentLevel,
+        handleRootSuccess,
+        handleRootFailure,
+        handlePOSSuccess,
+        handlePOSFailure,
+        handleMorphologySuccess,
+        handleMorphologyFailure,
+        advanceLevel,
+        getQuestionTypes: (level) => {
+            const zone = zones.find(z => z.levels.some(l => l.id === level.id));
+            return getLevelQuestionTypes(level, zone && zone.questionTypes);
+        },
+        // Reshuffled every time the word comes round again, stable while it is on screen
+        buildChoices: (level, phase) => buildChoices(level, {
+            phase,
+            seed: `${gameState.choiceSeed}:${level.id}:${gameState.levelResults[level.id]?.attempts || 0}`,
+            choiceCount: getProfile().choiceCount,
+            packRoots,
+            packLevels: allLevels,
+        }),
+        recordAttempt: (attempt) => recordAttempt(gameState.attempts, attempt),
+        payForHint,
+        now: () => clock.now(),
+        emit: events.emit,
+    });
+
+    /**
+     * Buys a hint for the current question and saves, since currency was spent.
+     * @param {string} type - One of HINT_TYPES (see hints.js).
+     * @returns {{success: boolean, message: string, hint?: import('./hints.js').Hint}}
+     */
+    function useHint(type) {
+        const result = turns.useHint(type);
+        if (result.success) {
+            saveProgress();
+        }
+        return result;
+    }
+
+
+    // --- Difficulty ---
+
+    /**
+     * Steps the adaptive difficulty towards the learner's target accuracy (once per word).
+     */
+    function adaptDifficulty() {
+        const from = gameState.adaptiveLevel;
+        gameState.adaptiveLevel = adjustAdaptiveLevel(from, gameState.attempts);
+        if (gameState.adaptiveLevel !== from) {
+            events.emit(GAME_EVENTS.DIFFICULTY_CHANGED, {
+                from,
+                to: gameState.adaptiveLevel,
+                recentAccuracy: getRecentAccuracy(gameState.attempts),
+            });
+        }
+    }
+
+    /**
+     * Describes the difficulty being played, for settings screens and teachers.
+     * @returns {DifficultyStatus}
+     */
+    function getDifficulty() {
+        return {
+            difficulty,
+            adaptiveLevel: difficulty === 'adaptive' ? gameState.adaptiveLevel : null,
+            recentAccuracy: getRecentAccuracy(gameState.attempts),
+            profile: structuredClone(getProfile()),
+        };
+    }
+
+
+    // --- Learning Analytics ---
+
+    /**
+     * Builds the learning report from every answer recorded for this player.
+     * @returns {import('./learning_report.js').LearningReport}
+     */
+    function getLearningReport() {
+        return buildLearningReport(gameState.attempts, zones, { now: clock.now() });
+    }
+
+    /**
+     * Exports the learning report for teachers and parents.
+     * @param {'json'|'csv'|'attemptsCsv'} [format='json'] - 'attemptsCsv' lists every answer instead of the summary.
+     * @returns {string}
+     */
+    function exportLearningReport(format = 'json') {
+        switch (format) {
+            case 'csv':
+                return reportToCsv(getLearningReport());
+            case 'attemptsCsv':
+                return attemptsToCsv(gameState.attempts, zones);
+            case 'json':
+                return reportToJson(getLearningReport());
+            default:
+                throw new Error(`Unknown report format: ${format}`);
+        }
     }
 
-    // 2. Trigger the Bear Event (only if we are NOT in review mode and the snake is NOT active)
-    // Note: The bear can be triggered after a perfect review or a normal word.
-    maybeTriggerBear(wasPerfect);
-    
-    // 3. Normal Progression Logic
-    const currentZoneLevels = currentZone.levels;
-    const nextIndex = gameState.currentLevelIndex + 1;
-
-    if (nextIndex < currentZoneLevels.length) {
-        // Move to the next word in the current zone
-        gameState.currentLevelIndex = nextIndex;
-        currentLevel = currentZoneLevels[nextIndex];
-        console.log(`Advanced to level ${nextIndex + 1} of ${currentZone.title}.`);
-    } else {
-        // Zone Complete! Try to move to the next zone.
-        console.log(`Zone ${currentZone.title} completed! Attempting map transition...`);
-        if (!tryAdvanceZone()) {
-            // If advancing fails (e.g., last zone is complete), reset to start of the current zone for replayability
-            gameState.currentLevelIndex = 0;
-            currentLevel = currentZoneLevels[0];
-            console.log("Zone completed, resetting to beginning of zone for replay.");
-        }
-    }
-    
-    // Ensure the currentLevel reference is correct after any index change
-    currentLevel = currentZone.levels[gameState.currentLevelIndex]; 
+
+    // --- Initialization ---
+    loadProgress(); // Load the active profile's game state
+
+    const engine = {
+        saveProgress,
+        loadProgress,
+        getLastLoadReport,
+        handleRootSuccess,
+        handleRootFailure,
+        handlePOSSuccess,
+        handlePOSFailure,
+        buyItem,
+        getRestrictions: () => structuredClone(restrictions),
+        setRestrictions: (next) => {
+            restrictions = { ...restrictions, ...next };
+        },
+        getShopStock,
+        getShopItems: () => structuredClone(shopItems),
+        getWardrobe: wardrobe.getWardrobe,
+        equipItem,
+        unequipItem,
+        // Pet companions
+        getPets: pets.getPets,
+        setActivePet,
+        // Currency history (copies) and refunds
+        getLedger: () => gameState.currencyLedger.map(entry => ({ ...entry })),
+        getRefundablePurchases: () => listRefundablePurchases(gameState.currencyLedger, clock.now()).map(entry => ({ ...entry })),
+        refundPurchase,
+        advanceLevel,
+        getTurn: turns.getTurn,
+        getChoices: turns.getChoices,
+        submitAnswer: turns.submitAnswer,
+        useHint,
+        nextWord: turns.nextWord,
+        listProfiles,
+        getActiveProfile,
+        createProfile,
+        switchProfile,
+        renameProfile,
+        deleteProfile,
+        getDifficulty,
+        getLearningReport,
+        exportLearningReport,
+        // Game state getter for UI/other modules to read
+        getGameState: () => gameState,
+        // The current level details
+        getCurrentLevel: () => currentLevel,
+        // Zones array for map UI rendering
+        getZones: () => zones,
+        getZoneStatus,
+        travelToZone,
+        // Plants, wilting and recovery for garden rendering
+        getGarden: garden.getGarden,
+        // Achievement and daily quest progress for the trophy screen
+        getAchievements: achievements.getAchievements,
+        getDailyQuests: achievements.getDailyQuests,
+        // Timed effects for HUD rendering
+        getActiveEffects: effects.getActiveEffects,
+        isBearActive: () => effects.hasEffect('bear'),
+        // Event subscriptions (see GAME_EVENTS in event_bus.js)
+        on: events.on,
+        once: events.once,
+        off: events.off,
+        // Session journal for replays and bug reports (see session_replay.js)
+        getSessionJournal: () => structuredClone(journal),
+    };
+    for (const action of JOURNALED_ACTIONS) {
+        engine[action] = journaled(action, engine[action]);
+    }
+    return engine;
 }
 
+
+// --- Default Game (Module-Level API) ---
+// The functions below keep the original single-game API working. They drive one
+// shared engine, created the first time any of them is called (not on import).
+
+let defaultGame = null;
+
 /**
- * Randomly checks if the Grizzly Bear should be triggered, and initiates Review Mode if so.
- * This should be called after a player completes a word or section.
- * @param {boolean} wasPerfect - True if the last word was answered perfectly.
+ * Returns the shared default game, creating it on first use.
+ * @returns {GameEngine}
  */
-function maybeTriggerBear(wasPerfect) {
-    if (gameState.inventory.snakeActive || gameState.isBearActive) {
-        return; // Defense active or bear is already here
-    }
-
-    // Calculate a failure chance based on mistakes made so far
-    // High mistakes = high chance. Low mistakes (perfect round) = low chance.
-    const baseChance = 0.05; // 5% base chance per word
-    
-    // Additive chance for poor performance
-    let mistakeMultiplier = gameState.imperfectWords.length / allLevels.length;
-    
-    // If the last word was imperfect, increase the immediate chance
-    if (!wasPerfect) {
-        mistakeMultiplier += 0.1; // 10% bonus chance if the last word failed
-    }
-
-    const triggerChance = baseChance + mistakeMultiplier;
-
-    if (Math.random() < triggerChance) {
-        console.log(`Bear Trigger Chance was ${Math.round(triggerChance * 100)}%... Successful!`);
-        
-        // 1. Activate Bear Penalty
-        gameState.isBearActive = true;
-        gameState.roundsUntilBearLeaves = 3; // Bear stays for 3 rounds
-
-        // 2. Initiate Review Mode (Reinforcement Learning)
-        if (gameState.imperfectWords.length > 0) {
-            gameState.isInReviewMode = true;
-            loadReviewLevel(); // Load the first word to review
-            console.warn("!! GRIZZLY BEAR ATTACK !! Review Mode Initiated to repair the garden!");
-        } else {
-            // Player was perfect! The Bear is just randomly annoying.
-            // In this case, it just causes the currency penalty without forced review.
-            console.warn("!! GRIZZLY BEAR ATTACK !! You were perfect, but the Bear is demanding a toll!");
-        }
+export function getDefaultGame() {
+    if (!defaultGame) {
+        defaultGame = createGame();
     }
+    return defaultGame;
 }
 
+/**
+ * Replaces the default game's storage backend (e.g., IndexedDB or a JSON file) and
+ * loads the active profile's garden from it.
+ * @param {import('./save_storage.js').StorageAdapter} adapter - The storage adapter to use.
+ */
+export function setStorage(adapter) {
+    defaultGame = createGame({ storage: adapter });
+}
+
+export const saveProgress = () => getDefaultGame().saveProgress();
+export const loadProgress = () => getDefaultGame().loadProgress();
+export const getLastLoadReport = () => getDefaultGame().getLastLoadReport();
+export const handleRootSuccess = () => getDefaultGame().handleRootSuccess();
+export const handleRootFailure = (levelId) => getDefaultGame().handleRootFailure(levelId);
+export const handlePOSSuccess = (isPerfect) => getDefaultGame().handlePOSSuccess(isPerfect);
+export const handlePOSFailure = (levelId) => getDefaultGame().handlePOSFailure(levelId);
+export const buyItem = (itemId) => getDefaultGame().buyItem(itemId);
+export const getRestrictions = () => getDefaultGame().getRestrictions();
+export const setRestrictions = (restrictions) => getDefaultGame().setRestrictions(restrictions);
+export const getShopStock = () => getDefaultGame().getShopStock();
+export const getShopItems = () => getDefaultGame().getShopItems();
+export const getWardrobe = () => getDefaultGame().getWardrobe();
+export const equipItem = (itemId) => getDefaultGame().equipItem(itemId);
+export const unequipItem = (slot) => getDefaultGame().unequipItem(slot);
+export const getPets = () => getDefaultGame().getPets();
+export const setActivePet = (petId) => getDefaultGame().setActivePet(petId);
+export const getLedger = () => getDefaultGame().getLedger();
+export const getRefundablePurchases = () => getDefaultGame().getRefundablePurchases();
+export const refundPurchase = (entryId) => getDefaultGame().refundPurchase(entryId);
+export const advanceLevel = (wasPerfect) => getDefaultGame().advanceLevel(wasPerfect);
+export const getTurn = () => getDefaultGame().getTurn();
+export const getChoices = () => getDefaultGame().getChoices();
+export const submitAnswer = (choice) => getDefaultGame().submitAnswer(choice);
+export const useHint = (type) => getDefaultGame().useHint(type);
+export const nextWord = () => getDefaultGame().nextWord();
+export const listProfiles = () => getDefaultGame().listProfiles();
+export const getActiveProfile = () => getDefaultGame().getActiveProfile();
+export const createProfile = (name) => getDefaultGame().createProfile(name);
+export const switchProfile = (profileId) => getDefaultGame().switchProfile(profileId);
+export const renameProfile = (profileId, newName) => getDefaultGame().renameProfile(profileId, newName);
+export const deleteProfile = (profileId) => getDefaultGame().deleteProfile(profileId);
+
+// Export the difficulty in force and the learning report for teachers
+export const getDifficulty = () => getDefaultGame().getDifficulty();
+export const getLearningReport = () => getDefaultGame().getLearningReport();
+export const exportLearningReport = (format) => getDefaultGame().exportLearningReport(format);
 
 // Export the game state getter for UI/other modules to read
-export const getGameState = () => gameState;
+export const getGameState = () => getDefaultGame().getGameState();
 
 // Export the current level details
-export const getCurrentLevel = () => currentLevel;
+export const getCurrentLevel = () => getDefaultGame().getCurrentLevel();
 
 // Export ZONES array for map UI rendering
-export const getZones = () => ZONES;
-
+export const getZones = () => getDefaultGame().getZones();
+export const getZoneStatus = () => getDefaultGame().getZoneStatus();
+export const travelToZone = (zoneId) => getDefaultGame().travelToZone(zoneId);
+export const getGarden = () => getDefaultGame().getGarden();
+export const getAchievements = () => getDefaultGame().getAchievements();
+export const getDailyQuests = () => getDefaultGame().getDailyQuests();
+export const getActiveEffects = () => getDefaultGame().getActiveEffects();
+export const isBearActive = () => getDefaultGame().isBearActive();
+export const getSessionJournal = () => getDefaultGame().getSessionJournal();
 
-// --- Initialization Example ---
-loadProgress(); // Load the game state on startup
+// Export event subscriptions for animations and sounds
+export const on = (type, handler) => getDefaultGame().on(type, handler);
+export const once = (type, handler) => getDefaultGame().once(type, handler);
+export const off = (type, handler) => getDefaultGame().off(type, handler);
@@ -0,0 +1,214 @@
+// garden.js
+//
+// The garden the player is growing. Every root the player masters is planted
+// in the plot and grows through stages as the player keeps answering
+// perfectly. Garden health matters: below the wilt line plants wilt, stop
+// growing, and newly mastered roots wait for the garden to recover before
+// they are planted. At zero health a recovery challenge starts, built from the
+// words the player got wrong; clearing it brings the garden back.
+
+import { GAME_EVENTS } from './event_bus.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Tuning for the garden. */
+export const GARDEN_SETTINGS = Object.freeze({
+    wiltBelow: 30, // Plants wilt and nothing can be planted while health is below this
+    // Growth needed for each stage; a plant grows 1 per perfect word while the garden is not wilted
+    growthStages: Object.freeze([
+        Object.freeze({ stage: 'seedling', minGrowth: 0 }),
+        Object.freeze({ stage: 'sprout', minGrowth: 3 }),
+        Object.freeze({ stage: 'budding', minGrowth: 8 }),
+        Object.freeze({ stage: 'blooming', minGrowth: 15 }),
+    ]),
+    recoveryWords: 5, // Most words in a recovery challenge
+    recoveryHealth: 50, // Health once the challenge is cleared
+    plotColumns: 4, // Plants per row when rendered
+});
+
+/**
+ * A mastered root growing in the plot.
+ * @typedef {object} Plant
+ * @property {string} root - e.g., 'Vis'.
+ * @property {number} levelId - The word whose mastery planted it.
+ * @property {number} plantedAt - ms since epoch.
+ * @property {number} growth - Perfect words played since planting while the garden was healthy.
+ */
+
+/**
+ * Words to clear, perfectly, to bring the garden back from zero health.
+ * @typedef {object} RecoveryChallenge
+ * @property {number[]} levelIds - Still to clear, the next one first.
+ * @property {number} total - Words in the challenge when it started.
+ */
+
+/**
+ * The garden part of GameState.
+ * @typedef {object} GardenState
+ * @property {Plant[]} plants - In planting order, one per root.
+ * @property {number[]} pendingLevelIds - Mastered while wilted; planted once the garden recovers.
+ * @property {boolean} wilted - Whether the garden was wilted after the last word.
+ * @property {RecoveryChallenge | null} recovery
+ */
+
+/**
+ * The garden as seen by the renderer.
+ * @typedef {object} GardenView
+ * @property {number} health - 0-100.
+ * @property {boolean} wilted
+ * @property {boolean} canPlant - False while wilted or recovering.
+ * @property {{root: string, levelId: number, stage: string, growth: number, wilted: boolean, row: number, column: number}[]} plants
+ * @property {number} pendingCount - Roots waiting to be planted.
+ * @property {{remaining: number, total: number, nextLevelId: number} | null} recovery
+ */
+
+
+// --- 2. HELPERS ---
+
+/**
+ * @param {number} growth
+ * @param {object} [settings=GARDEN_SETTINGS]
+ * @returns {string} The growth stage name.
+ */
+export function getGrowthStage(growth, settings = GARDEN_SETTINGS) {
+    return settings.growthStages.filter(s => growth >= s.minGrowth).pop().stage;
+}
+
+/**
+ * @param {number} health
+ * @param {object} [settings=GARDEN_SETTINGS]
+ * @returns {boolean}
+ */
+export const isWilting = (health, settings = GARDEN_SETTINGS) => health < settings.wiltBelow;
+
+
+// --- 3. GARDEN ---
+
+/**
+ * Creates the garden for one game. The engine reports each finished word with
+ * recordWord() and asks nextRecoveryLevelId() for the word to play next.
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {(levelId: number) => (import('./game_data_model.js').Level | undefined)} options.findLevel
+ * @param {{now: () => number}} options.clock
+ * @param {(type: string, payload?: object) => void} options.emit - Emits a game event.
+ * @param {object} [options.settings=GARDEN_SETTINGS]
+ * @returns {object} { recordWord, nextRecoveryLevelId, isRecovering, getGarden }
+ */
+export function createGarden({ getState, findLevel, clock, emit, settings = GARDEN_SETTINGS }) {
+    const hasPlant = (garden, root) => garden.plants.some(p => p.root.toLowerCase() === root.toLowerCase());
+
+    /**
+     * Plants a level's root, unless one is already growing.
+     * @param {import('./game_data_model.js').Level} level
+     */
+    function plant(level) {
+        const { garden } = getState();
+        if (hasPlant(garden, level.root)) return;
+        garden.plants.push({ root: level.root, levelId: level.id, plantedAt: clock.now(), growth: 0 });
+        emit(GAME_EVENTS.PLANT_PLANTED, { root: level.root, levelId: level.id });
+    }
+
+    /**
+     * Updates the garden after a finished word: wilting, growth, planting and the recovery challenge.
+     * Call after the word's review result is recorded (imperfectWords is up to date).
+     * @param {import('./game_data_model.js').Level} level - The word just played.
+     * @param {boolean} wasPerfect
+     */
+    function recordWord(level, wasPerfect) {
+        const state = getState();
+        const { garden } = state;
+
+        // 1. Recovery challenge: perfect clears the word, otherwise it comes round again
+        if (garden.recovery && garden.recovery.levelIds[0] === level.id) {
+            garden.recovery.levelIds.shift();
+            if (!wasPerfect) {
+                garden.recovery.levelIds.push(level.id);
+            }
+            if (garden.recovery.levelIds.length === 0) {
+                garden.recovery = null;
+                state.gardenHealth = Math.max(state.gardenHealth, settings.recoveryHealth);
+                emit(GAME_EVENTS.GARDEN_RECOVERED, { gardenHealth: state.gardenHealth });
+            }
+        }
+
+        // 2. Wilting follows health
+        const wilted = isWilting(state.gardenHealth, settings);
+        if (wilted !== garden.wilted) {
+            garden.wilted = wilted;
+            emit(wilted ? GAME_EVENTS.GARDEN_WILTED : GAME_EVENTS.GARDEN_REVIVED, { gardenHealth: state.gardenHealth });
+        }
+
+        // 3. Growth
+        if (wasPerfect && !wilted) {
+            for (const p of garden.plants) {
+                const before = getGrowthStage(p.growth, settings);
+                p.growth++;
+                const stage = getGrowthStage(p.growth, settings);
+                if (stage !== before) {
+                    emit(GAME_EVENTS.PLANT_GREW, { root: p.root, stage });
+                }
+            }
+        }
+
+        // 4. Planting: a mastered root is planted, or waits while the garden is wilted or recovering
+        const mastered = wasPerfect && !state.imperfectWords.includes(level.id);
+        if (mastered && !hasPlant(garden, level.root) && !garden.pendingLevelIds.includes(level.id)) {
+            garden.pendingLevelIds.push(level.id);
+        }
+        if (!wilted && !garden.recovery) {
+            garden.pendingLevelIds.map(id => findLevel(id)).filter(Boolean).forEach(plant);
+            garden.pendingLevelIds = [];
+        }
+    }
+
+    /**
+     * Returns the recovery word to play next, starting the challenge if health has run out.
+     * @param {number} currentLevelId - The word just played (left out of a new challenge when possible).
+     * @returns {number | null} The level ID, or null if there is no challenge.
+     */
+    function nextRecoveryLevelId(currentLevelId) {
+        const state = getState();
+        const { garden } = state;
+        if (!garden.recovery && state.gardenHealth <= 0) {
+            const missed = state.imperfectWords.filter(id => findLevel(id));
+            const others = missed.filter(id => id !== currentLevelId);
+            const levelIds = (others.length > 0 ? others : missed.length > 0 ? missed : [currentLevelId])
+                .slice(0, settings.recoveryWords);
+            garden.recovery = { levelIds, total: levelIds.length };
+            emit(GAME_EVENTS.RECOVERY_STARTED, { levelIds: [...levelIds] });
+        }
+        return garden.recovery ? garden.recovery.levelIds[0] : null;
+    }
+
+    /** @returns {GardenView} */
+    function getGarden() {
+        const { garden, gardenHealth } = getState();
+        const wilted = isWilting(gardenHealth, settings);
+        return {
+            health: gardenHealth,
+            wilted,
+            canPlant: !wilted && !garden.recovery,
+            plants: garden.plants.map((p, i) => ({
+                root: p.root,
+                levelId: p.levelId,
+                stage: getGrowthStage(p.growth, settings),
+                growth: p.growth,
+                wilted,
+                row: Math.floor(i / settings.plotColumns),
+                column: i % settings.plotColumns,
+            })),
+            pendingCount: garden.pendingLevelIds.length,
+            recovery: garden.recovery
+                ? { remaining: garden.recovery.levelIds.length, total: garden.recovery.total, nextLevelId: garden.recovery.levelIds[0] }
+                : null,
+        };
+    }
+
+    return {
+        recordWord,
+        nextRecoveryLevelId,
+        isRecovering: () => getState().garden.recovery !== null,
+        getGarden,
+    };
+}
@@ -0,0 +1,174 @@
+// hints.js
+//
+// Hints the player can buy with Root Harvest while answering: take away one
+// wrong choice, mark where the prefix and suffix meet the rest of the word, or
+// show what the root means. A word answered with any hint is never perfect
+// (no gem) and goes into review, and the hint is kept with the answer for
+// learning analytics.
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** The hints that can be bought. */
+export const HINT_TYPES = Object.freeze({
+    ELIMINATE_DECOY: 'eliminateDecoy', // Removes one wrong choice
+    SHOW_BOUNDARY: 'showBoundary', // Marks the prefix/suffix boundaries in the word
+    SHOW_MEANING: 'showMeaning', // Shows what the root means
+});
+
+/** Tuning for hints. */
+export const HINT_SETTINGS = Object.freeze({
+    // Root Harvest per hint (a correct root earns 1, a correct part of speech 2)
+    costs: Object.freeze({ eliminateDecoy: 2, showBoundary: 4, showMeaning: 3 }),
+    // The questions each hint works on (see QUESTION_TYPES in question_types.js)
+    phases: Object.freeze({
+        eliminateDecoy: Object.freeze(['root', 'meaning', 'suffix', 'build', 'pos']),
+        showBoundary: Object.freeze(['root']),
+        showMeaning: Object.freeze(['root']),
+    }),
+    minChoicesLeft: 2, // eliminateDecoy always leaves the answer and at least one decoy
+});
+
+/** Meanings of the built-in roots, used when a level does not give its own rootMeaning. */
+export const ROOT_MEANINGS = Object.freeze({
+    aud: 'to hear',
+    bio: 'life',
+    cred: 'to believe',
+    dem: 'people',
+    hydr: 'water',
+    ject: 'to throw',
+    metr: 'measure',
+    path: 'feeling, suffering',
+    scop: 'to look at',
+    scrib: 'to write',
+    terr: 'earth, land',
+    vis: 'to see',
+});
+
+/**
+ * A hint as shown to the player.
+ * @typedef {object} Hint
+ * @property {string} type - One of HINT_TYPES.
+ * @property {string} phase - The question type it was used on.
+ * @property {number} cost - Root Harvest paid.
+ * @property {string} message - What to show the player.
+ * @property {string} [eliminatedChoice] - eliminateDecoy: the choice taken away.
+ * @property {string[]} [wordParts] - showBoundary: the word split at its boundaries (e.g., ['Sym', 'metr', 'ic']).
+ * @property {string} [meaning] - showMeaning: what the root means.
+ */
+
+/**
+ * A hint already used in the current turn (kept in TurnState.hints).
+ * @typedef {object} UsedHint
+ * @property {string} type
+ * @property {string} phase
+ */
+
+
+// --- 2. HINT CONTENT ---
+
+/**
+ * @param {import('./game_data_model.js').Level} level
+ * @returns {string | null} What the level's root means, if known.
+ */
+export function getRootMeaning(level) {
+    return level.rootMeaning || ROOT_MEANINGS[level.root.toLowerCase()] || null;
+}
+
+/**
+ * Splits the word around its root (e.g., 'Microscope' into ['Micro', 'scop', 'e']).
+ * @param {import('./game_data_model.js').Level} level
+ * @returns {string[] | null} The non-empty parts in order, or null if the root is not spelled inside the word.
+ */
+export function getWordParts(level) {
+    const start = level.fullWord.toLowerCase().indexOf(level.root.toLowerCase());
+    if (start === -1) return null;
+    const end = start + level.root.length;
+    return [level.fullWord.slice(0, start), level.fullWord.slice(start, end), level.fullWord.slice(end)]
+        .filter(part => part.length > 0);
+}
+
+/**
+ * The choices eliminateDecoy could still take away, in the order shown.
+ * @param {string[]} choices - The choices currently shown.
+ * @param {string} answer
+ * @param {string[]} triedChoices - Wrong choices already picked (they are already ruled out).
+ * @returns {string[]}
+ */
+const removableDecoys = (choices, answer, triedChoices) => choices.filter(c => c !== answer && !triedChoices.includes(c));
+
+
+// --- 3. BUYING A HINT ---
+
+/**
+ * Checks whether a hint can be used on the current question.
+ * @param {string} type - One of HINT_TYPES.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {object} context
+ * @param {string} context.phase - The question type being asked.
+ * @param {string} [context.answer] - Its right answer (the level's root or part of speech by default).
+ * @param {string[]} context.choices - The choices currently shown.
+ * @param {string[]} context.triedChoices
+ * @param {UsedHint[]} context.usedHints - Hints already used on this word.
+ * @param {object} [context.settings=HINT_SETTINGS]
+ * @returns {string | null} Why the hint cannot be used, or null if it can.
+ */
+export function describeHintProblem(type, level, {
+    phase, answer = phase === 'root' ? level.root : level.pos, choices, triedChoices, usedHints, settings = HINT_SETTINGS,
+}) {
+    if (!Object.values(HINT_TYPES).includes(type)) {
+        return `Unknown hint ${JSON.stringify(type)}.`;
+    }
+    if (!settings.phases[type].includes(phase)) {
+        return 'That hint only helps with the root question.';
+    }
+    if (type !== HINT_TYPES.ELIMINATE_DECOY && usedHints.some(h => h.type === type)) {
+        return 'You already have that hint for this word.';
+    }
+    switch (type) {
+        case HINT_TYPES.ELIMINATE_DECOY: {
+            const left = choices.length - triedChoices.length;
+            return left > settings.minChoicesLeft && removableDecoys(choices, answer, triedChoices).length > 0
+                ? null
+                : 'There are no more choices to take away.';
+        }
+        case HINT_TYPES.SHOW_BOUNDARY:
+            return getWordParts(level) ? null : 'This word cannot be split into parts.';
+        default:
+            return getRootMeaning(level) ? null : 'There is no meaning on record for this root.';
+    }
+}
+
+/**
+ * Builds a hint (call describeHintProblem first).
+ * eliminateDecoy takes away the first removable decoy in the order shown, so
+ * the same shuffled choices always lose the same decoy.
+ * @param {string} type
+ * @param {import('./game_data_model.js').Level} level
+ * @param {object} context
+ * @param {string} context.phase
+ * @param {string} [context.answer] - As for describeHintProblem().
+ * @param {string[]} context.choices
+ * @param {string[]} context.triedChoices
+ * @param {object} [context.settings=HINT_SETTINGS]
+ * @returns {Hint}
+ */
+export function buildHint(type, level, {
+    phase, answer = phase === 'root' ? level.root : level.pos, choices, triedChoices, settings = HINT_SETTINGS,
+}) {
+    const hint = { type, phase, cost: settings.costs[type] };
+    switch (type) {
+        case HINT_TYPES.ELIMINATE_DECOY: {
+            hint.eliminatedChoice = removableDecoys(choices, answer, triedChoices)[0];
+            hint.message = `It's not "${hint.eliminatedChoice}".`;
+            break;
+        }
+        case HINT_TYPES.SHOW_BOUNDARY:
+            hint.wordParts = getWordParts(level);
+            hint.message = hint.wordParts.join(' | ');
+            break;
+        default:
+            hint.meaning = getRootMeaning(level);
+            hint.message = `The root means "${hint.meaning}".`;
+    }
+    return hint;
+}
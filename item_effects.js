@@ -0,0 +1,244 @@
+// item_effects.js
+//
+// The single interpreter for the effects shop items declare in shop_items.js.
+// buyItem() asks it whether an item can be bought right now and then applies
+// the item's effects in order, so new items only need new data. Refunds run
+// the same effects backwards, where that is possible.
+
+import { EFFECT_DEFINITIONS } from './active_effects.js';
+import { PET_DEFINITIONS } from './pets.js';
+
+// --- 1. SLOTS & COUNTERS ---
+
+/** Avatar slots a cosmetic can be equipped in (keys of GameState.inventory). */
+export const ITEM_SLOTS = Object.freeze(['hat', 'apron', 'hoe']);
+
+/** Inventory counters an item can grant, keyed by the name used in { grant }. */
+export const GRANT_COUNTERS = Object.freeze({
+    fertilizer: 'fertilizerCount',
+});
+
+
+// --- 2. VALIDATION ---
+
+/**
+ * Checks a single item effect (used to validate SHOP_ITEMS when a game is created).
+ * @param {any} itemEffect
+ * @returns {string | null} A description of the problem, or null if the effect is fine.
+ */
+export function describeItemEffectProblem(itemEffect) {
+    if (itemEffect === null || typeof itemEffect !== 'object' || Array.isArray(itemEffect)) {
+        return 'Item effect must be an object.';
+    }
+    if ('slot' in itemEffect) {
+        return ITEM_SLOTS.includes(itemEffect.slot)
+            ? null
+            : `Unknown slot ${JSON.stringify(itemEffect.slot)} (expected ${ITEM_SLOTS.join(', ')}).`;
+    }
+    if ('grant' in itemEffect) {
+        if (!Object.prototype.hasOwnProperty.call(GRANT_COUNTERS, itemEffect.grant)) {
+            return `Unknown grant ${JSON.stringify(itemEffect.grant)} (expected ${Object.keys(GRANT_COUNTERS).join(', ')}).`;
+        }
+        return Number.isInteger(itemEffect.count) && itemEffect.count > 0 ? null : 'Grant count must be a whole number above 0.';
+    }
+    if ('effect' in itemEffect) {
+        if (!Object.prototype.hasOwnProperty.call(EFFECT_DEFINITIONS, itemEffect.effect)) {
+            return `Unknown timed effect ${JSON.stringify(itemEffect.effect)}.`;
+        }
+        const { rounds, seconds } = itemEffect;
+        const validDuration = (value) => value === undefined || (typeof value === 'number' && value > 0);
+        if ((rounds === undefined && seconds === undefined) || !validDuration(rounds) || !validDuration(seconds)) {
+            return 'Timed effects need a positive duration in rounds and/or seconds.';
+        }
+        return null;
+    }
+    if ('endEffect' in itemEffect) {
+        return Object.prototype.hasOwnProperty.call(EFFECT_DEFINITIONS, itemEffect.endEffect)
+            ? null
+            : `Unknown timed effect ${JSON.stringify(itemEffect.endEffect)}.`;
+    }
+    if ('pet' in itemEffect) {
+        return Object.prototype.hasOwnProperty.call(PET_DEFINITIONS, itemEffect.pet)
+            ? null
+            : `Unknown pet ${JSON.stringify(itemEffect.pet)} (expected ${Object.keys(PET_DEFINITIONS).join(', ')}).`;
+    }
+    return `Unknown item effect ${JSON.stringify(itemEffect)}.`;
+}
+
+/**
+ * Checks every item in a shop catalogue.
+ * @param {import('./shop_items.js').ShopItem[]} items
+ * @throws {Error} Listing every problem found.
+ */
+export function validateShopItems(items) {
+    const problems = [];
+    const seenIds = new Set();
+    for (const item of items) {
+        if (seenIds.has(item.id)) problems.push(`${item.id}: duplicate item ID.`);
+        seenIds.add(item.id);
+        if (!Array.isArray(item.effects)) {
+            problems.push(`${item.id}: effects must be a list.`);
+            continue;
+        }
+        item.effects.forEach((itemEffect, i) => {
+            const problem = describeItemEffectProblem(itemEffect);
+            if (problem) problems.push(`${item.id}: effects[${i}]: ${problem}`);
+        });
+        if (item.effects.filter(itemEffect => 'slot' in itemEffect).length > 1) {
+            problems.push(`${item.id}: an item can only be equipped in one slot.`);
+        }
+        if (item.effects.filter(itemEffect => 'pet' in itemEffect).length > 1) {
+            problems.push(`${item.id}: an item can only adopt one pet.`);
+        }
+        if (item.stockLimit !== undefined && !(Number.isInteger(item.stockLimit) && item.stockLimit > 0)) {
+            problems.push(`${item.id}: stockLimit must be a whole number above 0.`);
+        }
+        if (item.rotating !== undefined && typeof item.rotating !== 'boolean') {
+            problems.push(`${item.id}: rotating must be true or false.`);
+        }
+        if (item.exclusive !== undefined && typeof item.exclusive !== 'boolean') {
+            problems.push(`${item.id}: exclusive must be true or false.`);
+        }
+        if (item.requiresZone !== undefined && typeof item.requiresZone !== 'string') {
+            problems.push(`${item.id}: requiresZone must be a zone ID.`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid shop items:\n${problems.join('\n')}`);
+    }
+}
+
+/**
+ * @param {import('./shop_items.js').ShopItem} item
+ * @returns {string | null} The avatar slot the item is equipped in, or null if it is not wearable.
+ */
+export function getItemSlot(item) {
+    return item.effects.find(itemEffect => 'slot' in itemEffect)?.slot ?? null;
+}
+
+/**
+ * @param {import('./shop_items.js').ShopItem} item
+ * @returns {string | null} The pet the item adopts (see PET_DEFINITIONS), or null.
+ */
+export function getItemPet(item) {
+    return item.effects.find(itemEffect => 'pet' in itemEffect)?.pet ?? null;
+}
+
+
+// --- 3. INTERPRETER ---
+
+/**
+ * Creates the item effect interpreter for one game.
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {ReturnType<typeof import('./active_effects.js').createEffectManager>} options.effects - The game's effect manager.
+ * @returns {object} { checkPurchase, applyItem, checkRefund, revertItem }
+ */
+export function createItemEffectInterpreter({ getState, effects }) {
+    /**
+     * Checks whether buying the item would have any effect right now.
+     * @param {import('./shop_items.js').ShopItem} item
+     * @returns {string | null} Why the item cannot be bought, or null if it can.
+     */
+    function checkPurchase(item) {
+        const { inventory } = getState();
+        if (getItemSlot(item) && inventory.ownedItems.includes(item.id)) {
+            return 'You already own this item.';
+        }
+        const petId = getItemPet(item);
+        if (petId && inventory.pets[petId]) {
+            return `You have already adopted the ${PET_DEFINITIONS[petId].name}.`;
+        }
+        for (const itemEffect of item.effects) {
+            if ('effect' in itemEffect
+                && EFFECT_DEFINITIONS[itemEffect.effect].stacking === 'ignore'
+                && effects.hasEffect(itemEffect.effect)) {
+                return itemEffect.alreadyActiveMessage || `${EFFECT_DEFINITIONS[itemEffect.effect].name} is already active!`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Applies each of the item's effects, in order.
+     * @param {import('./shop_items.js').ShopItem} item
+     */
+    function applyItem(item) {
+        const { inventory } = getState();
+        for (const itemEffect of item.effects) {
+            if ('slot' in itemEffect) {
+                // Permanent: owned from now on, and worn straight away
+                inventory.ownedItems.push(item.id);
+                inventory[itemEffect.slot] = item.id;
+            } else if ('grant' in itemEffect) {
+                inventory[GRANT_COUNTERS[itemEffect.grant]] += itemEffect.count;
+            } else if ('effect' in itemEffect) {
+                effects.addEffect(itemEffect.effect, {
+                    source: item.id,
+                    rounds: itemEffect.rounds ?? null,
+                    seconds: itemEffect.seconds ?? null,
+                });
+            } else if ('endEffect' in itemEffect) {
+                effects.removeEffect(itemEffect.endEffect, itemEffect.reason || item.id);
+            } else if ('pet' in itemEffect) {
+                // Adopted for good, and follows the player straight away (only one pet is active)
+                inventory.pets[itemEffect.pet] = { xp: 0, previousPet: inventory.activePet };
+                inventory.activePet = itemEffect.pet;
+            }
+        }
+    }
+
+    /**
+     * Checks whether a bought item can still be given back.
+     * Cosmetics, unused grants and pets that have not been trained yet can; timed effects have already done their work.
+     * @param {import('./shop_items.js').ShopItem} item
+     * @returns {string | null} Why the item cannot be refunded, or null if it can.
+     */
+    function checkRefund(item) {
+        const { inventory } = getState();
+        for (const itemEffect of item.effects) {
+            if ('slot' in itemEffect && !inventory.ownedItems.includes(item.id)) {
+                return `You no longer own the ${item.name}.`;
+            }
+            if ('grant' in itemEffect && inventory[GRANT_COUNTERS[itemEffect.grant]] < itemEffect.count) {
+                return `You have already used the ${item.name}.`;
+            }
+            if ('effect' in itemEffect || 'endEffect' in itemEffect) {
+                return `${item.name} works straight away and cannot be refunded.`;
+            }
+            if ('pet' in itemEffect) {
+                const pet = inventory.pets[itemEffect.pet];
+                if (!pet) return `You no longer have the ${PET_DEFINITIONS[itemEffect.pet].name}.`;
+                if (pet.xp > 0) return `You have already trained the ${PET_DEFINITIONS[itemEffect.pet].name}.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Undoes each of the item's effects (call checkRefund first).
+     * @param {import('./shop_items.js').ShopItem} item
+     */
+    function revertItem(item) {
+        const { inventory } = getState();
+        for (const itemEffect of item.effects) {
+            if ('slot' in itemEffect) {
+                inventory.ownedItems = inventory.ownedItems.filter(id => id !== item.id);
+                if (inventory[itemEffect.slot] === item.id) {
+                    inventory[itemEffect.slot] = null;
+                }
+            } else if ('grant' in itemEffect) {
+                inventory[GRANT_COUNTERS[itemEffect.grant]] -= itemEffect.count;
+            } else if ('pet' in itemEffect) {
+                const { previousPet = null } = inventory.pets[itemEffect.pet];
+                delete inventory.pets[itemEffect.pet];
+                if (inventory.activePet === itemEffect.pet) {
+                    // The pet that was following the player before comes back, if it is still adopted
+                    inventory.activePet = previousPet && inventory.pets[previousPet] ? previousPet : null;
+                }
+            }
+        }
+    }
+
+    return { checkPurchase, applyItem, checkRefund, revertItem };
+}
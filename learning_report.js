@@ -0,0 +1,282 @@
+// learning_report.js
+//
+// Learning analytics built from every answer the player has given: accuracy
+// by zone, by question type, by part of speech and by root, the decoys that get mixed up with
+// the right answer most often, and a learning curve. Reports export as JSON,
+// or as CSV that opens in any spreadsheet (RFC 4180, like CSV word packs).
+
+import { QUESTION_DEFINITIONS, QUESTION_TYPES, canAskQuestion, getQuestionAnswer } from './question_types.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Tuning for analytics. */
+export const ANALYTICS_SETTINGS = Object.freeze({
+    maxAttempts: 5000, // Oldest attempts are dropped beyond this, to keep saves small
+    curveBucketSize: 10, // Attempts per point on the learning curve
+    topConfusions: 10, // Confused pairs listed in a report
+});
+
+/**
+ * One submitted answer.
+ * @typedef {object} Attempt
+ * @property {number} at - When it was answered (ms since epoch).
+ * @property {number} levelId
+ * @property {string} phase - Which question was answered (one of QUESTION_TYPES).
+ * @property {string} choice - What the player picked.
+ * @property {boolean} correct
+ * @property {number | null} answerMs - Time taken to answer, if known.
+ * @property {string[]} hints - Hints used on this question before answering (see HINT_TYPES); empty if recalled unaided.
+ */
+
+/**
+ * Accuracy for one group of attempts.
+ * @typedef {object} AccuracyRow
+ * @property {string} key - The zone ID, question type, part of speech or root.
+ * @property {string} label - Display name.
+ * @property {number} attempts
+ * @property {number} correct
+ * @property {number} accuracy - 0-1.
+ * @property {number} hinted - Attempts made after using a hint.
+ * @property {number | null} medianAnswerMs
+ */
+
+/**
+ * A wrong answer that keeps being picked instead of the right one.
+ * @typedef {object} Confusion
+ * @property {string} phase - The question type.
+ * @property {string} expected - The right answer (e.g., 'Adjective').
+ * @property {string} chosen - The decoy picked instead (e.g., 'Noun').
+ * @property {number} count
+ */
+
+/**
+ * @typedef {object} LearningReport
+ * @property {number} generatedAt
+ * @property {AccuracyRow} overall
+ * @property {AccuracyRow[]} byZone - In map order.
+ * @property {AccuracyRow[]} byQuestion - Per question type asked, in QUESTION_TYPES order.
+ * @property {AccuracyRow[]} byPos - Part-of-speech questions, grouped by the right answer.
+ * @property {AccuracyRow[]} byRoot - Root questions, grouped by the right answer, weakest first.
+ * @property {Confusion[]} confusions - Most frequent first.
+ * @property {{from: number, to: number, accuracy: number}[]} learningCurve - Accuracy per bucket of attempts, oldest first.
+ */
+
+
+// --- 2. RECORDING ---
+
+/**
+ * Adds an attempt, dropping the oldest ones beyond the limit.
+ * @param {Attempt[]} attempts - Updated in place.
+ * @param {Attempt} attempt
+ * @param {object} [settings=ANALYTICS_SETTINGS]
+ */
+export function recordAttempt(attempts, attempt, settings = ANALYTICS_SETTINGS) {
+    attempts.push(attempt);
+    if (attempts.length > settings.maxAttempts) {
+        attempts.splice(0, attempts.length - settings.maxAttempts);
+    }
+}
+
+/**
+ * Checks that an attempt has the expected shape (used by the save validator).
+ * @param {any} attempt
+ * @returns {boolean}
+ */
+export function isValidAttempt(attempt) {
+    return attempt !== null && typeof attempt === 'object'
+        && Number.isFinite(attempt.at)
+        && Number.isInteger(attempt.levelId)
+        && Object.values(QUESTION_TYPES).includes(attempt.phase)
+        && typeof attempt.choice === 'string'
+        && typeof attempt.correct === 'boolean'
+        && (attempt.answerMs === null || (Number.isFinite(attempt.answerMs) && attempt.answerMs >= 0))
+        && Array.isArray(attempt.hints) && attempt.hints.every(type => typeof type === 'string');
+}
+
+
+// --- 3. REPORTS ---
+
+/**
+ * @param {import('./game_data_model.js').Zone[]} zones
+ * @returns {Map<number, {zone: import('./game_data_model.js').Zone, level: import('./game_data_model.js').Level}>}
+ */
+const indexLevels = (zones) => new Map(zones.flatMap(zone => zone.levels.map(level => [level.id, { zone, level }])));
+
+/**
+ * @param {import('./game_data_model.js').Level} level
+ * @param {string} phase - The attempt's question type.
+ * @returns {string} The right answer, or '' if the word no longer has the data for that question.
+ */
+const expectedAnswer = (level, phase) => (canAskQuestion(level, phase) ? getQuestionAnswer(level, phase) : '');
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * @param {string} key
+ * @param {string} label
+ * @param {Attempt[]} attempts
+ * @returns {AccuracyRow}
+ */
+function accuracyRow(key, label, attempts) {
+    const correct = attempts.filter(a => a.correct).length;
+    return {
+        key,
+        label,
+        attempts: attempts.length,
+        correct,
+        accuracy: attempts.length === 0 ? 0 : correct / attempts.length,
+        hinted: attempts.filter(a => a.hints.length > 0).length,
+        medianAnswerMs: median(attempts.map(a => a.answerMs).filter(ms => ms !== null)),
+    };
+}
+
+/**
+ * Groups attempts into accuracy rows.
+ * @param {Attempt[]} attempts
+ * @param {(attempt: Attempt) => string | null} keyOf - Group key, or null to skip the attempt.
+ * @returns {AccuracyRow[]} In order of first appearance.
+ */
+function groupAccuracy(attempts, keyOf) {
+    const groups = new Map();
+    for (const attempt of attempts) {
+        const key = keyOf(attempt);
+        if (key === null) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(attempt);
+    }
+    return [...groups].map(([key, group]) => accuracyRow(key, key, group));
+}
+
+/**
+ * Builds a learning report.
+ * @param {Attempt[]} attempts - Oldest first.
+ * @param {import('./game_data_model.js').Zone[]} zones - Used to look up each word's zone, root and part of speech.
+ * @param {object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {object} [options.settings=ANALYTICS_SETTINGS]
+ * @returns {LearningReport}
+ */
+export function buildLearningReport(attempts, zones, { now = Date.now(), settings = ANALYTICS_SETTINGS } = {}) {
+    const levelInfo = indexLevels(zones);
+    // Attempts for words no longer in the content still count overall
+    const known = attempts.filter(a => levelInfo.has(a.levelId));
+
+    const byZone = zones
+        .map(zone => accuracyRow(zone.id, zone.title, known.filter(a => levelInfo.get(a.levelId).zone === zone)))
+        .filter(row => row.attempts > 0);
+    const byQuestion = Object.values(QUESTION_TYPES)
+        .map(type => accuracyRow(type, QUESTION_DEFINITIONS[type].title, attempts.filter(a => a.phase === type)))
+        .filter(row => row.attempts > 0);
+    const byPos = groupAccuracy(known, a => (a.phase === 'pos' ? levelInfo.get(a.levelId).level.pos : null));
+    const byRoot = groupAccuracy(known, a => (a.phase === 'root' ? levelInfo.get(a.levelId).level.root : null))
+        .sort((a, b) => a.accuracy - b.accuracy);
+
+    const confusionCounts = new Map();
+    for (const attempt of known.filter(a => !a.correct)) {
+        const level = levelInfo.get(attempt.levelId).level;
+        const expected = expectedAnswer(level, attempt.phase);
+        const key = JSON.stringify([attempt.phase, expected, attempt.choice]);
+        confusionCounts.set(key, (confusionCounts.get(key) || 0) + 1);
+    }
+    const confusions = [...confusionCounts]
+        .map(([key, count]) => {
+            const [phase, expected, chosen] = JSON.parse(key);
+            return { phase, expected, chosen, count };
+        })
+        .sort((a, b) => b.count - a.count)
+        .slice(0, settings.topConfusions);
+
+    const learningCurve = [];
+    for (let from = 0; from < attempts.length; from += settings.curveBucketSize) {
+        const bucket = attempts.slice(from, from + settings.curveBucketSize);
+        learningCurve.push({
+            from: from + 1,
+            to: from + bucket.length,
+            accuracy: bucket.filter(a => a.correct).length / bucket.length,
+        });
+    }
+
+    return {
+        generatedAt: now,
+        overall: accuracyRow('overall', 'All words', attempts),
+        byZone,
+        byQuestion,
+        byPos,
+        byRoot,
+        confusions,
+        learningCurve,
+    };
+}
+
+
+// --- 4. EXPORT ---
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLines = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Exports a report as JSON.
+ * @param {LearningReport} report
+ * @returns {string}
+ */
+export function reportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Exports a report as a single CSV table (one row per statistic, grouped by section).
+ * @param {LearningReport} report
+ * @returns {string}
+ */
+export function reportToCsv(report) {
+    const rows = [['section', 'key', 'label', 'attempts', 'correct', 'accuracy', 'hinted', 'medianAnswerMs']];
+    const addRows = (section, list) => list.forEach(row => rows.push([
+        section, row.key, row.label, row.attempts, row.correct, row.accuracy.toFixed(3), row.hinted, row.medianAnswerMs,
+    ]));
+    addRows('overall', [report.overall]);
+    addRows('zone', report.byZone);
+    addRows('question', report.byQuestion);
+    addRows('pos', report.byPos);
+    addRows('root', report.byRoot);
+    for (const c of report.confusions) {
+        rows.push(['confusion', `${c.phase}:${c.expected}`, `${c.chosen} instead of ${c.expected}`, c.count, '', '', '', '']);
+    }
+    for (const point of report.learningCurve) {
+        rows.push(['curve', `${point.from}-${point.to}`, '', point.to - point.from + 1, '', point.accuracy.toFixed(3), '', '']);
+    }
+    return csvLines(rows);
+}
+
+/**
+ * Exports the raw attempts as CSV, one row per answer.
+ * @param {Attempt[]} attempts
+ * @param {import('./game_data_model.js').Zone[]} zones - Adds each word's zone and text.
+ * @returns {string}
+ */
+export function attemptsToCsv(attempts, zones) {
+    const levelInfo = indexLevels(zones);
+    const rows = [['at', 'zoneId', 'levelId', 'fullWord', 'phase', 'choice', 'expected', 'correct', 'answerMs', 'hints']];
+    for (const a of attempts) {
+        const info = levelInfo.get(a.levelId);
+        const expected = info ? expectedAnswer(info.level, a.phase) : '';
+        rows.push([
+            new Date(a.at).toISOString(), info?.zone.id ?? '', a.levelId, info?.level.fullWord ?? '',
+            a.phase, a.choice, expected, a.correct, a.answerMs, a.hints.join(' '),
+        ]);
+    }
+    return csvLines(rows);
+}
@@ -0,0 +1,237 @@
+// pets.js
+//
+// Pet companions. A pet is adopted by buying its shop item (declared as
+// { pet } in shop_items.js) and follows the player from then on. One pet at a
+// time is active: it gains experience from every correct answer, levels up,
+// and gives a passive bonus that grows with its level. The engine asks for
+// the bonus where it applies: extra Root Harvest in applyReward(), a lower
+// bear chance in maybeTriggerBear(), health regeneration on finished words.
+
+import { GAME_EVENTS } from './event_bus.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Tuning for pets. */
+export const PET_SETTINGS = Object.freeze({
+    xpPerCorrectAnswer: 1,
+    levelXp: Object.freeze([0, 20, 60, 120]), // Experience needed for each level, from level 1
+});
+
+/**
+ * What a pet does at each level. Exactly one field is used, depending on the bonus:
+ * - extraHarvest: { chance, harvest } - Chance of extra Root Harvest on each harvest reward.
+ * - bearChance: { multiplier } - Multiplies the chance of a bear attack.
+ * - healthRegen: { health } - Extra garden health for each finished word.
+ * @typedef {object} PetLevel
+ * @property {number} [chance]
+ * @property {number} [harvest]
+ * @property {number} [multiplier]
+ * @property {number} [health]
+ */
+
+/**
+ * @typedef {object} PetDefinition
+ * @property {string} name
+ * @property {string} imagePlaceholder - e.g., an emoji.
+ * @property {'extraHarvest'|'bearChance'|'healthRegen'} bonus
+ * @property {PetLevel[]} levels - One per entry of PET_SETTINGS.levelXp.
+ */
+
+/** @type {Object<string, PetDefinition>} Keyed by the pet ID used in { pet } item effects and the inventory. */
+export const PET_DEFINITIONS = Object.freeze({
+    magpie: Object.freeze({
+        name: 'Magpie',
+        imagePlaceholder: '🐦',
+        bonus: 'extraHarvest',
+        levels: Object.freeze([
+            Object.freeze({ chance: 0.1, harvest: 2 }),
+            Object.freeze({ chance: 0.15, harvest: 2 }),
+            Object.freeze({ chance: 0.2, harvest: 3 }),
+            Object.freeze({ chance: 0.25, harvest: 3 }),
+        ]),
+    }),
+    hedgehog: Object.freeze({
+        name: 'Hedgehog',
+        imagePlaceholder: '🦔',
+        bonus: 'bearChance',
+        levels: Object.freeze([
+            Object.freeze({ multiplier: 0.9 }),
+            Object.freeze({ multiplier: 0.85 }),
+            Object.freeze({ multiplier: 0.8 }),
+            Object.freeze({ multiplier: 0.7 }),
+        ]),
+    }),
+    tortoise: Object.freeze({
+        name: 'Tortoise',
+        imagePlaceholder: '🐢',
+        bonus: 'healthRegen',
+        levels: Object.freeze([
+            Object.freeze({ health: 1 }),
+            Object.freeze({ health: 1 }),
+            Object.freeze({ health: 2 }),
+            Object.freeze({ health: 3 }),
+        ]),
+    }),
+});
+
+/**
+ * An adopted pet, kept in GameState.inventory.pets by pet ID.
+ * @typedef {object} PetState
+ * @property {number} xp - Experience from correct answers while active.
+ * @property {string | null} [previousPet] - The pet that was active when this one was bought, brought back if it is refunded.
+ */
+
+/**
+ * A pet as seen by the renderer.
+ * @typedef {object} PetView
+ * @property {string} id
+ * @property {string} name
+ * @property {string} imagePlaceholder
+ * @property {number} level - From 1.
+ * @property {number} maxLevel
+ * @property {number} xp
+ * @property {number | null} nextLevelXp - Experience needed for the next level, or null at the top.
+ * @property {boolean} active
+ * @property {string} bonus - What it does at its level, e.g. '20% chance of +3 Root Harvest'.
+ */
+
+
+// --- 2. HELPERS ---
+
+/**
+ * @param {number} xp
+ * @param {object} [settings=PET_SETTINGS]
+ * @returns {number} The level (from 1) a pet with this much experience has reached.
+ */
+export const getPetLevel = (xp, settings = PET_SETTINGS) => settings.levelXp.filter(needed => xp >= needed).length;
+
+/**
+ * @param {PetDefinition} definition
+ * @param {number} level - From 1.
+ * @returns {string} What the bonus does at that level.
+ */
+export function describePetBonus(definition, level) {
+    const at = definition.levels[level - 1];
+    switch (definition.bonus) {
+        case 'extraHarvest':
+            return `${Math.round(at.chance * 100)}% chance of +${at.harvest} Root Harvest`;
+        case 'bearChance':
+            return `${Math.round((1 - at.multiplier) * 100)}% lower chance of a bear attack`;
+        default:
+            return `+${at.health} garden health per finished word`;
+    }
+}
+
+
+// --- 3. PETS ---
+
+/**
+ * Creates the pet companions for one game. Adopting is done by the item effect
+ * interpreter when a pet is bought; this keeps the active pet's experience and
+ * answers the engine's questions about its bonus. Results of setActivePet() are
+ * { success, message }, like buyItem().
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {() => number} options.random - The game's random source, for extra harvest.
+ * @param {(type: string, payload?: object) => void} options.emit - Emits a game event.
+ * @param {object} [options.settings=PET_SETTINGS]
+ * @returns {object} { recordCorrectAnswer, rollExtraHarvest, getBearChanceMultiplier, getHealthRegen, setActivePet, getPets }
+ */
+export function createPets({ getState, random, emit, settings = PET_SETTINGS }) {
+    /** @returns {{id: string, definition: PetDefinition, level: PetLevel} | null} The active pet and its bonus, if any. */
+    function getActive() {
+        const { inventory } = getState();
+        const pet = inventory.activePet && inventory.pets[inventory.activePet];
+        if (!pet) return null;
+        const definition = PET_DEFINITIONS[inventory.activePet];
+        return { id: inventory.activePet, definition, level: definition.levels[getPetLevel(pet.xp, settings) - 1] };
+    }
+
+    /** Call after every correct answer: the active pet gains experience. */
+    function recordCorrectAnswer() {
+        const active = getActive();
+        if (!active) return;
+        const pet = getState().inventory.pets[active.id];
+        const before = getPetLevel(pet.xp, settings);
+        pet.xp += settings.xpPerCorrectAnswer;
+        const level = getPetLevel(pet.xp, settings);
+        if (level !== before) {
+            emit(GAME_EVENTS.PET_LEVELED_UP, { petId: active.id, level, bonus: describePetBonus(active.definition, level) });
+        }
+    }
+
+    /**
+     * Rolls for the active pet's extra harvest. Only draws a random number when the pet gives one.
+     * @returns {number} Extra Root Harvest, or 0.
+     */
+    function rollExtraHarvest() {
+        const active = getActive();
+        if (!active || active.definition.bonus !== 'extraHarvest') return 0;
+        return random() < active.level.chance ? active.level.harvest : 0;
+    }
+
+    /** @returns {number} What the bear chance is multiplied by (1 without a pet that lowers it). */
+    function getBearChanceMultiplier() {
+        const active = getActive();
+        return active && active.definition.bonus === 'bearChance' ? active.level.multiplier : 1;
+    }
+
+    /** @returns {number} Extra garden health for a finished word (0 without a pet that gives it). */
+    function getHealthRegen() {
+        const active = getActive();
+        return active && active.definition.bonus === 'healthRegen' ? active.level.health : 0;
+    }
+
+    /**
+     * Makes an adopted pet the active one, or sends the active pet to rest.
+     * @param {string | null} petId - Null to have no active pet.
+     * @returns {{success: boolean, message: string, previousPetId?: string | null}}
+     */
+    function setActivePet(petId) {
+        const { inventory } = getState();
+        if (petId === null) {
+            if (inventory.activePet === null) {
+                return { success: false, message: 'No pet is following you.' };
+            }
+            const previousPetId = inventory.activePet;
+            inventory.activePet = null;
+            return { success: true, message: `The ${PET_DEFINITIONS[previousPetId].name} is resting.`, previousPetId };
+        }
+        const definition = PET_DEFINITIONS[petId];
+        if (!definition) {
+            return { success: false, message: 'Error: Pet not found.' };
+        }
+        if (!inventory.pets[petId]) {
+            return { success: false, message: `You haven't adopted the ${definition.name} yet.` };
+        }
+        if (inventory.activePet === petId) {
+            return { success: false, message: `The ${definition.name} is already following you.` };
+        }
+        const previousPetId = inventory.activePet;
+        inventory.activePet = petId;
+        return { success: true, message: `The ${definition.name} is following you!`, previousPetId };
+    }
+
+    /** @returns {PetView[]} Every adopted pet. */
+    function getPets() {
+        const { inventory } = getState();
+        const maxLevel = settings.levelXp.length;
+        return Object.entries(inventory.pets).map(([id, pet]) => {
+            const definition = PET_DEFINITIONS[id];
+            const level = getPetLevel(pet.xp, settings);
+            return {
+                id,
+                name: definition.name,
+                imagePlaceholder: definition.imagePlaceholder,
+                level,
+                maxLevel,
+                xp: pet.xp,
+                nextLevelXp: level < maxLevel ? settings.levelXp[level] : null,
+                active: inventory.activePet === id,
+                bonus: describePetBonus(definition, level),
+            };
+        });
+    }
+
+    return { recordCorrectAnswer, rollExtraHarvest, getBearChanceMultiplier, getHealthRegen, setActivePet, getPets };
+}
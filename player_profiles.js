@@ -0,0 +1,196 @@
+// player_profiles.js
+//
+// Named player profiles (save slots). Each profile keeps its own GameState
+// under a separate storage key, and a small index records which profiles
+// exist and which one is active.
+
+/**
+ * A single player profile.
+ * @typedef {object} PlayerProfile
+ * @property {string} id - Stable identifier, used to build the save key.
+ * @property {string} name - Display name chosen by the player (e.g., 'Maya').
+ * @property {number} createdAt - Creation time (ms since epoch).
+ */
+
+/**
+ * The persisted list of profiles.
+ * @typedef {object} ProfileIndex
+ * @property {string} activeProfileId - The profile whose garden is currently loaded.
+ * @property {number} nextProfileNumber - Counter used to generate new profile IDs.
+ * @property {PlayerProfile[]} profiles - Every profile on this device.
+ */
+
+// Key of the original single-player save, migrated into the first profile
+export const LEGACY_STATE_KEY = 'grammarGardenState';
+const PROFILE_INDEX_KEY = 'grammarGardenProfiles';
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * Builds the storage key holding a profile's GameState.
+ * @param {string} profileId
+ * @returns {string}
+ */
+export const profileStateKey = (profileId) => `${LEGACY_STATE_KEY}:${profileId}`;
+
+/**
+ * Trims a profile name and checks it is usable.
+ * @param {string} name
+ * @returns {string | null} The cleaned name, or null if it is invalid.
+ */
+function cleanName(name) {
+    const cleaned = typeof name === 'string' ? name.trim() : '';
+    if (!cleaned || cleaned.length > MAX_NAME_LENGTH) return null;
+    return cleaned;
+}
+
+/**
+ * Creates a profile manager on top of a storage adapter.
+ * On first use it creates a default profile, adopting any legacy single-player save.
+ * @param {import('./save_storage.js').StorageAdapter} storage
+ * @param {{now: () => number}} [clock] - Time source for profile creation dates.
+ * @param {object} [options]
+ * @param {string | null} [options.profileId=null] - Use this profile instead of the device's active one. The index is
+ *   left as it is, and switching profiles only changes the profile this manager uses.
+ * @returns {object} Profile operations (list, create, switch, rename, delete).
+ * @throws {Error} If options.profileId is not a known profile.
+ */
+export function createProfileManager(storage, clock = { now: () => Date.now() }, { profileId = null } = {}) {
+    /** @type {ProfileIndex} */
+    let index;
+
+    try {
+        index = JSON.parse(storage.getItem(PROFILE_INDEX_KEY));
+    } catch (e) {
+        console.error('Error reading the profile list, rebuilding it.', e);
+        index = null;
+    }
+
+    if (!index || !Array.isArray(index.profiles) || index.profiles.length === 0) {
+        index = {
+            activeProfileId: 'profile-1',
+            nextProfileNumber: 2,
+            profiles: [{ id: 'profile-1', name: 'Player 1', createdAt: clock.now() }],
+        };
+
+        // Move the old single-key save into the first profile so nobody loses their garden
+        const legacySave = storage.getItem(LEGACY_STATE_KEY);
+        if (legacySave !== null) {
+            storage.setItem(profileStateKey('profile-1'), legacySave);
+            storage.removeItem(LEGACY_STATE_KEY);
+        }
+        saveIndex();
+    }
+
+    if (!index.profiles.some(p => p.id === index.activeProfileId)) {
+        index.activeProfileId = index.profiles[0].id;
+        saveIndex();
+    }
+
+    function saveIndex() {
+        storage.setItem(PROFILE_INDEX_KEY, JSON.stringify(index));
+    }
+
+    const findProfile = (profileId) => index.profiles.find(p => p.id === profileId);
+    if (profileId !== null && !findProfile(profileId)) {
+        throw new Error(`Profile not found: ${profileId}`);
+    }
+    // The profile given by the caller, used by this manager only
+    let pinnedProfileId = profileId;
+    const activeProfileId = () => pinnedProfileId ?? index.activeProfileId;
+    const nameTaken = (name, exceptId) => index.profiles.some(
+        p => p.id !== exceptId && p.name.toLowerCase() === name.toLowerCase()
+    );
+
+    return {
+        /** @returns {PlayerProfile[]} Copies of every profile. */
+        listProfiles: () => index.profiles.map(p => ({ ...p })),
+
+        /** @returns {PlayerProfile} The profile currently in use. */
+        getActiveProfile: () => ({ ...findProfile(activeProfileId()) }),
+
+        /** @returns {string} The storage key of the active profile's GameState. */
+        getActiveStateKey: () => profileStateKey(activeProfileId()),
+
+        /**
+         * Adds a new, empty profile. Does not switch to it.
+         * @param {string} name
+         * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+         */
+        createProfile(name) {
+            const cleaned = cleanName(name);
+            if (!cleaned) {
+                return { success: false, message: `Profile names must be 1-${MAX_NAME_LENGTH} characters.` };
+            }
+            if (nameTaken(cleaned)) {
+                return { success: false, message: `A profile named ${cleaned} already exists.` };
+            }
+
+            const profile = { id: `profile-${index.nextProfileNumber}`, name: cleaned, createdAt: clock.now() };
+            index.nextProfileNumber++;
+            index.profiles.push(profile);
+            saveIndex();
+            return { success: true, message: `Profile ${cleaned} created.`, profile: { ...profile } };
+        },
+
+        /**
+         * Marks another profile as active. The caller is responsible for saving the
+         * current garden first and loading the new one afterwards.
+         * @param {string} profileId
+         * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+         */
+        switchProfile(profileId) {
+            const profile = findProfile(profileId);
+            if (!profile) {
+                return { success: false, message: 'Error: Profile not found.' };
+            }
+            if (pinnedProfileId !== null) {
+                pinnedProfileId = profile.id;
+            } else {
+                index.activeProfileId = profile.id;
+                saveIndex();
+            }
+            return { success: true, message: `Switched to ${profile.name}.`, profile: { ...profile } };
+        },
+
+        /**
+         * @param {string} profileId
+         * @param {string} newName
+         * @returns {object} { success: boolean, message: string, profile?: PlayerProfile }
+         */
+        renameProfile(profileId, newName) {
+            const profile = findProfile(profileId);
+            if (!profile) {
+                return { success: false, message: 'Error: Profile not found.' };
+            }
+            const cleaned = cleanName(newName);
+            if (!cleaned) {
+                return { success: false, message: `Profile names must be 1-${MAX_NAME_LENGTH} characters.` };
+            }
+            if (nameTaken(cleaned, profile.id)) {
+                return { success: false, message: `A profile named ${cleaned} already exists.` };
+            }
+            profile.name = cleaned;
+            saveIndex();
+            return { success: true, message: `Profile renamed to ${cleaned}.`, profile: { ...profile } };
+        },
+
+        /**
+         * Removes a profile and its saved garden. The active profile cannot be deleted.
+         * @param {string} profileId
+         * @returns {object} { success: boolean, message: string }
+         */
+        deleteProfile(profileId) {
+            const profile = findProfile(profileId);
+            if (!profile) {
+                return { success: false, message: 'Error: Profile not found.' };
+            }
+            if (profile.id === activeProfileId()) {
+                return { success: false, message: 'Switch to another profile before deleting this one.' };
+            }
+            index.profiles = index.profiles.filter(p => p.id !== profile.id);
+            storage.removeItem(profileStateKey(profile.id));
+            saveIndex();
+            return { success: true, message: `Profile ${profile.name} deleted.` };
+        },
+    };
+}
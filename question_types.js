@@ -0,0 +1,165 @@
+// question_types.js
+//
+// The questions a word can ask. Every zone asks Root Retrieval and POS
+// Fertilizer by default; a zone can also pick morphology questions built on a
+// level's etymology data (prefix, suffix, root meaning, origin): match the
+// root to its meaning, spot the suffix that sets the part of speech, and build
+// the word from its parts. POS Fertilizer always comes last, since it
+// finishes the word.
+
+import { getRootMeaning } from './hints.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** The question types, as named in zones, attempts and hints. */
+export const QUESTION_TYPES = Object.freeze({
+    ROOT: 'root', // Pick the root hiding in the word
+    MEANING: 'meaning', // Match the root to its meaning
+    SUFFIX: 'suffix', // Spot the suffix that makes the word its part of speech
+    BUILD: 'build', // Put the word together from its parts
+    POS: 'pos', // Pick the part of speech (always last)
+});
+
+/** What a zone asks when it does not choose its own question types. */
+export const DEFAULT_QUESTION_TYPES = Object.freeze([QUESTION_TYPES.ROOT, QUESTION_TYPES.POS]);
+
+/** The question types added by the morphology data (they share one reward and penalty). */
+export const MORPHOLOGY_QUESTION_TYPES = Object.freeze([QUESTION_TYPES.MEANING, QUESTION_TYPES.SUFFIX, QUESTION_TYPES.BUILD]);
+
+/** Languages a root can come from (Level.origin). */
+export const ORIGINS = Object.freeze(['Greek', 'Latin']);
+
+/**
+ * Common suffixes and the part of speech they usually make. Used for suffix
+ * and build decoys, which must make a different part of speech than the answer.
+ */
+export const SUFFIX_PARTS_OF_SPEECH = Object.freeze({
+    able: 'Adjective', ible: 'Adjective', al: 'Adjective', ic: 'Adjective', ive: 'Adjective', ous: 'Adjective', ful: 'Adjective',
+    ance: 'Noun', ence: 'Noun', ion: 'Noun', tion: 'Noun', ment: 'Noun', ness: 'Noun', ity: 'Noun', ist: 'Noun', or: 'Noun', logy: 'Noun',
+    ate: 'Verb', ify: 'Verb', ize: 'Verb', en: 'Verb',
+    ly: 'Adverb', ward: 'Adverb', wise: 'Adverb',
+});
+
+/**
+ * How each question type is asked.
+ * @typedef {object} QuestionDefinition
+ * @property {string} phase - The TurnState phase while it is asked (see TURN_PHASES in turn_engine.js).
+ * @property {string} title - Shown above the question.
+ * @property {string[]} requires - Level fields it needs; levels without them skip the question.
+ */
+
+/** @type {Object<string, QuestionDefinition>} */
+export const QUESTION_DEFINITIONS = Object.freeze({
+    root: Object.freeze({ phase: 'rootQuestion', title: 'Root Retrieval', requires: Object.freeze([]) }),
+    meaning: Object.freeze({ phase: 'meaningQuestion', title: 'Root Meaning', requires: Object.freeze(['rootMeaning']) }),
+    suffix: Object.freeze({ phase: 'suffixQuestion', title: 'Suffix Switch', requires: Object.freeze(['suffix']) }),
+    build: Object.freeze({ phase: 'buildQuestion', title: 'Word Builder', requires: Object.freeze(['rootMeaning', 'suffix']) }),
+    pos: Object.freeze({ phase: 'posQuestion', title: 'POS Fertilizer', requires: Object.freeze([]) }),
+});
+
+
+// --- 2. QUESTIONS FOR A LEVEL ---
+
+/**
+ * @param {string} phase - A TurnState phase.
+ * @returns {string | null} The question type asked in it, or null (e.g., 'resolved').
+ */
+export const getPhaseQuestionType = (phase) => Object.keys(QUESTION_DEFINITIONS).find(type => QUESTION_DEFINITIONS[type].phase === phase) ?? null;
+
+/**
+ * Checks a zone's questionTypes list.
+ * @param {any} questionTypes
+ * @returns {string | null} The problem, or null if the list is usable.
+ */
+export function describeQuestionTypesProblem(questionTypes) {
+    if (!Array.isArray(questionTypes) || questionTypes.length === 0) {
+        return 'Question types must be a non-empty list.';
+    }
+    const unknown = questionTypes.find(type => !Object.values(QUESTION_TYPES).includes(type));
+    if (unknown !== undefined) {
+        return `Unknown question type ${JSON.stringify(unknown)} (expected ${Object.values(QUESTION_TYPES).join(', ')}).`;
+    }
+    if (new Set(questionTypes).size !== questionTypes.length) {
+        return 'Question types list the same question twice.';
+    }
+    if (questionTypes[questionTypes.length - 1] !== QUESTION_TYPES.POS) {
+        return `The last question must be "${QUESTION_TYPES.POS}", which finishes the word.`;
+    }
+    return null;
+}
+
+/**
+ * @param {import('./game_data_model.js').Level} level
+ * @param {string} type - One of QUESTION_TYPES.
+ * @returns {boolean} Whether the level has the data the question needs.
+ */
+export function canAskQuestion(level, type) {
+    return QUESTION_DEFINITIONS[type].requires.every(field => (field === 'rootMeaning' ? getRootMeaning(level) : level[field]));
+}
+
+/**
+ * The questions to ask for a level, in order: the zone's types the level has data for.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {string[]} [questionTypes=DEFAULT_QUESTION_TYPES] - The zone's question types.
+ * @returns {string[]}
+ */
+export function getLevelQuestionTypes(level, questionTypes = DEFAULT_QUESTION_TYPES) {
+    return questionTypes.filter(type => canAskQuestion(level, type));
+}
+
+/**
+ * The parts a word is built from (e.g., ['In', 'Scrib', 'e']): its prefix, root and suffix as recorded.
+ * @param {import('./game_data_model.js').Level} level
+ * @returns {string[]}
+ */
+export const getBuildParts = (level) => [level.prefix, level.root, level.suffix].filter(Boolean);
+
+/** @param {string[]} parts @returns {string} The parts as one choice, e.g. 'In + Scrib + e'. */
+export const formatBuildParts = (parts) => parts.join(' + ');
+
+/** @param {string} suffix @returns {string} A suffix as a choice, e.g. '-ible'. */
+export const formatSuffix = (suffix) => `-${suffix.toLowerCase()}`;
+
+/**
+ * The right answer to a question, exactly as it appears among the choices.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {string} type - One of QUESTION_TYPES.
+ * @returns {string}
+ */
+export function getQuestionAnswer(level, type) {
+    switch (type) {
+        case QUESTION_TYPES.ROOT:
+            return level.root;
+        case QUESTION_TYPES.MEANING:
+            return getRootMeaning(level);
+        case QUESTION_TYPES.SUFFIX:
+            return formatSuffix(level.suffix);
+        case QUESTION_TYPES.BUILD:
+            return formatBuildParts(getBuildParts(level));
+        default:
+            return level.pos;
+    }
+}
+
+const withArticle = (noun) => `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+
+/**
+ * The question as put to the player.
+ * @param {import('./game_data_model.js').Level} level
+ * @param {string} type - One of QUESTION_TYPES.
+ * @returns {string}
+ */
+export function getQuestionPrompt(level, type) {
+    switch (type) {
+        case QUESTION_TYPES.ROOT:
+            return `Which root is hiding in "${level.fullWord}"?`;
+        case QUESTION_TYPES.MEANING:
+            return `What does the ${level.origin ? `${level.origin} ` : ''}root "${level.root}" mean?`;
+        case QUESTION_TYPES.SUFFIX:
+            return `Which suffix makes "${level.fullWord}" ${withArticle(level.pos)}?`;
+        case QUESTION_TYPES.BUILD:
+            return `Build ${withArticle(level.pos)} from the root meaning "${getRootMeaning(level)}".`;
+        default:
+            return `What part of speech is "${level.fullWord}"?`;
+    }
+}
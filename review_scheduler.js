@@ -0,0 +1,147 @@
+// review_scheduler.js
+//
+// Spaced-repetition scheduling for words the player got wrong (SM-2 style).
+// Each missed word gets a review card with an ease factor, an interval and a
+// due time. Correct recalls made once the card is due push the next review
+// further out; mistakes bring it back soon. A word only counts as mastered
+// after several spaced correct recalls in a row.
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/** Tuning for the scheduler. */
+export const REVIEW_SETTINGS = Object.freeze({
+    initialEase: 2.5, // SM-2 starting ease factor
+    minEase: 1.3, // Ease never drops below this
+    easeBonus: 0.1, // Added on every spaced correct recall
+    easePenalty: 0.2, // Removed on every mistake
+    relearnIntervalMs: 5 * MINUTE, // A missed word comes back after a few more words
+    firstIntervalMs: 30 * MINUTE, // After the first spaced correct recall
+    secondIntervalMs: 1 * DAY, // After the second one; later intervals grow by the ease factor
+    masteryRecalls: 3, // Spaced correct recalls in a row needed to master a word
+});
+
+/**
+ * The review schedule for a single level.
+ * @typedef {object} ReviewCard
+ * @property {number} levelId - The level being reviewed.
+ * @property {number} ease - SM-2 ease factor (how fast intervals grow).
+ * @property {number} intervalMs - The current gap between reviews.
+ * @property {number} dueAt - When the word should next be reviewed (ms since epoch).
+ * @property {number} repetitions - Spaced correct recalls in a row.
+ * @property {number} lapses - Total number of mistakes on this word.
+ * @property {number | null} lastReviewedAt - Time of the last recorded answer.
+ * @property {number | null} masteredAt - Set once the word has been mastered.
+ */
+
+/**
+ * The result of recording an answer for a word.
+ * @typedef {object} ReviewResult
+ * @property {ReviewCard | null} card - The updated card (null if the word was never missed).
+ * @property {boolean} counted - True if the answer changed the schedule.
+ * @property {boolean} mastered - True if this answer mastered the word.
+ */
+
+
+// --- 2. SCHEDULING ---
+
+/**
+ * Creates a card for a newly missed word.
+ * @param {number} levelId
+ * @param {number} now - Current time (ms since epoch).
+ * @param {object} [settings=REVIEW_SETTINGS]
+ * @returns {ReviewCard}
+ */
+export function createReviewCard(levelId, now, settings = REVIEW_SETTINGS) {
+    return {
+        levelId,
+        ease: settings.initialEase,
+        intervalMs: settings.relearnIntervalMs,
+        dueAt: now + settings.relearnIntervalMs,
+        repetitions: 0,
+        lapses: 0,
+        lastReviewedAt: null,
+        masteredAt: null,
+    };
+}
+
+/**
+ * Records the outcome of a word in the schedule.
+ * - A mistake creates the card if needed and schedules a quick relearn.
+ * - A correct answer only counts once the card is due, so recalls are spaced out.
+ * - Perfect words that were never missed are not scheduled at all.
+ * @param {Object<string, ReviewCard>} schedule - Cards keyed by level ID (updated in place).
+ * @param {number} levelId
+ * @param {boolean} wasCorrect - True if the word was recalled without mistakes.
+ * @param {number} now - Current time (ms since epoch).
+ * @param {object} [settings=REVIEW_SETTINGS]
+ * @returns {ReviewResult}
+ */
+export function recordReview(schedule, levelId, wasCorrect, now, settings = REVIEW_SETTINGS) {
+    let card = schedule[levelId];
+
+    if (!wasCorrect) {
+        if (!card || card.masteredAt !== null) {
+            // New mistake, or a mastered word that was forgotten: start again
+            card = createReviewCard(levelId, now, settings);
+            schedule[levelId] = card;
+        }
+        card.lapses++;
+        card.repetitions = 0;
+        card.ease = Math.max(settings.minEase, card.ease - settings.easePenalty);
+        card.intervalMs = settings.relearnIntervalMs;
+        card.dueAt = now + card.intervalMs;
+        card.lastReviewedAt = now;
+        return { card, counted: true, mastered: false };
+    }
+
+    if (!card || card.masteredAt !== null || now < card.dueAt) {
+        // Nothing to review, or recalled early (e.g., during a bear review): no credit yet
+        return { card: card || null, counted: false, mastered: false };
+    }
+
+    card.repetitions++;
+    card.ease += settings.easeBonus;
+    if (card.repetitions === 1) {
+        card.intervalMs = settings.firstIntervalMs;
+    } else if (card.repetitions === 2) {
+        card.intervalMs = settings.secondIntervalMs;
+    } else {
+        card.intervalMs = Math.round(card.intervalMs * card.ease);
+    }
+    card.dueAt = now + card.intervalMs;
+    card.lastReviewedAt = now;
+
+    const mastered = card.repetitions >= settings.masteryRecalls;
+    if (mastered) {
+        card.masteredAt = now;
+    }
+    return { card, counted: true, mastered };
+}
+
+/**
+ * Lists the words that are due for review, most overdue first.
+ * @param {Object<string, ReviewCard>} schedule
+ * @param {number} now - Current time (ms since epoch).
+ * @returns {number[]} Level IDs.
+ */
+export function getDueLevelIds(schedule, now) {
+    return Object.values(schedule)
+        .filter(card => card.masteredAt === null && card.dueAt <= now)
+        .sort((a, b) => a.dueAt - b.dueAt)
+        .map(card => card.levelId);
+}
+
+/**
+ * Lists every word that is still being learned, soonest due first.
+ * @param {Object<string, ReviewCard>} schedule
+ * @returns {number[]} Level IDs.
+ */
+export function getLearningLevelIds(schedule) {
+    return Object.values(schedule)
+        .filter(card => card.masteredAt === null)
+        .sort((a, b) => a.dueAt - b.dueAt)
+        .map(card => card.levelId);
+}
@@ -0,0 +1,797 @@
+// save_schema.js
+//
+// Versioning, migration and validation of saved GameState data.
+// Saves are upgraded one schema version at a time, merged with the current
+// defaults, then checked field by field. Every change made along the way is
+// recorded in a load report so nothing is "fixed" silently.
+
+import { createReviewCard } from './review_scheduler.js';
+import { EFFECT_DEFINITIONS } from './active_effects.js';
+import { ITEM_SLOTS, getItemSlot } from './item_effects.js';
+import { PET_DEFINITIONS } from './pets.js';
+import { SHOP_ITEMS } from './shop_items.js';
+import { isValidAttempt } from './learning_report.js';
+import { ADAPTIVE_SETTINGS } from './difficulty.js';
+import { ACHIEVEMENTS, DAILY_QUESTS, createAchievementState } from './achievements.js';
+import { DEFAULT_QUESTION_TYPES, QUESTION_DEFINITIONS, describeQuestionTypesProblem } from './question_types.js';
+import {
+    CURRENCY_BALANCE_KEYS, LEDGER_SOURCES, computeLedgerChecksum, getBalances, isValidLedgerEntry,
+} from './currency_ledger.js';
+
+// --- 1. SCHEMA VERSION & MIGRATIONS ---
+
+// Saves written before versioning existed have no schemaVersion and count as version 1.
+export const CURRENT_SCHEMA_VERSION = 19;
+const UNVERSIONED_SCHEMA_VERSION = 1;
+
+/**
+ * A single upgrade step between two consecutive schema versions.
+ * @typedef {object} Migration
+ * @property {number} toVersion - The schema version the save has after this step.
+ * @property {string} description - Short human-readable summary for the load report.
+ * @property {(state: object, context: MigrationContext) => object} migrate - Upgrades the save (may mutate it) and returns it.
+ */
+
+/**
+ * What a migration may need besides the save itself.
+ * @typedef {object} MigrationContext
+ * @property {import('./game_data_model.js').Zone[]} zones - Zones that currently exist, e.g. to look up a word's root.
+ * @property {import('./shop_items.js').ShopItem[]} shopItems - Items that currently exist, e.g. to find a cosmetic's slot.
+ */
+
+/**
+ * Plants for the words an older save had already mastered, one per root, in content order.
+ * A word counts as mastered if its review card is, or if its latest result was perfect and it is not an imperfect word.
+ * @param {object} state - The save being migrated.
+ * @param {import('./game_data_model.js').Zone[]} zones
+ * @returns {import('./garden.js').Plant[]}
+ */
+function plantMasteredRoots(state, zones) {
+    const reviewSchedule = isPlainObject(state.reviewSchedule) ? state.reviewSchedule : {};
+    const levelResults = isPlainObject(state.levelResults) ? state.levelResults : {};
+    const imperfectWords = Array.isArray(state.imperfectWords) ? state.imperfectWords : [];
+    const plants = [];
+    for (const level of zones.flatMap(zone => zone.levels)) {
+        const card = reviewSchedule[level.id];
+        const masteredAt = isPlainObject(card) && Number.isFinite(card.masteredAt) ? card.masteredAt : null;
+        const perfect = isPlainObject(levelResults[level.id]) && levelResults[level.id].lastPerfect === true
+            && !imperfectWords.includes(level.id);
+        if ((masteredAt !== null || perfect) && !plants.some(p => p.root.toLowerCase() === level.root.toLowerCase())) {
+            plants.push({ root: level.root, levelId: level.id, plantedAt: masteredAt ?? 0, growth: 0 });
+        }
+    }
+    return plants;
+}
+
+/** @type {Migration[]} Ordered by toVersion. */
+export const MIGRATIONS = [
+    {
+        toVersion: 2,
+        description: 'Added schemaVersion and the isInReviewMode flag.',
+        migrate: (state) => {
+            if (typeof state.isInReviewMode !== 'boolean') {
+                state.isInReviewMode = false;
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 3,
+        description: 'Added tracking of the word currently being answered (turn).',
+        migrate: (state) => {
+            state.turn = null;
+            return state;
+        },
+    },
+    {
+        toVersion: 4,
+        description: 'Moved imperfect words onto a spaced-repetition review schedule.',
+        migrate: (state) => {
+            const imperfectWords = Array.isArray(state.imperfectWords) ? state.imperfectWords : [];
+            // Every old mistake is due straight away
+            state.reviewSchedule = Object.fromEntries(
+                imperfectWords.map(levelId => [levelId, createReviewCard(levelId, 0)])
+            );
+            // The old review mode always showed the first imperfect word
+            if (state.isInReviewMode && imperfectWords.length > 0) {
+                state.currentReviewLevelId = imperfectWords[0];
+                state.reviewQueue = imperfectWords.slice(1);
+            } else {
+                state.currentReviewLevelId = null;
+                state.reviewQueue = [];
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 5,
+        description: 'Added per-player zone unlocks and per-word results.',
+        migrate: (state) => {
+            // Whoever already reached a zone keeps access to it
+            state.unlockedZoneIds = typeof state.currentZoneId === 'string' ? [state.currentZoneId] : [];
+            state.levelResults = {};
+            return state;
+        },
+    },
+    {
+        toVersion: 6,
+        description: 'Moved the bear and the Rattler onto timed active effects.',
+        migrate: (state) => {
+            state.activeEffects = [];
+            if (state.isBearActive && state.roundsUntilBearLeaves > 0) {
+                state.activeEffects.push({
+                    effect: 'bear', source: 'grizzlyBear', remainingRounds: state.roundsUntilBearLeaves,
+                    expiresAt: null, stacks: 1, appliedAt: 0,
+                });
+            }
+            // The old Rattler never wore off; it now gets the 5 rounds its description promises
+            if (isPlainObject(state.inventory) && state.inventory.snakeActive) {
+                state.activeEffects.push({
+                    effect: 'repelBear', source: 'rattlerSnake', remainingRounds: 5,
+                    expiresAt: null, stacks: 1, appliedAt: 0,
+                });
+            }
+            delete state.isBearActive;
+            delete state.roundsUntilBearLeaves;
+            if (isPlainObject(state.inventory)) {
+                delete state.inventory.snakeActive;
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 7,
+        description: 'Moved cosmetics into their avatar slots and added the list of owned items.',
+        migrate: (state, { shopItems }) => {
+            if (!isPlainObject(state.inventory)) return state;
+            // Older versions stored cosmetics under keys like 'goldenCosmetic' instead of their slot
+            state.inventory.ownedItems = [];
+            for (const key of Object.keys(state.inventory).filter(k => k.endsWith('Cosmetic'))) {
+                const item = shopItems.find(i => i.id === state.inventory[key]);
+                const slot = item && getItemSlot(item);
+                if (slot) {
+                    state.inventory.ownedItems.push(item.id);
+                    state.inventory[slot] = item.id;
+                }
+                delete state.inventory[key];
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 8,
+        description: 'Added per-rotation shop purchase counts.',
+        migrate: (state) => {
+            state.shop = { rotationKey: null, purchases: {} };
+            return state;
+        },
+    },
+    {
+        toVersion: 9,
+        description: 'Started the currency ledger from the saved balances.',
+        migrate: (state) => {
+            state.currencyLedger = [];
+            for (const [currency, key] of Object.entries(CURRENCY_BALANCE_KEYS)) {
+                const amount = state[key];
+                if (Number.isInteger(amount) && amount > 0) {
+                    state.currencyLedger.push({
+                        id: state.currencyLedger.length + 1, at: 0, source: LEDGER_SOURCES.OPENING_BALANCE,
+                        currency, amount, levelId: null,
+                    });
+                }
+            }
+            state.currencyChecksum = computeLedgerChecksum(state.currencyLedger);
+            return state;
+        },
+    },
+    {
+        toVersion: 10,
+        description: 'Added the attempt history for learning analytics.',
+        migrate: (state) => {
+            state.attempts = [];
+            return state;
+        },
+    },
+    {
+        toVersion: 11,
+        description: 'Added the seed for shuffling answer choices.',
+        migrate: (state) => {
+            state.choiceSeed = null;
+            return state;
+        },
+    },
+    {
+        toVersion: 12,
+        description: 'Added hints to the turn in progress and to recorded answers.',
+        migrate: (state) => {
+            if (isPlainObject(state.turn)) {
+                state.turn.hints = [];
+                state.turn.eliminatedChoices = [];
+            }
+            if (Array.isArray(state.attempts)) {
+                state.attempts = state.attempts.map(a => (isPlainObject(a) ? { ...a, hints: [] } : a));
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 13,
+        description: 'Added the adaptive difficulty level.',
+        migrate: (state) => {
+            state.adaptiveLevel = ADAPTIVE_SETTINGS.startLevel;
+            return state;
+        },
+    },
+    {
+        toVersion: 14,
+        description: 'Added the garden plot, planted with the roots already mastered.',
+        migrate: (state, { zones }) => {
+            state.garden = { plants: plantMasteredRoots(state, zones), pendingLevelIds: [], wilted: false, recovery: null };
+            return state;
+        },
+    },
+    {
+        toVersion: 15,
+        description: 'Added the saved random generator.',
+        migrate: (state) => {
+            state.random = null;
+            return state;
+        },
+    },
+    {
+        toVersion: 16,
+        description: 'Turns list the questions they ask (older turns asked the root and the part of speech).',
+        migrate: (state) => {
+            if (state.turn && typeof state.turn === 'object') {
+                state.turn.questions = [...DEFAULT_QUESTION_TYPES];
+                state.turn.missedQuestions = [];
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 17,
+        description: 'Added achievements and daily quests; progress is counted from now on.',
+        migrate: (state) => {
+            state.achievements = createAchievementState();
+            return state;
+        },
+    },
+    {
+        toVersion: 18,
+        description: 'Added pet companions to the inventory.',
+        migrate: (state) => {
+            if (state.inventory && typeof state.inventory === 'object') {
+                state.inventory.pets = {};
+                state.inventory.activePet = null;
+            }
+            return state;
+        },
+    },
+    {
+        toVersion: 19,
+        description: 'Purchases count toward achievements and quests once they can no longer be refunded.',
+        migrate: (state) => {
+            if (state.achievements && typeof state.achievements === 'object') {
+                state.achievements.pendingPurchases = [];
+            }
+            return state;
+        },
+    },
+];
+
+
+// --- 2. LOAD REPORT & ERRORS ---
+
+/**
+ * Describes everything that happened while restoring a save.
+ * @typedef {object} LoadReport
+ * @property {number} fromVersion - Schema version found in the save.
+ * @property {number} toVersion - Schema version after migration.
+ * @property {string[]} migrationsApplied - Descriptions of the migrations that ran.
+ * @property {{path: string, message: string}[]} repairs - Fields that were corrected by the validator.
+ * @property {boolean} currencyTampered - True if the currency did not match the ledger checksum
+ *   (edited outside the game); balances are then rebuilt from the ledger.
+ */
+
+/**
+ * Thrown when a save cannot be repaired and has to be rejected as a whole.
+ */
+export class SaveFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveFormatError';
+    }
+}
+
+
+// --- 3. HELPERS ---
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Recursively fills in any keys missing from the saved data using the defaults.
+ * Saved values win; nested objects (e.g., inventory) are merged key by key.
+ * @param {object} defaults
+ * @param {object} saved
+ * @returns {object} A new merged object.
+ */
+export function mergeWithDefaults(defaults, saved) {
+    const merged = structuredClone(defaults);
+    for (const [key, value] of Object.entries(saved)) {
+        merged[key] = isPlainObject(merged[key]) && isPlainObject(value)
+            ? mergeWithDefaults(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Brings a raw save up to CURRENT_SCHEMA_VERSION.
+ * @param {object} savedState - Parsed save data (not modified).
+ * @param {LoadReport} report - Receives the list of applied migrations.
+ * @param {MigrationContext} context
+ * @returns {object} The migrated save.
+ */
+export function migrateSave(savedState, report, context) {
+    if (!isPlainObject(savedState)) {
+        throw new SaveFormatError('Save data is not an object.');
+    }
+
+    const fromVersion = savedState.schemaVersion ?? UNVERSIONED_SCHEMA_VERSION;
+    if (!Number.isInteger(fromVersion) || fromVersion < UNVERSIONED_SCHEMA_VERSION) {
+        throw new SaveFormatError(`Unrecognised schema version: ${fromVersion}.`);
+    }
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new SaveFormatError(
+            `Save was made by a newer version of the game (schema ${fromVersion}, supported ${CURRENT_SCHEMA_VERSION}).`
+        );
+    }
+
+    let state = structuredClone(savedState);
+    report.fromVersion = fromVersion;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.toVersion > fromVersion) {
+            state = migration.migrate(state, context);
+            state.schemaVersion = migration.toVersion;
+            report.migrationsApplied.push(migration.description);
+        }
+    }
+
+    state.schemaVersion = CURRENT_SCHEMA_VERSION;
+    report.toVersion = CURRENT_SCHEMA_VERSION;
+    return state;
+}
+
+
+// --- 4. VALIDATION ---
+
+/**
+ * Checks a migrated, defaults-merged GameState and repairs anything out of range.
+ * @param {object} state - The GameState to repair in place.
+ * @param {object} context
+ * @param {import('./game_data_model.js').Zone[]} context.zones - Zones that currently exist.
+ * @param {object} context.defaults - The initial GameState, used for replacement values.
+ * @param {import('./shop_items.js').ShopItem[]} [context.shopItems=SHOP_ITEMS] - Items that currently exist.
+ * @param {LoadReport} report - Receives one entry per repaired field.
+ * @returns {object} The repaired state.
+ */
+export function validateGameState(state, { zones, defaults, shopItems = SHOP_ITEMS }, report) {
+    const repair = (path, message) => report.repairs.push({ path, message });
+
+    // Currencies: the ledger must match its checksum, and balances are always derived from it
+    if (!Array.isArray(state.currencyLedger)) {
+        repair('currencyLedger', 'Not a list, reset to empty.');
+        state.currencyLedger = [];
+    }
+    const validEntries = state.currencyLedger.filter(isValidLedgerEntry);
+    if (validEntries.length !== state.currencyLedger.length) {
+        repair('currencyLedger', `Removed ${state.currencyLedger.length - validEntries.length} malformed entries.`);
+        state.currencyLedger = validEntries;
+    }
+    const balances = getBalances(state.currencyLedger);
+    const balancesMatch = Object.entries(CURRENCY_BALANCE_KEYS).every(([currency, key]) => state[key] === balances[currency]);
+    if (state.currencyChecksum !== computeLedgerChecksum(state.currencyLedger) || !balancesMatch) {
+        repair('currencyChecksum', 'Currency was changed outside the game; balances rebuilt from the ledger.');
+        report.currencyTampered = true;
+    }
+    for (const [currency, key] of Object.entries(CURRENCY_BALANCE_KEYS)) {
+        if (balances[currency] < 0) {
+            // Only possible with an edited ledger: book a correction so the balance stays derived
+            repair(key, `Negative balance ${balances[currency]} corrected to 0.`);
+            state.currencyLedger.push({
+                id: (state.currencyLedger[state.currencyLedger.length - 1]?.id || 0) + 1,
+                at: 0, source: LEDGER_SOURCES.CORRECTION, currency, amount: -balances[currency], levelId: null,
+            });
+            balances[currency] = 0;
+        }
+        state[key] = balances[currency];
+    }
+    state.currencyChecksum = computeLedgerChecksum(state.currencyLedger);
+
+    // Garden health: 0-100
+    if (typeof state.gardenHealth !== 'number' || !Number.isFinite(state.gardenHealth)) {
+        repair('gardenHealth', `Invalid value ${JSON.stringify(state.gardenHealth)} reset to ${defaults.gardenHealth}.`);
+        state.gardenHealth = defaults.gardenHealth;
+    } else if (state.gardenHealth < 0 || state.gardenHealth > 100) {
+        const fixed = Math.min(100, Math.max(0, state.gardenHealth));
+        repair('gardenHealth', `Value ${state.gardenHealth} is outside 0-100, clamped to ${fixed}.`);
+        state.gardenHealth = fixed;
+    }
+
+    // Zone: must exist and contain levels
+    const zone = zones.find(z => z.id === state.currentZoneId);
+    if (!zone || zone.levels.length === 0) {
+        repair('currentZoneId', `Zone ${JSON.stringify(state.currentZoneId)} ${zone ? 'has no levels' : 'does not exist'}, moved to ${zones[0].id}.`);
+        state.currentZoneId = zones[0].id;
+        state.currentLevelIndex = 0;
+    }
+
+    // Unlocked zones: known zone IDs only, and always the zone the player is in
+    const knownZoneIds = new Set(zones.map(z => z.id));
+    if (!Array.isArray(state.unlockedZoneIds)) {
+        repair('unlockedZoneIds', 'Not a list, reset to the current zone.');
+        state.unlockedZoneIds = [];
+    } else if (state.unlockedZoneIds.some(id => !knownZoneIds.has(id))) {
+        repair('unlockedZoneIds', 'Removed unknown zone IDs.');
+        state.unlockedZoneIds = state.unlockedZoneIds.filter(id => knownZoneIds.has(id));
+    }
+    if (!state.unlockedZoneIds.includes(state.currentZoneId)) {
+        state.unlockedZoneIds.push(state.currentZoneId);
+    }
+
+    // Level index: must point at a level inside the current zone
+    const zoneLevelCount = zones.find(z => z.id === state.currentZoneId).levels.length;
+    const index = state.currentLevelIndex;
+    if (!Number.isInteger(index) || index < 0) {
+        repair('currentLevelIndex', `Invalid index ${JSON.stringify(index)} reset to 0.`);
+        state.currentLevelIndex = 0;
+    } else if (index >= zoneLevelCount) {
+        repair('currentLevelIndex', `Index ${index} is past the end of ${state.currentZoneId}, capped to ${zoneLevelCount - 1}.`);
+        state.currentLevelIndex = zoneLevelCount - 1;
+    }
+
+    // Mistake list: known level IDs only, no duplicates
+    const knownLevelIds = new Set(zones.flatMap(z => z.levels.map(level => level.id)));
+    if (!Array.isArray(state.imperfectWords)) {
+        repair('imperfectWords', 'Not a list, reset to empty.');
+        state.imperfectWords = [];
+    } else {
+        const cleaned = [...new Set(state.imperfectWords)].filter(id => knownLevelIds.has(id));
+        if (cleaned.length !== state.imperfectWords.length) {
+            const removed = state.imperfectWords.filter(id => !cleaned.includes(id));
+            repair('imperfectWords', `Removed unknown or duplicate level IDs: ${[...new Set(removed)].join(', ')}.`);
+            state.imperfectWords = cleaned;
+        }
+    }
+
+    // Attempt history: unreadable entries are dropped (answers for removed words are kept)
+    if (!Array.isArray(state.attempts)) {
+        repair('attempts', 'Not a list, reset to empty.');
+        state.attempts = [];
+    }
+    const validAttempts = state.attempts.filter(isValidAttempt);
+    if (validAttempts.length !== state.attempts.length) {
+        repair('attempts', `Removed ${state.attempts.length - validAttempts.length} unreadable attempts.`);
+        state.attempts = validAttempts;
+    }
+
+    if (state.choiceSeed !== null && (typeof state.choiceSeed !== 'string' || state.choiceSeed === '')) {
+        repair('choiceSeed', 'Invalid seed, a new one will be picked.');
+        state.choiceSeed = null;
+    }
+    if (state.random !== null && !(isPlainObject(state.random)
+        && typeof state.random.seed === 'string'
+        && Number.isInteger(state.random.state) && state.random.state >= 0 && state.random.state <= 0xffffffff)) {
+        repair('random', 'Unreadable random generator, a new one will be seeded.');
+        state.random = null;
+    }
+    const maxAdaptiveLevel = ADAPTIVE_SETTINGS.levels.length - 1;
+    if (!Number.isFinite(state.adaptiveLevel) || state.adaptiveLevel < 0 || state.adaptiveLevel > maxAdaptiveLevel) {
+        repair('adaptiveLevel', `Invalid value ${JSON.stringify(state.adaptiveLevel)} reset to ${defaults.adaptiveLevel}.`);
+        state.adaptiveLevel = defaults.adaptiveLevel;
+    }
+
+    // Inventory counters and flags
+    if (!isPlainObject(state.inventory)) {
+        repair('inventory', 'Not an object, reset to the starting inventory.');
+        state.inventory = structuredClone(defaults.inventory);
+    }
+    const count = state.inventory.fertilizerCount;
+    if (!Number.isInteger(count) || count < 0) {
+        repair('inventory.fertilizerCount', `Invalid count ${JSON.stringify(count)} reset to 0.`);
+        state.inventory.fertilizerCount = 0;
+    }
+    if (!Array.isArray(state.inventory.ownedItems)) {
+        repair('inventory.ownedItems', 'Not a list, reset to empty.');
+        state.inventory.ownedItems = [];
+    }
+    const ownedItems = [...new Set(state.inventory.ownedItems)]
+        .filter(id => shopItems.some(item => item.id === id && getItemSlot(item)));
+    if (ownedItems.length !== state.inventory.ownedItems.length) {
+        repair('inventory.ownedItems', 'Removed unknown or duplicate items.');
+        state.inventory.ownedItems = ownedItems;
+    }
+    // Pets: known pets with whole-number experience; the active one must be adopted
+    if (!isPlainObject(state.inventory.pets)) {
+        repair('inventory.pets', 'Not an object, reset to no pets.');
+        state.inventory.pets = {};
+    }
+    for (const [petId, pet] of Object.entries(state.inventory.pets)) {
+        if (!Object.prototype.hasOwnProperty.call(PET_DEFINITIONS, petId)) {
+            repair(`inventory.pets.${petId}`, 'Unknown pet removed.');
+            delete state.inventory.pets[petId];
+        } else if (!isPlainObject(pet) || !Number.isInteger(pet.xp) || pet.xp < 0) {
+            repair(`inventory.pets.${petId}.xp`, `Invalid experience ${JSON.stringify(pet?.xp)} reset to 0.`);
+            state.inventory.pets[petId] = { xp: 0 };
+        } else if (pet.previousPet !== undefined && pet.previousPet !== null
+            && !Object.prototype.hasOwnProperty.call(PET_DEFINITIONS, pet.previousPet)) {
+            repair(`inventory.pets.${petId}.previousPet`, `Unknown pet ${JSON.stringify(pet.previousPet)} forgotten.`);
+            pet.previousPet = null;
+        }
+    }
+    if (state.inventory.activePet !== null && !state.inventory.pets[state.inventory.activePet]) {
+        repair('inventory.activePet', `Unadopted pet ${JSON.stringify(state.inventory.activePet)} sent home.`);
+        state.inventory.activePet = null;
+    }
+    // Shop purchase counts for the current rotation
+    if (!isPlainObject(state.shop)) {
+        repair('shop', 'Not an object, reset.');
+        state.shop = structuredClone(defaults.shop);
+    }
+    if (state.shop.rotationKey !== null && typeof state.shop.rotationKey !== 'string') {
+        repair('shop.rotationKey', 'Invalid rotation, purchase counts reset.');
+        state.shop = structuredClone(defaults.shop);
+    }
+    if (!isPlainObject(state.shop.purchases)) {
+        repair('shop.purchases', 'Not an object, reset to empty.');
+        state.shop.purchases = {};
+    }
+    for (const [itemId, bought] of Object.entries(state.shop.purchases)) {
+        if (!Number.isInteger(bought) || bought < 0) {
+            repair(`shop.purchases.${itemId}`, `Invalid count ${JSON.stringify(bought)} removed.`);
+            delete state.shop.purchases[itemId];
+        }
+    }
+
+    // A slot can only hold an owned item that belongs in that slot
+    for (const slot of ITEM_SLOTS) {
+        const itemId = state.inventory[slot];
+        const item = shopItems.find(i => i.id === itemId);
+        if (itemId !== null && !(item && getItemSlot(item) === slot && ownedItems.includes(itemId))) {
+            repair(`inventory.${slot}`, `Unowned or misplaced item ${JSON.stringify(itemId)} unequipped.`);
+            state.inventory[slot] = null;
+        }
+    }
+    if (typeof state.isInReviewMode !== 'boolean') {
+        repair('isInReviewMode', `Invalid flag ${JSON.stringify(state.isInReviewMode)} reset to false.`);
+        state.isInReviewMode = false;
+    }
+
+    // Timed effects: known effect types with a duration left, one entry per type
+    if (!Array.isArray(state.activeEffects)) {
+        repair('activeEffects', 'Not a list, reset to empty.');
+        state.activeEffects = [];
+    }
+    const seenEffects = new Set();
+    state.activeEffects = state.activeEffects.filter((active, i) => {
+        const hasRounds = Number.isInteger(active?.remainingRounds) && active.remainingRounds > 0;
+        const hasTime = Number.isFinite(active?.expiresAt);
+        const valid = isPlainObject(active)
+            && Object.prototype.hasOwnProperty.call(EFFECT_DEFINITIONS, active.effect)
+            && !seenEffects.has(active.effect)
+            && (hasRounds || hasTime)
+            && (active.remainingRounds === null || hasRounds)
+            && (active.expiresAt === null || hasTime);
+        if (!valid) {
+            repair(`activeEffects[${i}]`, `Unknown, duplicate or finished effect ${JSON.stringify(active?.effect)} removed.`);
+            return false;
+        }
+        seenEffects.add(active.effect);
+        return true;
+    });
+
+    // Per-word results: known levels, well-formed counters
+    if (!isPlainObject(state.levelResults)) {
+        repair('levelResults', 'Not an object, reset to empty.');
+        state.levelResults = {};
+    }
+    for (const [key, result] of Object.entries(state.levelResults)) {
+        const validResult = knownLevelIds.has(Number(key))
+            && isPlainObject(result)
+            && Number.isInteger(result.attempts) && Number.isInteger(result.perfectCount)
+            && typeof result.lastPerfect === 'boolean';
+        if (!validResult) {
+            repair(`levelResults.${key}`, 'Unknown level or unreadable result removed.');
+            delete state.levelResults[key];
+        }
+    }
+
+    // Review schedule: one well-formed card per known level, and one for every imperfect word
+    if (!isPlainObject(state.reviewSchedule)) {
+        repair('reviewSchedule', 'Not an object, rebuilt from the imperfect words.');
+        state.reviewSchedule = {};
+    }
+    for (const [key, card] of Object.entries(state.reviewSchedule)) {
+        const validCard = isPlainObject(card)
+            && knownLevelIds.has(card.levelId)
+            && String(card.levelId) === key
+            && ['ease', 'intervalMs', 'dueAt', 'repetitions', 'lapses'].every(field => Number.isFinite(card[field]));
+        if (!validCard) {
+            repair(`reviewSchedule.${key}`, 'Unknown level or unreadable review card removed.');
+            delete state.reviewSchedule[key];
+        }
+    }
+    for (const levelId of state.imperfectWords) {
+        const card = state.reviewSchedule[levelId];
+        if (!card || card.masteredAt) {
+            repair(`reviewSchedule.${levelId}`, 'Imperfect word had no active review card, scheduled for review now.');
+            state.reviewSchedule[levelId] = createReviewCard(levelId, 0);
+        }
+    }
+
+    // Review words in play or queued must exist
+    if (state.currentReviewLevelId !== null && !knownLevelIds.has(state.currentReviewLevelId)) {
+        repair('currentReviewLevelId', `Level ${JSON.stringify(state.currentReviewLevelId)} does not exist, back to the zone word.`);
+        state.currentReviewLevelId = null;
+    }
+    if (!Array.isArray(state.reviewQueue)) {
+        repair('reviewQueue', 'Not a list, reset to empty.');
+        state.reviewQueue = [];
+    } else if (state.reviewQueue.some(id => !knownLevelIds.has(id))) {
+        repair('reviewQueue', 'Removed unknown level IDs.');
+        state.reviewQueue = state.reviewQueue.filter(id => knownLevelIds.has(id));
+    }
+
+    // Garden: plants for known words, pending and recovery words that exist
+    const { garden } = state;
+    if (!isPlainObject(garden) || !Array.isArray(garden.plants) || !Array.isArray(garden.pendingLevelIds)) {
+        repair('garden', 'Unreadable garden, replanted from scratch.');
+        state.garden = structuredClone(defaults.garden);
+    } else {
+        garden.plants = garden.plants.filter((plant, i) => {
+            const valid = isPlainObject(plant)
+                && typeof plant.root === 'string' && knownLevelIds.has(plant.levelId)
+                && Number.isFinite(plant.plantedAt)
+                && Number.isInteger(plant.growth) && plant.growth >= 0;
+            if (!valid) repair(`garden.plants[${i}]`, 'Unknown word or unreadable plant removed.');
+            return valid;
+        });
+        if (garden.pendingLevelIds.some(id => !knownLevelIds.has(id))) {
+            repair('garden.pendingLevelIds', 'Removed unknown level IDs.');
+            garden.pendingLevelIds = garden.pendingLevelIds.filter(id => knownLevelIds.has(id));
+        }
+        if (typeof garden.wilted !== 'boolean') {
+            repair('garden.wilted', `Invalid value ${JSON.stringify(garden.wilted)} reset to false.`);
+            garden.wilted = false;
+        }
+        if (garden.recovery !== null) {
+            const levelIds = isPlainObject(garden.recovery) && Array.isArray(garden.recovery.levelIds)
+                ? garden.recovery.levelIds.filter(id => knownLevelIds.has(id))
+                : [];
+            if (levelIds.length === 0 || !Number.isInteger(garden.recovery.total)) {
+                // Health is still 0, so a new challenge starts after the next word
+                repair('garden.recovery', 'Unreadable recovery challenge discarded.');
+                garden.recovery = null;
+            } else if (levelIds.length !== garden.recovery.levelIds.length) {
+                repair('garden.recovery', 'Removed unknown level IDs.');
+                garden.recovery.levelIds = levelIds;
+            }
+        }
+    }
+
+    // Achievements: whole-number counters and streaks, known achievements and quests
+    const { achievements } = state;
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (!isPlainObject(achievements) || !isPlainObject(achievements.counters) || !isPlainObject(achievements.streaks)
+        || !isPlainObject(achievements.unlocked)) {
+        repair('achievements', 'Unreadable achievements, progress reset.');
+        state.achievements = structuredClone(defaults.achievements);
+    } else {
+        for (const key of Object.keys(defaults.achievements.counters)) {
+            if (!isCount(achievements.counters[key])) {
+                repair(`achievements.counters.${key}`, `Invalid count ${JSON.stringify(achievements.counters[key])} reset to 0.`);
+                achievements.counters[key] = 0;
+            }
+        }
+        for (const key of ['answers', 'perfectWords', 'days']) {
+            if (!isCount(achievements.streaks[key])) {
+                repair(`achievements.streaks.${key}`, `Invalid streak ${JSON.stringify(achievements.streaks[key])} reset to 0.`);
+                achievements.streaks[key] = 0;
+            }
+        }
+        if (achievements.streaks.lastDay !== null && !Number.isInteger(achievements.streaks.lastDay)) {
+            repair('achievements.streaks.lastDay', 'Invalid day, the login streak starts again.');
+            achievements.streaks.lastDay = null;
+            achievements.streaks.days = 0;
+        }
+        if (!isCount(achievements.zoneBearArrivals)) {
+            repair('achievements.zoneBearArrivals', `Invalid count ${JSON.stringify(achievements.zoneBearArrivals)} reset to 0.`);
+            achievements.zoneBearArrivals = 0;
+        }
+        for (const [id, at] of Object.entries(achievements.unlocked)) {
+            if (!ACHIEVEMENTS.some(a => a.id === id) || !Number.isFinite(at)) {
+                repair(`achievements.unlocked.${id}`, 'Unknown or unreadable achievement removed.');
+                delete achievements.unlocked[id];
+            }
+        }
+        const validPending = Array.isArray(achievements.pendingPurchases) && achievements.pendingPurchases.every(p => isPlainObject(p)
+            && Number.isInteger(p.entryId) && p.entryId > 0 && Number.isFinite(p.at));
+        if (!validPending) {
+            repair('achievements.pendingPurchases', 'Unreadable pending purchases discarded.');
+            achievements.pendingPurchases = [];
+        }
+        const { quests } = achievements;
+        const validQuests = isPlainObject(quests)
+            && (quests.day === null || Number.isInteger(quests.day))
+            && Array.isArray(quests.questIds) && quests.questIds.every(id => DAILY_QUESTS.some(q => q.id === id))
+            && isPlainObject(quests.baseline) && Object.values(quests.baseline).every(isCount)
+            && isPlainObject(quests.completed) && Object.keys(quests.completed).every(id => quests.questIds.includes(id));
+        if (!validQuests) {
+            // Today's quests are drawn again, counted from now
+            repair('achievements.quests', 'Unreadable daily quests discarded.');
+            achievements.quests = structuredClone(defaults.achievements.quests);
+        }
+    }
+
+    // In-progress turn: must belong to a known level and be in a known phase
+    const turn = state.turn;
+    if (turn !== null) {
+        const validTurn = isPlainObject(turn)
+            && knownLevelIds.has(turn.levelId)
+            && describeQuestionTypesProblem(turn.questions) === null
+            && (turn.phase === 'resolved' || turn.questions.some(type => QUESTION_DEFINITIONS[type].phase === turn.phase))
+            && typeof turn.rootFirstTry === 'boolean'
+            && typeof turn.posFirstTry === 'boolean'
+            && Array.isArray(turn.missedQuestions)
+            && Array.isArray(turn.triedChoices)
+            && Array.isArray(turn.hints)
+            && Array.isArray(turn.eliminatedChoices);
+        if (!validTurn) {
+            repair('turn', 'Unreadable in-progress turn discarded, the word will start again.');
+            state.turn = null;
+        }
+    }
+
+    // Review mode needs something to review
+    if (state.isInReviewMode && state.currentReviewLevelId === null && state.reviewQueue.length === 0) {
+        repair('isInReviewMode', 'Review mode was on with no words to review, turned off.');
+        state.isInReviewMode = false;
+    }
+
+    return state;
+}
+
+
+// --- 5. FULL RESTORE PIPELINE ---
+
+/**
+ * Migrates, merges and validates a raw save.
+ * @param {object | null} savedState - Parsed save data, or null for a new game.
+ * @param {object} context
+ * @param {import('./game_data_model.js').Zone[]} context.zones - Zones that currently exist.
+ * @param {object} context.defaults - The initial GameState.
+ * @param {import('./shop_items.js').ShopItem[]} [context.shopItems=SHOP_ITEMS] - Items that currently exist.
+ * @returns {{state: object, report: LoadReport}}
+ * @throws {SaveFormatError} If the save cannot be repaired.
+ */
+export function restoreSave(savedState, { zones, defaults, shopItems = SHOP_ITEMS }) {
+    /** @type {LoadReport} */
+    const report = {
+        fromVersion: CURRENT_SCHEMA_VERSION,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        migrationsApplied: [],
+        repairs: [],
+        currencyTampered: false,
+    };
+
+    if (savedState === null || savedState === undefined) {
+        return { state: structuredClone(defaults), report };
+    }
+
+    const migrated = migrateSave(savedState, report, { zones, shopItems });
+    const merged = mergeWithDefaults(defaults, migrated);
+    const state = validateGameState(merged, { zones, defaults, shopItems }, report);
+    return { state, report };
+}
@@ -0,0 +1,212 @@
+// save_storage.js
+//
+// Storage adapters used to persist Grammar Garden Guardians saves.
+// Every adapter exposes the same small, synchronous key/value interface
+// (modelled on localStorage) so the game logic never needs to know where
+// its data actually lives.
+
+// --- 1. ADAPTER INTERFACE ---
+
+/**
+ * A key/value store for serialized save data.
+ * Backends that are asynchronous by nature (IndexedDB, the file system) are
+ * opened up front and keep an in-memory copy, so reads stay synchronous and
+ * writes are pushed to the backend in the background.
+ * @typedef {object} StorageAdapter
+ * @property {string} kind - Short name of the backend (e.g., 'memory', 'localStorage').
+ * @property {(key: string) => (string|null)} getItem - Returns the stored string, or null if missing.
+ * @property {(key: string, value: string) => void} setItem - Stores a string under the key.
+ * @property {(key: string) => void} removeItem - Deletes the key if present.
+ * @property {() => string[]} keys - Lists every stored key.
+ * @property {() => Promise<void>} flush - Resolves once all pending writes have reached the backend.
+ */
+
+
+// --- 2. IN-MEMORY BACKEND ---
+
+/**
+ * Creates a storage adapter that only lives in memory (tests, Node, private browsing).
+ * @param {Object<string, string>} [initialData] - Optional key/value pairs to start with.
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage(initialData = {}) {
+    const data = new Map(Object.entries(initialData));
+
+    return {
+        kind: 'memory',
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); },
+        keys: () => [...data.keys()],
+        flush: () => Promise.resolve(),
+    };
+}
+
+
+// --- 3. LOCALSTORAGE BACKEND ---
+
+/**
+ * Wraps a Web Storage object (window.localStorage by default).
+ * @param {Storage} [webStorage] - The Web Storage object to wrap.
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorage(webStorage = globalThis.localStorage) {
+    if (!webStorage) {
+        throw new Error('localStorage is not available in this environment.');
+    }
+
+    return {
+        kind: 'localStorage',
+        getItem: (key) => webStorage.getItem(key),
+        setItem: (key, value) => webStorage.setItem(key, String(value)),
+        removeItem: (key) => webStorage.removeItem(key),
+        keys: () => {
+            const keys = [];
+            for (let i = 0; i < webStorage.length; i++) {
+                keys.push(webStorage.key(i));
+            }
+            return keys;
+        },
+        flush: () => Promise.resolve(),
+    };
+}
+
+
+// --- 4. INDEXEDDB BACKEND ---
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens an IndexedDB object store and returns an adapter backed by it.
+ * All records are read into memory when the database opens; writes update the
+ * in-memory copy immediately and are queued to IndexedDB in order.
+ * @param {object} [options]
+ * @param {string} [options.dbName='grammarGarden'] - Database name.
+ * @param {string} [options.storeName='saves'] - Object store name.
+ * @param {IDBFactory} [options.indexedDB] - The IndexedDB factory (window.indexedDB by default).
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function createIndexedDBStorage({
+    dbName = 'grammarGarden',
+    storeName = 'saves',
+    indexedDB = globalThis.indexedDB,
+} = {}) {
+    if (!indexedDB) {
+        throw new Error('IndexedDB is not available in this environment.');
+    }
+
+    const openRequest = indexedDB.open(dbName, 1);
+    openRequest.onupgradeneeded = () => {
+        if (!openRequest.result.objectStoreNames.contains(storeName)) {
+            openRequest.result.createObjectStore(storeName);
+        }
+    };
+    const db = await requestToPromise(openRequest);
+
+    // Preload every record so reads can stay synchronous
+    const data = new Map();
+    const readStore = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const [storedKeys, storedValues] = await Promise.all([
+        requestToPromise(readStore.getAllKeys()),
+        requestToPromise(readStore.getAll()),
+    ]);
+    storedKeys.forEach((key, i) => data.set(String(key), storedValues[i]));
+
+    // Writes are chained so they land in the same order they were made
+    let pendingWrites = Promise.resolve();
+    const queueWrite = (operation) => {
+        pendingWrites = pendingWrites
+            .then(() => {
+                const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+                return requestToPromise(operation(store));
+            })
+            .catch((e) => console.error('Error writing game data to IndexedDB:', e));
+    };
+
+    return {
+        kind: 'indexedDB',
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => {
+            data.set(key, String(value));
+            queueWrite(store => store.put(String(value), key));
+        },
+        removeItem: (key) => {
+            data.delete(key);
+            queueWrite(store => store.delete(key));
+        },
+        keys: () => [...data.keys()],
+        flush: () => pendingWrites,
+    };
+}
+
+
+// --- 5. JSON FILE BACKEND (NODE) ---
+
+/**
+ * Opens (or creates) a JSON file holding every key as a top-level property.
+ * Only available under Node; the file is rewritten atomically on each change.
+ * @param {string} filePath - Path of the JSON save file.
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function createJsonFileStorage(filePath) {
+    const fs = await import('node:fs');
+
+    let data = {};
+    if (fs.existsSync(filePath)) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        data = text.trim() ? JSON.parse(text) : {};
+    }
+
+    const writeFile = () => {
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    return {
+        kind: 'jsonFile',
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+        setItem: (key, value) => {
+            data[key] = String(value);
+            writeFile();
+        },
+        removeItem: (key) => {
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+                delete data[key];
+                writeFile();
+            }
+        },
+        keys: () => Object.keys(data),
+        flush: () => Promise.resolve(),
+    };
+}
+
+
+// --- 6. DEFAULT BACKEND ---
+
+/**
+ * Picks localStorage when the environment has it, otherwise falls back to memory
+ * so the game logic still runs under Node.
+ * @returns {StorageAdapter}
+ */
+export function createDefaultStorage() {
+    try {
+        if (globalThis.localStorage) {
+            return createLocalStorage(globalThis.localStorage);
+        }
+    } catch (e) {
+        // Accessing localStorage can throw when it is disabled (e.g., privacy settings)
+        console.warn('localStorage is unavailable, keeping the game in memory only.', e);
+    }
+    return createMemoryStorage();
+}
@@ -0,0 +1,93 @@
+// seeded_random.js
+//
+// Small, reproducible random number generators. The same seed always gives
+// the same sequence, so shop rotations (and anything else built on them) come
+// out identical on every device and in every replay. A game's own generator
+// is saved with it (RandomState), so its draws survive reloads too.
+
+/**
+ * Turns any string into a 32-bit seed (FNV-1a hash).
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A seeded generator's position, kept in GameState so a game's random draws
+ * carry on from where they stopped after a reload.
+ * @typedef {object} RandomState
+ * @property {string} seed - What the generator was started from (for reference).
+ * @property {number} state - 32-bit position; advances with every draw.
+ */
+
+/**
+ * One mulberry32 step.
+ * @param {number} a - Current 32-bit position.
+ * @returns {[number, number]} The next position and a number in [0, 1).
+ */
+function mulberry32(a) {
+    const next = (a + 0x6d2b79f5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return [next, ((t ^ (t >>> 14)) >>> 0) / 4294967296];
+}
+
+const seedToState = (seed) => (typeof seed === 'string' ? hashSeed(seed) : seed >>> 0);
+
+/**
+ * Creates a seeded random number source (mulberry32).
+ * @param {number | string} seed - A number, or a string that is hashed into one.
+ * @returns {() => number} Returns numbers in [0, 1), like Math.random.
+ */
+export function createSeededRandom(seed) {
+    let a = seedToState(seed);
+    return () => {
+        const [next, value] = mulberry32(a);
+        a = next;
+        return value;
+    };
+}
+
+/**
+ * Starts a saveable generator. Draws from it with nextRandom() match createSeededRandom(seed).
+ * @param {number | string} seed
+ * @returns {RandomState}
+ */
+export function createRandomState(seed) {
+    return { seed: String(seed), state: seedToState(seed) };
+}
+
+/**
+ * Draws the next number from a saveable generator, advancing it.
+ * @param {RandomState} randomState - Updated in place.
+ * @returns {number} In [0, 1).
+ */
+export function nextRandom(randomState) {
+    const [next, value] = mulberry32(randomState.state);
+    randomState.state = next;
+    return value;
+}
+
+/**
+ * Returns a shuffled copy of a list (Fisher-Yates).
+ * @template T
+ * @param {T[]} list
+ * @param {() => number} rng - Random number source returning [0, 1).
+ * @returns {T[]}
+ */
+export function shuffle(list, rng) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
@@ -0,0 +1,119 @@
+// session_journal.js
+//
+// The session journal: every player action on an engine (answers, hints,
+// purchases, advances, ...) in order, with the time it happened and a hash of
+// the GameState it left behind. Together with the state the session started
+// from, it is enough to rebuild the exact same GameState (see
+// session_replay.js), e.g. to reproduce "the bear came three times in a row".
+
+import { hashSeed } from './seeded_random.js';
+
+// --- 1. SETTINGS & DATA STRUCTURES ---
+
+/** Format version of exported journals. */
+export const JOURNAL_VERSION = 1;
+
+/** Tuning for the session journal. */
+export const JOURNAL_SETTINGS = Object.freeze({
+    // Past this many entries the engine restarts the journal after the next word, so a long session does not grow it forever
+    maxEntries: 2000,
+});
+
+/**
+ * Engine operations recorded in the journal. Besides the obvious actions this
+ * includes the reads that can change state: getChoices and getTurn start the
+ * turn and the answer timer, getShopStock rolls the shop over to a new rotation.
+ */
+export const JOURNALED_ACTIONS = Object.freeze([
+    'getChoices', 'getTurn', 'submitAnswer', 'useHint', 'nextWord', 'advanceLevel',
+    'handleRootSuccess', 'handleRootFailure', 'handlePOSSuccess', 'handlePOSFailure',
+    'getShopStock', 'buyItem', 'refundPurchase', 'equipItem', 'unequipItem',
+    'setActivePet', 'travelToZone', 'setRestrictions', 'saveProgress',
+]);
+
+/** Reads that only matter the first time: repeats with no other action in between are not recorded. */
+const REPEATABLE_READS = Object.freeze(['getChoices', 'getTurn']);
+
+/**
+ * Reads whose state is not hashed: what they change (a started turn, a new shop
+ * rotation) is in the hash of the next action anyway, and hashing is the costly part.
+ */
+const UNHASHED_READS = Object.freeze([...REPEATABLE_READS, 'getShopStock']);
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {number} seq - Position in the journal, starting at 1.
+ * @property {number} at - When the action happened (ms since epoch); the engine's clock stands still during it.
+ * @property {string} action - One of JOURNALED_ACTIONS.
+ * @property {any[]} args - The arguments it was called with.
+ * @property {string | null} stateHash - hashGameState() after the action (null for a read, see UNHASHED_READS).
+ */
+
+/**
+ * @typedef {object} SessionJournal
+ * @property {number} version - JOURNAL_VERSION.
+ * @property {string} profileId - The profile that was played.
+ * @property {string} difficulty - The difficulty the engine was created with.
+ * @property {number} startedAt - When the session started (ms since epoch), or when the journal last restarted.
+ * @property {import('./game_data_model.js').GameState} startState - The state right after it was loaded, or when the journal restarted.
+ * @property {JournalEntry[]} entries
+ */
+
+
+// --- 2. RECORDING ---
+
+/**
+ * Short fingerprint of a GameState, to spot where a replay stops matching.
+ * @param {import('./game_data_model.js').GameState} state
+ * @returns {string} 8 hex digits.
+ */
+export function hashGameState(state) {
+    return hashSeed(JSON.stringify(state)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Starts an empty journal.
+ * @param {object} session
+ * @param {string} session.profileId
+ * @param {string} session.difficulty
+ * @param {number} session.startedAt
+ * @param {import('./game_data_model.js').GameState} session.startState - Copied.
+ * @returns {SessionJournal}
+ */
+export function createJournal({ profileId, difficulty, startedAt, startState }) {
+    return {
+        version: JOURNAL_VERSION,
+        profileId,
+        difficulty,
+        startedAt,
+        startState: structuredClone(startState),
+        entries: [],
+    };
+}
+
+/**
+ * Adds an action to a journal, skipping a repeated read.
+ * @param {SessionJournal} journal - Updated in place.
+ * @param {object} action
+ * @param {number} action.at
+ * @param {string} action.action
+ * @param {any[]} action.args - Copied.
+ * @param {import('./game_data_model.js').GameState} action.state - The state after the action, for its hash.
+ * @returns {JournalEntry | null} The entry, or null if it was skipped.
+ */
+export function recordJournalEntry(journal, { at, action, args, state }) {
+    if (REPEATABLE_READS.includes(action)) {
+        for (let i = journal.entries.length - 1; i >= 0 && REPEATABLE_READS.includes(journal.entries[i].action); i--) {
+            if (journal.entries[i].action === action) return null;
+        }
+    }
+    const entry = {
+        seq: journal.entries.length + 1,
+        at,
+        action,
+        args: structuredClone(args),
+        stateHash: UNHASHED_READS.includes(action) ? null : hashGameState(state),
+    };
+    journal.entries.push(entry);
+    return entry;
+}
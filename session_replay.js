@@ -0,0 +1,120 @@
+// session_replay.js
+//
+// Replays a session journal (see session_journal.js) against a fresh engine
+// to rebuild the exact GameState the player ended with. Each step reports
+// whether the state still matches the recorded hash, so the step-through
+// debug mode can stop on the first action that played out differently.
+//
+//   const replay = createReplay(journal);
+//   while (!replay.isFinished()) console.log(replay.step());
+
+import { createGame } from './game_logic.js';
+import { createMemoryStorage } from './save_storage.js';
+import { profileStateKey } from './player_profiles.js';
+import { JOURNALED_ACTIONS, JOURNAL_VERSION, hashGameState } from './session_journal.js';
+
+/**
+ * The outcome of replaying one journal entry.
+ * @typedef {object} ReplayStep
+ * @property {import('./session_journal.js').JournalEntry} entry
+ * @property {any} result - What the action returned (undefined if it threw).
+ * @property {Error | null} error - What it threw, if anything (e.g., a TurnError the player also saw).
+ * @property {string} stateHash - Hash of the replayed state after the action.
+ * @property {boolean} matches - True if it equals the recorded hash (always true for a read recorded without one).
+ */
+
+/**
+ * Prepares a step-through replay. The engine starts from the journal's start state.
+ * @param {import('./session_journal.js').SessionJournal} journal
+ * @param {object} [options]
+ * @param {{zones: import('./game_data_model.js').Zone[], shopItems?: object[], shopRotation?: object}} [options.content]
+ *   The content the session was played with (the built-in content by default).
+ * @param {() => number} [options.rng] - Only if the session was played with an injected rng: the same source.
+ * @returns {object} { game, step, run, peek, getPosition, isFinished }
+ * @throws {Error} If the journal is from another version or records an unknown action.
+ */
+export function createReplay(journal, { content, rng } = {}) {
+    if (journal.version !== JOURNAL_VERSION) {
+        throw new Error(`Unsupported journal version ${journal.version} (expected ${JOURNAL_VERSION}).`);
+    }
+    const unknown = journal.entries.find(entry => !JOURNALED_ACTIONS.includes(entry.action));
+    if (unknown) {
+        throw new Error(`Journal entry ${unknown.seq} has an unknown action ${JSON.stringify(unknown.action)}.`);
+    }
+
+    let now = journal.startedAt;
+    let position = 0;
+    const storage = createMemoryStorage();
+    const game = createGame({
+        storage,
+        ...(content && { content }),
+        rng: rng || null,
+        clock: { now: () => now },
+        difficulty: journal.difficulty,
+    });
+    storage.setItem(profileStateKey(game.getActiveProfile().id), JSON.stringify(journal.startState));
+    game.loadProgress();
+
+    /**
+     * Replays the next entry.
+     * @returns {ReplayStep | null} Null once every entry has been replayed.
+     */
+    function step() {
+        if (position >= journal.entries.length) {
+            return null;
+        }
+        const entry = journal.entries[position++];
+        now = entry.at;
+        let result;
+        let error = null;
+        try {
+            result = game[entry.action](...structuredClone(entry.args));
+        } catch (e) {
+            error = e;
+        }
+        const stateHash = hashGameState(game.getGameState());
+        return { entry, result, error, stateHash, matches: entry.stateHash === null || stateHash === entry.stateHash };
+    }
+
+    /**
+     * Replays entries until the end, a given entry, or the first mismatch.
+     * @param {object} [options]
+     * @param {number} [options.toSeq=Infinity] - Stop after the entry with this seq.
+     * @param {boolean} [options.stopOnMismatch=false]
+     * @returns {ReplayStep[]} The steps replayed.
+     */
+    function run({ toSeq = Infinity, stopOnMismatch = false } = {}) {
+        const steps = [];
+        while (position < journal.entries.length && journal.entries[position].seq <= toSeq) {
+            const replayed = step();
+            steps.push(replayed);
+            if (stopOnMismatch && !replayed.matches) break;
+        }
+        return steps;
+    }
+
+    return {
+        /** The engine being replayed into; inspect it between steps (avoid actions, they change the state). */
+        game,
+        step,
+        run,
+        /** @returns {import('./session_journal.js').JournalEntry | null} The entry the next step() replays. */
+        peek: () => journal.entries[position] ?? null,
+        getPosition: () => position,
+        isFinished: () => position >= journal.entries.length,
+    };
+}
+
+/**
+ * Replays a whole journal.
+ * @param {import('./session_journal.js').SessionJournal} journal
+ * @param {object} [options] - As for createReplay().
+ * @returns {{state: import('./game_data_model.js').GameState, matches: boolean, firstMismatch: ReplayStep | null}}
+ *   The rebuilt state, and the first step whose state differed from the recording, if any.
+ */
+export function replaySession(journal, options) {
+    const replay = createReplay(journal, options);
+    const steps = replay.run();
+    const firstMismatch = steps.find(s => !s.matches) || null;
+    return { state: replay.game.getGameState(), matches: firstMismatch === null, firstMismatch };
+}
@@ -1,7 +1,30 @@
 // shop_items.js
 //
 // Defines all purchasable items in the Grammar Garden Guardians shop,
-// including their cost, currency type, and effects.
+// including their cost, currency type, and effects. Effects are plain data
+// read by the interpreter in item_effects.js, so adding an item never needs
+// changes to game_logic.js. What is actually on sale at any moment (rotations,
+// stock limits, discounts) is worked out by shop_stock.js.
+
+/**
+ * One thing an item does when bought. Exactly one of the forms below:
+ * - { slot: 'hat' } - Permanent cosmetic, owned and equipped in an avatar slot (see ITEM_SLOTS).
+ * - { grant: 'fertilizer', count: 1 } - Adds to an inventory counter (see GRANT_COUNTERS).
+ * - { effect: 'repelBear', rounds: 5 } - Applies a timed effect (rounds and/or seconds, see EFFECT_DEFINITIONS).
+ * - { endEffect: 'bear', reason: 'scaredOff' } - Ends a timed effect early, if it is active.
+ * - { pet: 'magpie' } - Adopts a pet companion, which becomes the active pet (see PET_DEFINITIONS in pets.js).
+ * @typedef {object} ItemEffect
+ * @property {string} [slot]
+ * @property {string} [grant]
+ * @property {number} [count]
+ * @property {string} [effect]
+ * @property {number} [rounds]
+ * @property {number} [seconds]
+ * @property {string} [alreadyActiveMessage] - Shown when the timed effect is still running and does not stack.
+ * @property {string} [endEffect]
+ * @property {string} [reason] - Passed to the ended effect's expiry hook.
+ * @property {string} [pet]
+ */
 
 /**
  * @typedef {object} ShopItem
@@ -10,8 +33,13 @@
  * @property {string} description - Detailed description of the item.
  * @property {number} cost - The amount of currency required.
  * @property {'harvest' | 'gem'} currencyType - The type of currency used for purchase.
- * @property {'cosmetic' | 'consumable' | 'defense' | 'permanent'} type - Category of the item.
+ * @property {'cosmetic' | 'consumable' | 'defense' | 'permanent' | 'pet'} type - Category of the item.
  * @property {string} imagePlaceholder - A simple string for placeholder rendering (e.g., emoji).
+ * @property {ItemEffect[]} effects - What the item does when bought, applied in order.
+ * @property {boolean} [rotating] - Only stocked when drawn in the current rotation (always stocked if omitted).
+ * @property {number} [stockLimit] - How many can be bought per rotation (unlimited if omitted).
+ * @property {string} [requiresZone] - Zone ID the player must have opened before buying.
+ * @property {boolean} [exclusive] - Never sold: only given as an achievement reward (see achievements.js).
  */
 
 /** @type {ShopItem[]} */
@@ -25,6 +53,8 @@ export const SHOP_ITEMS = [
         currencyType: 'harvest',
         type: 'cosmetic',
         imagePlaceholder: '👒',
+        effects: [{ slot: 'hat' }],
+        rotating: true,
     },
     {
         id: 'fancyApron',
@@ -34,6 +64,7 @@ export const SHOP_ITEMS = [
         currencyType: 'gem',
         type: 'cosmetic',
         imagePlaceholder: '🎽',
+        effects: [{ slot: 'apron' }],
     },
     {
         id: 'goldenHoe',
@@ -43,6 +74,9 @@ export const SHOP_ITEMS = [
         currencyType: 'gem',
         type: 'cosmetic',
         imagePlaceholder: '⛏️',
+        effects: [{ slot: 'hoe' }],
+        requiresZone: 'MossyGlade',
+        rotating: true,
     },
     
     // --- Consumable/Boost Items (Randomly stocked, single-use) ---
@@ -54,6 +88,9 @@ export const SHOP_ITEMS = [
         currencyType: 'harvest',
         type: 'consumable',
         imagePlaceholder: '🌱',
+        effects: [{ grant: 'fertilizer', count: 1 }],
+        rotating: true,
+        stockLimit: 3,
     },
     
     // --- Defense/Mitigation Items (Temporary, High Value) ---
@@ -65,6 +102,71 @@ export const SHOP_ITEMS = [
         currencyType: 'gem',
         type: 'defense',
         imagePlaceholder: '🐍',
+        effects: [
+            { effect: 'repelBear', rounds: 5, alreadyActiveMessage: 'The Rattler is already guarding your garden!' },
+            // If the bear is active, the snake scares it away immediately
+            { endEffect: 'bear', reason: 'scaredOff' },
+        ],
+        stockLimit: 1,
+    },
+
+    // --- Exclusive Cosmetics (Achievement rewards, never stocked) ---
+    {
+        id: 'laurelWreath',
+        name: 'Laurel Wreath',
+        description: 'Worn by Guardians who cleared a zone without a single bear attack. Cannot be bought.',
+        cost: 0,
+        currencyType: 'gem',
+        type: 'cosmetic',
+        imagePlaceholder: '🌿',
+        effects: [{ slot: 'hat' }],
+        exclusive: true,
+    },
+    {
+        id: 'silverTrowel',
+        name: 'Silver Trowel',
+        description: 'For Guardians who tended their garden seven days in a row. Cannot be bought.',
+        cost: 0,
+        currencyType: 'gem',
+        type: 'cosmetic',
+        imagePlaceholder: '🥄',
+        effects: [{ slot: 'hoe' }],
+        exclusive: true,
+    },
+
+    // --- Pet Companions (Permanent; one follows the player at a time) ---
+    {
+        id: 'magpiePet',
+        name: 'Magpie Companion',
+        description: 'A shiny-eyed helper that sometimes brings back extra Root Harvest. Levels up as you answer correctly.',
+        cost: 6,
+        currencyType: 'gem',
+        type: 'pet',
+        imagePlaceholder: '🐦',
+        effects: [{ pet: 'magpie' }],
+    },
+    {
+        id: 'hedgehogPet',
+        name: 'Hedgehog Companion',
+        description: 'Its prickles keep the Grizzly Bear at a distance: lowers the chance of a bear attack. Levels up as you answer correctly.',
+        cost: 8,
+        currencyType: 'gem',
+        type: 'pet',
+        imagePlaceholder: '🦔',
+        effects: [{ pet: 'hedgehog' }],
+        rotating: true,
+    },
+    {
+        id: 'tortoisePet',
+        name: 'Tortoise Companion',
+        description: 'Slow and steady: restores a little garden health after every finished word. Levels up as you answer correctly.',
+        cost: 8,
+        currencyType: 'gem',
+        type: 'pet',
+        imagePlaceholder: '🐢',
+        effects: [{ pet: 'tortoise' }],
+        requiresZone: 'MossyGlade',
+        rotating: true,
     },
 
     // --- Permanent Upgrades (Unlocks/Zones) ---
@@ -0,0 +1,117 @@
+// shop_stock.js
+//
+// What the shop sells right now. Items marked as rotating are drawn from a
+// seeded rotation (one per day, or one per zone), so every player sees the
+// same stock for the same day or zone. Each rotation also puts a few items on
+// a timed sale, limits how many of an item can be bought, and hides items
+// whose zone the player has not opened yet.
+
+import { createSeededRandom, shuffle } from './seeded_random.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// --- 1. ROTATION SETTINGS ---
+
+/**
+ * How the shop stock rotates.
+ * @typedef {object} ShopRotation
+ * @property {'daily'|'zone'} mode - A new rotation every day (UTC), or one per zone.
+ * @property {number} rotatingSlots - How many of the rotating items are stocked at once.
+ * @property {number} saleCount - How many stocked items are on sale in each rotation.
+ * @property {number} salePercent - Discount (0-100) for items on sale.
+ */
+
+/** @type {ShopRotation} */
+export const DEFAULT_SHOP_ROTATION = Object.freeze({
+    mode: 'daily',
+    rotatingSlots: 2,
+    saleCount: 1,
+    salePercent: 25,
+});
+
+/**
+ * One item as it is offered in the current rotation.
+ * @typedef {object} ShopStockEntry
+ * @property {import('./shop_items.js').ShopItem} item
+ * @property {number} price - What it costs right now (after any discount).
+ * @property {number} basePrice - The item's normal cost.
+ * @property {number} percentOff - 0 unless the item is on sale.
+ * @property {number | null} saleEndsAt - When the sale ends (ms since epoch); null if not on sale or not time-limited.
+ * @property {number | null} remaining - How many can still be bought this rotation (null if unlimited).
+ * @property {string | null} lockedReason - Why it cannot be bought yet (e.g., a zone still to open), or null.
+ */
+
+/**
+ * Purchases made in the current rotation (saved as GameState.shop).
+ * @typedef {object} ShopState
+ * @property {string | null} rotationKey - The rotation the purchase counts belong to.
+ * @property {Object<string, number>} purchases - Items bought this rotation, keyed by item ID.
+ */
+
+
+// --- 2. ROTATIONS ---
+
+/**
+ * Identifies the rotation in effect.
+ * @param {ShopRotation} rotation
+ * @param {import('./game_data_model.js').GameState} state
+ * @param {number} now - Current time (ms since epoch).
+ * @returns {string} e.g. 'day:20745' or 'zone:MossyGlade'.
+ */
+export function getRotationKey(rotation, state, now) {
+    return rotation.mode === 'zone' ? `zone:${state.currentZoneId}` : `day:${Math.floor(now / DAY)}`;
+}
+
+/**
+ * Starts new purchase counts when the rotation has changed.
+ * @param {ShopState} shop - Updated in place.
+ * @param {string} rotationKey
+ */
+export function syncShopState(shop, rotationKey) {
+    if (shop.rotationKey !== rotationKey) {
+        shop.rotationKey = rotationKey;
+        shop.purchases = {};
+    }
+}
+
+/**
+ * Builds the stock for the current rotation. The same rotation key always
+ * gives the same rotating items and sales.
+ * @param {import('./shop_items.js').ShopItem[]} items - The full catalogue.
+ * @param {ShopRotation} rotation
+ * @param {object} context
+ * @param {import('./game_data_model.js').GameState} context.state - Its shop must already be synced to this rotation.
+ * @param {number} context.now - Current time (ms since epoch).
+ * @param {(zoneId: string) => {open: boolean, title: string} | null} context.getZoneAccess - Whether the player has opened a zone.
+ * @returns {ShopStockEntry[]} In catalogue order.
+ */
+export function buildShopStock(items, rotation, { state, now, getZoneAccess }) {
+    const rotationKey = getRotationKey(rotation, state, now);
+    const rng = createSeededRandom(`shop:${rotationKey}`);
+
+    const forSale = items.filter(item => !item.exclusive); // Exclusive items are only earned
+    const rotating = shuffle(forSale.filter(item => item.rotating), rng).slice(0, rotation.rotatingSlots);
+    const stocked = forSale.filter(item => !item.rotating || rotating.includes(item));
+    const onSale = shuffle(stocked, rng).slice(0, rotation.saleCount);
+    // Daily sales end with the day; zone sales last as long as the player stays in the zone
+    const saleEndsAt = rotation.mode === 'daily' ? (Math.floor(now / DAY) + 1) * DAY : null;
+
+    return stocked.map(item => {
+        const percentOff = onSale.includes(item) ? rotation.salePercent : 0;
+        const bought = state.shop.purchases[item.id] || 0;
+        const zone = item.requiresZone ? getZoneAccess(item.requiresZone) : null;
+        let lockedReason = null;
+        if (item.requiresZone && !zone?.open) {
+            lockedReason = `Open ${zone?.title || item.requiresZone} to buy this item.`;
+        }
+        return {
+            item,
+            price: Math.max(1, Math.round(item.cost * (1 - percentOff / 100))),
+            basePrice: item.cost,
+            percentOff,
+            saleEndsAt: percentOff > 0 ? saleEndsAt : null,
+            remaining: item.stockLimit === undefined ? null : Math.max(0, item.stockLimit - bought),
+            lockedReason,
+        };
+    });
+}
@@ -0,0 +1,438 @@
+// terminal_play.js
+//
+// Terminal front end for Grammar Garden Guardians, so content authors can
+// play-test words without a browser. It drives a game engine exactly as the
+// browser UI does (getCurrentLevel, getChoices, submitAnswer, nextWord,
+// buyItem, ...) and saves to a local JSON file.
+//
+//   node terminal_play.js                        Play interactively
+//   node terminal_play.js --pack words.csv       Play-test a word pack
+//   node terminal_play.js --commands "1; 2; shop; quit"
+//   node terminal_play.js --script smoke.txt     One command per line
+//
+// In scripted mode every command is echoed with its output, and the process
+// exits with code 1 as soon as a command is rejected, so scripts double as
+// smoke tests.
+
+import { pathToFileURL } from 'node:url';
+import { createGame } from './game_logic.js';
+import { GAME_EVENTS } from './event_bus.js';
+import { createJsonFileStorage } from './save_storage.js';
+import { loadWordPackFile } from './word_packs.js';
+import { TURN_PHASES, TurnError } from './turn_engine.js';
+import { QUESTION_DEFINITIONS, getPhaseQuestionType, getQuestionPrompt } from './question_types.js';
+import { HINT_TYPES } from './hints.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { describeReward } from './achievements.js';
+
+// --- 1. SETTINGS ---
+
+/** Defaults for the command line. */
+export const TERMINAL_DEFAULTS = Object.freeze({
+    saveFile: 'grammar-garden-save.json',
+    difficulty: 'normal',
+});
+
+const CURRENCY_NAMES = Object.freeze({ harvest: 'Root Harvest', gem: 'Guardian Gems' });
+
+const HELP_TEXT = [
+    'Commands:',
+    '  <number> | <choice>   Answer the current question',
+    '  hint [type]           Use a hint (types: ' + Object.values(HINT_TYPES).join(', ') + ')',
+    '  shop                  List what the shop sells right now',
+    '  buy <number | id>     Buy an item from the shop',
+    '  status                Show harvest, gems, health and the bear',
+    '  pets                  List your pets',
+    '  pet <id | none>       Choose the pet that follows you',
+    '  achievements          Show achievements and streaks',
+    '  quests                Show today\'s quests',
+    '  save                  Save to the local file',
+    '  help                  Show this list',
+    '  quit                  Save and leave',
+].join('\n');
+
+/**
+ * What a terminal command did.
+ * @typedef {object} CommandResult
+ * @property {boolean} success - False if the command was rejected (unknown, invalid choice, failed purchase, ...).
+ * @property {string} message - Text to show the player.
+ * @property {boolean} quit - True once the player has asked to leave.
+ */
+
+
+// --- 2. RENDERING ---
+
+/**
+ * @param {import('./game_logic.js').GameEngine} game
+ * @returns {string} One line with the balances, garden health and bear status.
+ */
+export function formatStatus(game) {
+    const state = game.getGameState();
+    const bear = game.getActiveEffects().find(e => e.effect === 'bear');
+    let bearStatus = 'away';
+    if (game.isBearActive()) {
+        bearStatus = bear && bear.remainingRounds !== null ? `PRESENT (${bear.remainingRounds} more word(s))` : 'PRESENT';
+    }
+    const pet = game.getPets().find(p => p.active);
+    const petStatus = pet ? ` | Pet: ${pet.name} (level ${pet.level})` : '';
+    return `Harvest: ${state.playerHarvest} | Gems: ${state.playerGems} | Health: ${state.gardenHealth}/100 | Bear: ${bearStatus}${petStatus}`;
+}
+
+/**
+ * @param {import('./game_logic.js').GameEngine} game
+ * @returns {string} The current word and its question with numbered choices.
+ */
+export function formatQuestion(game) {
+    const level = game.getCurrentLevel();
+    const turn = game.getTurn();
+    const zone = game.getZoneStatus().find(z => z.isCurrent);
+    const lines = [`[${zone ? zone.title : 'Unknown zone'}] Word #${level.id}: ${level.fullWord}`];
+    if (turn.phase === TURN_PHASES.RESOLVED) {
+        lines.push('Word finished.');
+        return lines.join('\n');
+    }
+    const question = getPhaseQuestionType(turn.phase);
+    lines.push(`${QUESTION_DEFINITIONS[question].title}: ${getQuestionPrompt(level, question)}`);
+    game.getChoices().forEach((choice, i) => {
+        const tried = turn.triedChoices.includes(choice) ? ' (tried)' : '';
+        lines.push(`  ${i + 1}. ${choice}${tried}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * @param {import('./shop_stock.js').ShopStockEntry[]} stock
+ * @returns {string} The stock as a numbered list.
+ */
+export function formatShop(stock) {
+    if (stock.length === 0) {
+        return 'The shop has nothing in stock right now.';
+    }
+    const lines = ['Shop:'];
+    stock.forEach((entry, i) => {
+        const { item } = entry;
+        const price = entry.percentOff > 0 ? `${entry.price} (was ${entry.basePrice})` : `${entry.price}`;
+        const notes = [
+            entry.remaining !== null ? `${entry.remaining} left` : null,
+            entry.lockedReason,
+        ].filter(Boolean);
+        lines.push(`  ${i + 1}. ${item.name} [${item.id}] - ${price} ${CURRENCY_NAMES[item.currencyType]}${notes.length ? ` (${notes.join('; ')})` : ''}`);
+        lines.push(`     ${item.description}`);
+    });
+    return lines.join('\n');
+}
+
+
+/**
+ * @param {import('./achievements.js').GoalView[]} goals
+ * @param {import('./shop_items.js').ShopItem[]} shopItems - The game's catalogue, to name reward items.
+ * @returns {string[]} One line per achievement or quest, with progress and reward.
+ */
+function formatGoals(goals, shopItems) {
+    return goals.map(goal => {
+        const mark = goal.completed ? '[x]' : '[ ]';
+        return `  ${mark} ${goal.title} - ${goal.description} (${goal.progress}/${goal.target}; reward: ${describeReward(goal.reward, shopItems)})`;
+    });
+}
+
+/**
+ * @param {import('./game_logic.js').GameEngine} game
+ * @returns {string} Every achievement and the current streaks.
+ */
+export function formatAchievements(game) {
+    const { achievements, streaks } = game.getAchievements();
+    return [
+        'Achievements:',
+        ...formatGoals(achievements, game.getShopItems()),
+        `Streaks: ${streaks.answers} right answer(s), ${streaks.perfectWords} perfect word(s), ${streaks.days} day(s) in a row`,
+    ].join('\n');
+}
+
+/**
+ * @param {import('./game_logic.js').GameEngine} game
+ * @returns {string} Today's quests.
+ */
+export function formatQuests(game) {
+    return ["Today's quests:", ...formatGoals(game.getDailyQuests().quests, game.getShopItems())].join('\n');
+}
+
+
+/**
+ * @param {import('./pets.js').PetView[]} pets
+ * @returns {string} Every adopted pet with its level and bonus.
+ */
+export function formatPets(pets) {
+    if (pets.length === 0) {
+        return 'You have no pets yet. Pet companions are sold in the shop for Guardian Gems.';
+    }
+    const lines = ['Pets:'];
+    for (const pet of pets) {
+        const progress = pet.nextLevelXp === null ? 'top level' : `${pet.xp}/${pet.nextLevelXp} xp`;
+        lines.push(`  ${pet.active ? '*' : ' '} ${pet.name} [${pet.id}] - level ${pet.level}/${pet.maxLevel} (${progress}): ${pet.bonus}`);
+    }
+    return lines.join('\n');
+}
+
+
+// --- 3. SESSION ---
+
+/**
+ * Creates a terminal session around a game engine. It only turns text
+ * commands into engine calls and engine results into text; reading input and
+ * printing output is left to the caller.
+ * @param {import('./game_logic.js').GameEngine} game
+ * @param {object} [options]
+ * @param {string} [options.saveFile] - Shown when saving.
+ * @returns {object} { screen, handleCommand }
+ */
+export function createTerminalSession(game, { saveFile = TERMINAL_DEFAULTS.saveFile } = {}) {
+    // Achievements and quests reached during a command, announced at the top of its output
+    const notices = [];
+    game.on(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, ({ title, reward }) => {
+        notices.push(`Achievement unlocked: ${title}! (${describeReward(reward, game.getShopItems())})`);
+    });
+    game.on(GAME_EVENTS.QUEST_COMPLETED, ({ title, reward }) => {
+        notices.push(`Quest complete: ${title}! (${describeReward(reward, game.getShopItems())})`);
+    });
+    const result = (success, message, quit = false) => ({
+        success,
+        message: [...notices.splice(0), message].join('\n'),
+        quit,
+    });
+
+    /** @returns {string} Status line plus the current question. */
+    function screen() {
+        return `${formatStatus(game)}\n${formatQuestion(game)}`;
+    }
+
+    /**
+     * Picks the choice a player typed, by number or by text (case-insensitive).
+     * @param {string} input
+     * @returns {string | null}
+     */
+    function findChoice(input) {
+        const choices = game.getChoices();
+        if (/^\d+$/.test(input)) {
+            return choices[Number(input) - 1] ?? null;
+        }
+        return choices.find(c => c.toLowerCase() === input.toLowerCase()) ?? null;
+    }
+
+    function answer(input) {
+        const choice = findChoice(input);
+        if (!choice) {
+            return result(false, `"${input}" is not one of the choices. Type "help" for commands.`);
+        }
+        const phase = game.getTurn().phase;
+        const level = game.getCurrentLevel();
+        let outcome;
+        try {
+            outcome = game.submitAnswer(choice);
+        } catch (e) {
+            if (e instanceof TurnError) return result(false, e.message);
+            throw e;
+        }
+
+        const lines = [outcome.correct ? `Correct! ${QUESTION_DEFINITIONS[getPhaseQuestionType(phase)].title}: "${choice}".` : `"${choice}" is not right. Try again.`];
+        if (outcome.phase === TURN_PHASES.RESOLVED) {
+            lines.push(outcome.wasPerfect ? `${level.fullWord} mastered perfectly!` : `${level.fullWord} finished.`);
+            game.nextWord();
+        }
+        lines.push('', screen());
+        return result(true, lines.join('\n'));
+    }
+
+    function hint(type) {
+        if (!type) {
+            return result(false, `Which hint? ${Object.values(HINT_TYPES).join(', ')}`);
+        }
+        const outcome = game.useHint(type);
+        return result(outcome.success, outcome.success ? `${outcome.message}\n\n${screen()}` : outcome.message);
+    }
+
+    function buy(target) {
+        if (!target) {
+            return result(false, 'Buy what? Give the number or ID from "shop".');
+        }
+        const stock = game.getShopStock();
+        const entry = /^\d+$/.test(target) ? stock[Number(target) - 1] : null;
+        const item = entry ? entry.item : game.getShopItems().find(i => i.id.toLowerCase() === target.toLowerCase());
+        if (!item) {
+            return result(false, `There is no item "${target}".`);
+        }
+        const outcome = game.buyItem(item.id);
+        return result(outcome.success, `${outcome.message}\n${formatStatus(game)}`);
+    }
+
+    /**
+     * Runs one line of input.
+     * @param {string} line
+     * @returns {CommandResult}
+     */
+    function handleCommand(line) {
+        const [command = '', ...rest] = line.trim().split(/\s+/);
+        const argument = rest.join(' ');
+        switch (command.toLowerCase()) {
+            case '':
+                return result(true, screen());
+            case 'help':
+                return result(true, HELP_TEXT);
+            case 'status':
+                return result(true, screen());
+            case 'pets':
+                return result(true, formatPets(game.getPets()));
+            case 'pet': {
+                if (!argument) {
+                    return result(false, 'Which pet? Give its ID from "pets", or "none".');
+                }
+                const outcome = game.setActivePet(argument.toLowerCase() === 'none' ? null : argument.toLowerCase());
+                return result(outcome.success, outcome.message);
+            }
+            case 'achievements':
+                return result(true, formatAchievements(game));
+            case 'quests':
+                return result(true, formatQuests(game));
+            case 'shop':
+                return result(true, formatShop(game.getShopStock()));
+            case 'buy':
+                return buy(argument);
+            case 'hint':
+                return hint(argument);
+            case 'save':
+                game.saveProgress();
+                return result(true, `Saved to ${saveFile}.`);
+            case 'quit':
+            case 'exit':
+                game.saveProgress();
+                return result(true, `Saved to ${saveFile}. Goodbye!`, true);
+            default:
+                return answer(line.trim());
+        }
+    }
+
+    return { screen, handleCommand };
+}
+
+
+// --- 4. SCRIPTED MODE ---
+
+/**
+ * Runs commands without a player, echoing each one and its output.
+ * Stops at the first rejected command or at "quit".
+ * @param {object} session - From createTerminalSession().
+ * @param {string[]} commands
+ * @param {(text: string) => void} [write=console.log]
+ * @returns {{success: boolean, ran: number, failed: string | null}} Whether every command was accepted.
+ */
+export function runScript(session, commands, write = console.log) {
+    write(session.screen());
+    let ran = 0;
+    for (const command of commands) {
+        write(`\n> ${command}`);
+        const outcome = session.handleCommand(command);
+        ran++;
+        write(outcome.message);
+        if (!outcome.success) {
+            return { success: false, ran, failed: command };
+        }
+        if (outcome.quit) break;
+    }
+    return { success: true, ran, failed: null };
+}
+
+/**
+ * Splits script text into commands: one per line or separated by ';'. Blank lines and '#' comments are skipped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseScript(text) {
+    return text.split(/[\n;]/).map(c => c.trim()).filter(c => c !== '' && !c.startsWith('#'));
+}
+
+
+// --- 5. COMMAND LINE ---
+
+/**
+ * @param {string[]} args - Command-line arguments (without node and the script path).
+ * @returns {{saveFile: string, pack: string | null, difficulty: string, seed: string | null, script: string | null, commands: string | null}}
+ * @throws {Error} For an unknown option or a missing value.
+ */
+export function parseArgs(args) {
+    const options = { ...TERMINAL_DEFAULTS, pack: null, seed: null, script: null, commands: null };
+    const flags = { '--save': 'saveFile', '--pack': 'pack', '--difficulty': 'difficulty', '--seed': 'seed', '--script': 'script', '--commands': 'commands' };
+    for (let i = 0; i < args.length; i++) {
+        const key = flags[args[i]];
+        if (!key) {
+            throw new Error(`Unknown option ${args[i]}. Options: ${Object.keys(flags).join(', ')}`);
+        }
+        if (i + 1 >= args.length) {
+            throw new Error(`${args[i]} needs a value.`);
+        }
+        options[key] = args[++i];
+    }
+    if (!DIFFICULTIES.includes(options.difficulty)) {
+        throw new Error(`Unknown difficulty ${JSON.stringify(options.difficulty)} (expected ${DIFFICULTIES.join(', ')}).`);
+    }
+    return options;
+}
+
+/**
+ * Starts the terminal game.
+ * @param {string[]} [args=process.argv.slice(2)]
+ * @returns {Promise<number>} The exit code.
+ */
+export async function main(args = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (e) {
+        console.error(e.message);
+        return 2;
+    }
+
+    const storage = await createJsonFileStorage(options.saveFile);
+    let content;
+    if (options.pack) {
+        const { zones, issues } = await loadWordPackFile(options.pack);
+        issues.forEach(issue => console.warn(`${options.pack}: ${issue.path}: ${issue.message}`));
+        content = { zones };
+    }
+    const game = createGame({
+        storage,
+        ...(content && { content }),
+        ...(options.seed !== null && { seed: options.seed }),
+        difficulty: options.difficulty,
+    });
+    const session = createTerminalSession(game, { saveFile: options.saveFile });
+
+    if (options.script !== null || options.commands !== null) {
+        const fs = await import('node:fs');
+        const text = options.script !== null ? fs.readFileSync(options.script, 'utf8') : options.commands;
+        const outcome = runScript(session, parseScript(text));
+        await storage.flush();
+        if (!outcome.success) {
+            console.error(`\nScript stopped: "${outcome.failed}" was rejected.`);
+            return 1;
+        }
+        return 0;
+    }
+
+    const readline = await import('node:readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+    console.log('Grammar Garden Guardians - type "help" for commands.\n');
+    console.log(session.screen());
+    rl.prompt();
+    for await (const line of rl) {
+        const outcome = session.handleCommand(line);
+        console.log(outcome.message);
+        if (outcome.quit) break;
+        rl.prompt();
+    }
+    rl.close();
+    await storage.flush();
+    return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = await main();
+}
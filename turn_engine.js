@@ -0,0 +1,299 @@
+// turn_engine.js
+//
+// Drives a single word ("turn") through its questions in the correct order:
+// Root Retrieval first, then any morphology questions the zone asks (see
+// question_types.js), then POS Fertilizer, then resolved. The turn engine
+// checks each answer against the current Level itself, applies the matching
+// reward or penalty exactly once, and works out whether the word was perfect.
+// Every answer is also handed to the game as an attempt for learning analytics.
+// Hints (see hints.js) are bought through the turn too, since they change the
+// choices shown and whether the word can still be perfect.
+
+import { GAME_EVENTS } from './event_bus.js';
+import { buildHint, describeHintProblem } from './hints.js';
+import { QUESTION_DEFINITIONS, QUESTION_TYPES, getPhaseQuestionType, getQuestionAnswer } from './question_types.js';
+
+// --- 1. PHASES & ERRORS ---
+
+/** The phases a turn moves through, in order. */
+export const TURN_PHASES = Object.freeze({
+    ROOT: 'rootQuestion',
+    MEANING: 'meaningQuestion',
+    SUFFIX: 'suffixQuestion',
+    BUILD: 'buildQuestion',
+    POS: 'posQuestion',
+    RESOLVED: 'resolved',
+});
+
+/**
+ * The persisted progress of the word currently being played.
+ * @typedef {object} TurnState
+ * @property {number} levelId - The level this turn belongs to.
+ * @property {string} phase - The question currently being asked (one of TURN_PHASES).
+ * @property {string[]} questions - The question types this word asks, in order (see question_types.js).
+ * @property {boolean} rootFirstTry - True until a wrong root is chosen.
+ * @property {boolean} posFirstTry - True until a wrong POS is chosen.
+ * @property {string[]} missedQuestions - Morphology questions (meaning, suffix, build) answered wrong at least once.
+ * @property {string[]} triedChoices - Wrong choices already picked in the current phase.
+ * @property {import('./hints.js').UsedHint[]} hints - Hints used on this word; any hint makes it imperfect.
+ * @property {string[]} eliminatedChoices - Choices taken away by hints in the current phase.
+ */
+
+/**
+ * The outcome of a submitted answer.
+ * @typedef {object} AnswerResult
+ * @property {boolean} correct - Whether the choice was right.
+ * @property {string} phase - The phase after the answer.
+ * @property {boolean | null} wasPerfect - Set once the turn is resolved, otherwise null.
+ */
+
+/**
+ * Thrown when an action does not fit the current turn (e.g., answering a finished word).
+ */
+export class TurnError extends Error {
+    /**
+     * @param {'TURN_RESOLVED'|'TURN_NOT_RESOLVED'|'INVALID_CHOICE'|'ALREADY_TRIED'|'NO_LEVEL'} code - Machine-readable reason.
+     * @param {string} message - Human-readable explanation.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'TurnError';
+        this.code = code;
+    }
+}
+
+
+// --- 2. TURN ENGINE ---
+
+/**
+ * Creates the turn engine for one game.
+ * @param {object} game - The engine internals the turn engine drives.
+ * @param {() => import('./game_data_model.js').GameState} game.getState - Returns the live GameState.
+ * @param {() => import('./game_data_model.js').Level} game.getCurrentLevel - Returns the level being played.
+ * @param {() => void} game.handleRootSuccess
+ * @param {(levelId: number) => void} game.handleRootFailure
+ * @param {(isPerfect: boolean) => void} game.handlePOSSuccess
+ * @param {(levelId: number) => void} game.handlePOSFailure
+ * @param {(type: string) => void} game.handleMorphologySuccess - A meaning, suffix or build question answered right.
+ * @param {(type: string, levelId: number) => void} game.handleMorphologyFailure
+ * @param {(wasPerfect: boolean) => void} game.advanceLevel
+ * @param {(level: import('./game_data_model.js').Level) => string[]} game.getQuestionTypes - The questions to ask of a level.
+ * @param {(level: import('./game_data_model.js').Level, phase: string) => string[]} game.buildChoices - Shuffled choices for a
+ *   question (phase is its question type).
+ * @param {(attempt: import('./learning_report.js').Attempt) => void} game.recordAttempt - Stores one answer for analytics.
+ * @param {(hint: import('./hints.js').Hint, levelId: number) => (string | null)} game.payForHint
+ *   Charges for a hint; returns why it could not be paid for, or null once paid.
+ * @param {() => number} game.now - Current time (ms since epoch).
+ * @param {(type: string, payload?: object) => void} game.emit - Emits a game event.
+ * @returns {object} Turn operations (getTurn, getChoices, submitAnswer, useHint, nextWord).
+ */
+export function createTurnEngine(game) {
+    // When the current question was shown (or last answered), for time-to-answer.
+    // Not saved: after a reload the first answer simply has no timing.
+    let askedAt = null;
+
+    /**
+     * Returns the turn for the current level, starting a new one if the saved turn
+     * belongs to another level (e.g., after a load or a direct advanceLevel call).
+     * @returns {TurnState}
+     */
+    function currentTurn() {
+        const state = game.getState();
+        const level = game.getCurrentLevel();
+        if (!level) {
+            throw new TurnError('NO_LEVEL', 'There is no word to play right now.');
+        }
+
+        if (!state.turn || state.turn.levelId !== level.id) {
+            const questions = game.getQuestionTypes(level);
+            state.turn = {
+                levelId: level.id,
+                phase: QUESTION_DEFINITIONS[questions[0]].phase,
+                questions,
+                rootFirstTry: true,
+                posFirstTry: true,
+                missedQuestions: [],
+                triedChoices: [],
+                hints: [],
+                eliminatedChoices: [],
+            };
+        }
+        return state.turn;
+    }
+
+    /**
+     * @param {TurnState} turn
+     * @returns {boolean} True if every question was right on the first try, without hints.
+     */
+    const isPerfectTurn = (turn) => turn.rootFirstTry && turn.posFirstTry && turn.missedQuestions.length === 0 && turn.hints.length === 0;
+
+    /** @returns {string} The question type being asked, as named in attempts and hints. */
+    const questionOf = (turn) => getPhaseQuestionType(turn.phase);
+
+    /**
+     * @param {TurnState} turn
+     * @returns {string} The phase after the current question is answered right.
+     */
+    function nextPhaseOf(turn) {
+        const next = turn.questions[turn.questions.indexOf(questionOf(turn)) + 1];
+        return next ? QUESTION_DEFINITIONS[next].phase : TURN_PHASES.RESOLVED;
+    }
+
+    /**
+     * Lists the answer choices for the current question (none once the turn is resolved).
+     * Choices taken away by a hint are left out.
+     * @returns {string[]}
+     */
+    function getChoices() {
+        const turn = currentTurn();
+        const level = game.getCurrentLevel();
+        if (!askedAt || askedAt.levelId !== level.id || askedAt.phase !== turn.phase) {
+            askedAt = { levelId: level.id, phase: turn.phase, at: game.now() };
+        }
+        if (turn.phase === TURN_PHASES.RESOLVED) {
+            return [];
+        }
+        return game.buildChoices(level, questionOf(turn)).filter(c => !turn.eliminatedChoices.includes(c));
+    }
+
+    /**
+     * Answers the current question. Applies the reward or penalty and moves the
+     * turn to the next phase when the answer is right.
+     * @param {string} choice - One of the strings returned by getChoices().
+     * @returns {AnswerResult}
+     * @throws {TurnError} If the turn is resolved, the choice is not offered, or it was already tried.
+     */
+    function submitAnswer(choice) {
+        const turn = currentTurn();
+        const level = game.getCurrentLevel();
+
+        if (turn.phase === TURN_PHASES.RESOLVED) {
+            throw new TurnError('TURN_RESOLVED', `${level.fullWord} is already finished. Call nextWord() to continue.`);
+        }
+        if (!getChoices().includes(choice)) {
+            throw new TurnError('INVALID_CHOICE', `"${choice}" is not one of the choices for this question.`);
+        }
+        if (turn.triedChoices.includes(choice)) {
+            throw new TurnError('ALREADY_TRIED', `"${choice}" was already tried for this question.`);
+        }
+
+        const phase = turn.phase;
+        const question = questionOf(turn);
+        const nextPhase = nextPhaseOf(turn);
+        const correct = choice === getQuestionAnswer(level, question);
+        const now = game.now();
+        const answerMs = askedAt && askedAt.levelId === level.id && askedAt.phase === phase ? now - askedAt.at : null;
+        // The next try (or the next question) is timed from this answer
+        askedAt = { levelId: level.id, phase: correct && nextPhase !== TURN_PHASES.RESOLVED ? nextPhase : phase, at: now };
+        game.recordAttempt({
+            at: now,
+            levelId: level.id,
+            phase: question,
+            choice,
+            correct,
+            answerMs,
+            hints: turn.hints.filter(h => h.phase === question).map(h => h.type),
+        });
+        game.emit(GAME_EVENTS.ANSWER_SUBMITTED, { levelId: level.id, phase, choice, correct, answerMs });
+
+        if (!correct) {
+            turn.triedChoices.push(choice);
+            if (question === QUESTION_TYPES.ROOT) {
+                turn.rootFirstTry = false;
+                game.handleRootFailure(level.id);
+            } else if (question === QUESTION_TYPES.POS) {
+                turn.posFirstTry = false;
+                game.handlePOSFailure(level.id);
+            } else {
+                if (!turn.missedQuestions.includes(question)) turn.missedQuestions.push(question);
+                game.handleMorphologyFailure(question, level.id);
+            }
+            return { correct: false, phase: turn.phase, wasPerfect: null };
+        }
+
+        if (nextPhase !== TURN_PHASES.RESOLVED) {
+            if (question === QUESTION_TYPES.ROOT) {
+                game.handleRootSuccess();
+            } else {
+                game.handleMorphologySuccess(question);
+            }
+            turn.phase = nextPhase;
+            turn.triedChoices = [];
+            turn.eliminatedChoices = [];
+            return { correct: true, phase: turn.phase, wasPerfect: null };
+        }
+
+        // POS question, the last one
+        const wasPerfect = isPerfectTurn(turn);
+        game.handlePOSSuccess(wasPerfect);
+        turn.phase = TURN_PHASES.RESOLVED;
+        turn.triedChoices = [];
+        turn.eliminatedChoices = [];
+        game.emit(GAME_EVENTS.TURN_RESOLVED, { levelId: level.id, wasPerfect });
+        return { correct: true, phase: turn.phase, wasPerfect };
+    }
+
+    /**
+     * Buys a hint for the current question.
+     * @param {string} type - One of HINT_TYPES (see hints.js).
+     * @returns {{success: boolean, message: string, hint?: import('./hints.js').Hint}}
+     *   On success the message is the hint itself.
+     * @throws {TurnError} If the turn is resolved.
+     */
+    function useHint(type) {
+        const turn = currentTurn();
+        const level = game.getCurrentLevel();
+        if (turn.phase === TURN_PHASES.RESOLVED) {
+            throw new TurnError('TURN_RESOLVED', `${level.fullWord} is already finished. Call nextWord() to continue.`);
+        }
+
+        const context = {
+            phase: questionOf(turn),
+            answer: getQuestionAnswer(level, questionOf(turn)),
+            choices: getChoices(),
+            triedChoices: turn.triedChoices,
+            usedHints: turn.hints,
+        };
+        const problem = describeHintProblem(type, level, context);
+        if (problem) {
+            return { success: false, message: problem };
+        }
+        const hint = buildHint(type, level, context);
+        const unpaid = game.payForHint(hint, level.id);
+        if (unpaid) {
+            return { success: false, message: unpaid };
+        }
+
+        turn.hints.push({ type, phase: hint.phase });
+        if (hint.eliminatedChoice) {
+            turn.eliminatedChoices.push(hint.eliminatedChoice);
+        }
+        game.emit(GAME_EVENTS.HINT_USED, { levelId: level.id, type, phase: hint.phase, cost: hint.cost });
+        return { success: true, message: hint.message, hint };
+    }
+
+    /**
+     * Moves on from a resolved turn to the next word.
+     * @returns {import('./game_data_model.js').Level} The next level to play.
+     * @throws {TurnError} If the current word has not been answered yet.
+     */
+    function nextWord() {
+        const turn = currentTurn();
+        if (turn.phase !== TURN_PHASES.RESOLVED) {
+            throw new TurnError('TURN_NOT_RESOLVED', 'Finish the current word before moving on.');
+        }
+        game.advanceLevel(isPerfectTurn(turn));
+        game.getState().turn = null;
+        currentTurn();
+        return game.getCurrentLevel();
+    }
+
+    return {
+        /** @returns {TurnState} A copy of the current turn. */
+        getTurn: () => structuredClone(currentTurn()),
+        getChoices,
+        submitAnswer,
+        useHint,
+        nextWord,
+    };
+}
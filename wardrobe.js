@@ -0,0 +1,81 @@
+// wardrobe.js
+//
+// Equipping and unequipping owned cosmetics. Each cosmetic belongs to one
+// avatar slot (declared as { slot } in shop_items.js); a slot holds at most
+// one item, and equipping a new one swaps out whatever was there.
+
+import { ITEM_SLOTS, getItemSlot } from './item_effects.js';
+
+/**
+ * The player's cosmetics, for avatar and wardrobe rendering.
+ * @typedef {object} WardrobeView
+ * @property {Object<string, string | null>} slots - Equipped item ID per slot (see ITEM_SLOTS).
+ * @property {{item: import('./shop_items.js').ShopItem, slot: string, equipped: boolean}[]} owned - Every owned cosmetic.
+ */
+
+/**
+ * Creates the wardrobe for one game. Results are { success, message }, like buyItem().
+ * @param {object} options
+ * @param {() => import('./game_data_model.js').GameState} options.getState - Returns the live GameState.
+ * @param {import('./shop_items.js').ShopItem[]} options.shopItems - The shop catalogue.
+ * @returns {object} { getWardrobe, equipItem, unequipSlot }
+ */
+export function createWardrobe({ getState, shopItems }) {
+    /** @returns {WardrobeView} */
+    function getWardrobe() {
+        const { inventory } = getState();
+        const slots = Object.fromEntries(ITEM_SLOTS.map(slot => [slot, inventory[slot]]));
+        const owned = inventory.ownedItems
+            .map(id => shopItems.find(item => item.id === id))
+            .filter(Boolean)
+            .map(item => {
+                const slot = getItemSlot(item);
+                return { item, slot, equipped: inventory[slot] === item.id };
+            });
+        return { slots, owned };
+    }
+
+    /**
+     * Wears an owned cosmetic, replacing whatever is in its slot.
+     * @param {string} itemId
+     * @returns {{success: boolean, message: string, slot?: string, replacedItemId?: string | null}}
+     */
+    function equipItem(itemId) {
+        const { inventory } = getState();
+        const item = shopItems.find(i => i.id === itemId);
+        const slot = item && getItemSlot(item);
+        if (!slot) {
+            return { success: false, message: 'Error: That item cannot be worn.' };
+        }
+        if (!inventory.ownedItems.includes(item.id)) {
+            return { success: false, message: `You don't own the ${item.name} yet.` };
+        }
+        if (inventory[slot] === item.id) {
+            return { success: false, message: `You are already wearing the ${item.name}.` };
+        }
+        const replacedItemId = inventory[slot];
+        inventory[slot] = item.id;
+        return { success: true, message: `${item.name} equipped!`, slot, replacedItemId };
+    }
+
+    /**
+     * Takes off whatever is worn in a slot.
+     * @param {string} slot - One of ITEM_SLOTS.
+     * @returns {{success: boolean, message: string, itemId?: string}}
+     */
+    function unequipSlot(slot) {
+        const { inventory } = getState();
+        if (!ITEM_SLOTS.includes(slot)) {
+            return { success: false, message: `Error: Unknown slot ${slot}.` };
+        }
+        const itemId = inventory[slot];
+        if (itemId === null) {
+            return { success: false, message: `Nothing is equipped in the ${slot} slot.` };
+        }
+        inventory[slot] = null;
+        const item = shopItems.find(i => i.id === itemId);
+        return { success: true, message: `${item?.name || itemId} unequipped.`, itemId };
+    }
+
+    return { getWardrobe, equipItem, unequipSlot };
+}
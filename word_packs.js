@@ -0,0 +1,407 @@
+// word_packs.js
+//
+// Word packs: the external format for game content. A pack declares zones and
+// the levels inside them, as JSON or as a CSV spreadsheet, so teachers can add
+// their own weekly vocabulary without touching the code. Packs are validated
+// before they are turned into the ZONES array the game plays.
+
+import { describeUnlockRuleProblem } from './zone_progress.js';
+import { ORIGINS, QUESTION_DEFINITIONS, canAskQuestion, describeQuestionTypesProblem } from './question_types.js';
+
+// --- 1. PACK FORMAT ---
+
+/** Parts of speech a level (or POS decoy) may use. */
+export const PARTS_OF_SPEECH = Object.freeze(['Noun', 'Verb', 'Adjective', 'Adverb']);
+
+/**
+ * A zone as declared in a word pack.
+ * @typedef {object} WordPackZone
+ * @property {string} id - Unique zone identifier.
+ * @property {string} title - Name displayed on the map.
+ * @property {boolean} [isLocked] - Defaults to false for the first zone and true for the rest.
+ * @property {import('./zone_progress.js').UnlockRule} [unlock] - Mastery criteria for opening a locked zone.
+ * @property {string[]} [questionTypes] - The questions asked of each word, in order (root then pos if omitted).
+ * @property {import('./game_data_model.js').Level[]} levels - The words in this zone.
+ */
+
+/**
+ * A complete word pack.
+ * JSON packs use this shape directly. CSV packs have one level per row with the header
+ * `zoneId,zoneTitle,id,fullWord,root,decoys,pos,posDecoys`, where the two decoy
+ * columns list their choices separated by `|` (e.g., `Abl|Tion`). The optional columns
+ * `prefix,suffix,rootMeaning,origin` carry the etymology data; zones read from CSV ask the
+ * default questions.
+ * @typedef {object} WordPack
+ * @property {string} id - Unique pack identifier (e.g., 'week-12').
+ * @property {string} title - Display name of the pack.
+ * @property {WordPackZone[]} zones - Zones in map order.
+ */
+
+/**
+ * A single problem found by the validator.
+ * @typedef {object} WordPackIssue
+ * @property {'error'|'warning'} severity - Errors stop the pack from loading; warnings do not.
+ * @property {string} path - Where the problem is (e.g., 'zones[1].levels[3].decoys').
+ * @property {string} message - Human-readable description.
+ */
+
+const CSV_COLUMNS = ['zoneId', 'zoneTitle', 'id', 'fullWord', 'root', 'decoys', 'pos', 'posDecoys'];
+const CSV_OPTIONAL_COLUMNS = ['prefix', 'suffix', 'rootMeaning', 'origin'];
+const CSV_LIST_SEPARATOR = '|';
+
+/**
+ * Thrown when a word pack cannot be parsed or has validation errors.
+ */
+export class WordPackError extends Error {
+    /**
+     * @param {string} message
+     * @param {WordPackIssue[]} [issues] - Every problem found.
+     */
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'WordPackError';
+        this.issues = issues;
+    }
+}
+
+
+// --- 2. PARSING ---
+
+/**
+ * Parses a JSON word pack.
+ * @param {string | object} source - JSON text, or an already-parsed object.
+ * @returns {WordPack}
+ */
+export function parseWordPackJson(source) {
+    if (typeof source !== 'string') {
+        return structuredClone(source);
+    }
+    try {
+        return JSON.parse(source);
+    } catch (e) {
+        throw new WordPackError(`Word pack is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain commas,
+ * newlines and doubled quotes).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses a CSV word pack (one level per row, see WordPack for the columns).
+ * @param {string} text - The CSV file contents.
+ * @param {object} [meta] - Pack details that a CSV file cannot carry.
+ * @param {string} [meta.id='csv-pack']
+ * @param {string} [meta.title='Imported Word Pack']
+ * @returns {WordPack}
+ */
+export function parseWordPackCsv(text, { id = 'csv-pack', title = 'Imported Word Pack' } = {}) {
+    const [header, ...rows] = parseCsvRows(text);
+    const columns = (header || []).map(name => name.trim());
+    const missing = CSV_COLUMNS.filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+        throw new WordPackError(`CSV word pack is missing columns: ${missing.join(', ')}.`);
+    }
+
+    const splitList = (value) => value.split(CSV_LIST_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    const pack = { id, title, zones: [] };
+
+    rows.forEach((values) => {
+        const cell = (name) => (values[columns.indexOf(name)] || '').trim();
+        const zoneId = cell('zoneId');
+
+        let zone = pack.zones.find(z => z.id === zoneId);
+        if (!zone) {
+            zone = { id: zoneId, title: cell('zoneTitle') || zoneId, levels: [] };
+            pack.zones.push(zone);
+        }
+
+        const level = {
+            id: cell('id') === '' ? null : Number(cell('id')),
+            fullWord: cell('fullWord'),
+            root: cell('root'),
+            decoys: splitList(cell('decoys')),
+            pos: cell('pos'),
+            posDecoys: splitList(cell('posDecoys')),
+        };
+        CSV_OPTIONAL_COLUMNS.filter(name => cell(name) !== '').forEach(name => { level[name] = cell(name); });
+        zone.levels.push(level);
+    });
+
+    return pack;
+}
+
+
+// --- 3. VALIDATION ---
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Checks a word pack for content mistakes.
+ * @param {WordPack} pack
+ * @returns {WordPackIssue[]} Every problem found (empty if the pack is clean).
+ */
+export function validateWordPack(pack) {
+    const issues = [];
+    const error = (path, message) => issues.push({ severity: 'error', path, message });
+    const warning = (path, message) => issues.push({ severity: 'warning', path, message });
+
+    if (pack === null || typeof pack !== 'object' || !Array.isArray(pack.zones)) {
+        error('zones', 'A word pack must be an object with a zones list.');
+        return issues;
+    }
+    if (pack.zones.length === 0) {
+        error('zones', 'The pack has no zones.');
+    }
+
+    const zoneIds = new Set();
+    const levelIds = new Map(); // level ID -> path of its first use
+
+    pack.zones.forEach((zone, zoneIndex) => {
+        const zonePath = `zones[${zoneIndex}]`;
+
+        if (!isNonEmptyString(zone?.id)) {
+            error(`${zonePath}.id`, 'Zone is missing an id.');
+        } else if (zoneIds.has(zone.id)) {
+            error(`${zonePath}.id`, `Duplicate zone id "${zone.id}".`);
+        } else {
+            zoneIds.add(zone.id);
+        }
+        if (!isNonEmptyString(zone?.title)) {
+            error(`${zonePath}.title`, 'Zone is missing a title.');
+        }
+        if (zone?.unlock !== undefined) {
+            const problem = describeUnlockRuleProblem(zone.unlock);
+            if (problem) {
+                error(`${zonePath}.unlock`, problem);
+            }
+        }
+        if (zone?.questionTypes !== undefined) {
+            const problem = describeQuestionTypesProblem(zone.questionTypes);
+            if (problem) {
+                error(`${zonePath}.questionTypes`, problem);
+            }
+        }
+        if (!Array.isArray(zone?.levels)) {
+            error(`${zonePath}.levels`, 'Zone levels must be a list.');
+            return;
+        }
+        if (zone.levels.length === 0) {
+            warning(`${zonePath}.levels`, `Zone "${zone.id}" has no levels and will be skipped during play.`);
+        }
+
+        zone.levels.forEach((level, levelIndex) => {
+            const path = `${zonePath}.levels[${levelIndex}]`;
+
+            // Identity
+            if (!Number.isInteger(level?.id) || level.id <= 0) {
+                error(`${path}.id`, `Level id must be a positive whole number, got ${JSON.stringify(level?.id)}.`);
+            } else if (levelIds.has(level.id)) {
+                error(`${path}.id`, `Duplicate level id ${level.id} (already used at ${levelIds.get(level.id)}).`);
+            } else {
+                levelIds.set(level.id, path);
+            }
+
+            // Root question
+            if (!isNonEmptyString(level?.fullWord)) {
+                error(`${path}.fullWord`, 'Level is missing its fullWord.');
+            }
+            if (!isNonEmptyString(level?.root)) {
+                error(`${path}.root`, 'Level is missing its root.');
+            } else if (isNonEmptyString(level.fullWord)
+                && !level.fullWord.toLowerCase().includes(level.root.toLowerCase())) {
+                error(`${path}.root`, `Root "${level.root}" is not part of "${level.fullWord}".`);
+            }
+            // Decoys may be left out: choice_generator.js makes more from the word and the pack
+            if (!Array.isArray(level?.decoys) || !level.decoys.every(isNonEmptyString)) {
+                error(`${path}.decoys`, 'Root decoys must be a list of words (it may be empty).');
+            } else {
+                if (isNonEmptyString(level.root) && level.decoys.some(decoy => sameText(decoy, level.root))) {
+                    error(`${path}.decoys`, `Decoys repeat the answer "${level.root}".`);
+                }
+                if (new Set(level.decoys.map(decoy => decoy.toLowerCase())).size !== level.decoys.length) {
+                    warning(`${path}.decoys`, 'Decoys contain the same choice twice.');
+                }
+            }
+
+            // POS question
+            if (!PARTS_OF_SPEECH.includes(level?.pos)) {
+                error(`${path}.pos`, `Unknown part of speech ${JSON.stringify(level?.pos)} (expected ${PARTS_OF_SPEECH.join(', ')}).`);
+            }
+            if (!Array.isArray(level?.posDecoys)) {
+                error(`${path}.posDecoys`, 'POS decoys must be a list (it may be empty).');
+            } else {
+                level.posDecoys.forEach((decoy, i) => {
+                    if (!PARTS_OF_SPEECH.includes(decoy)) {
+                        error(`${path}.posDecoys[${i}]`, `Unknown part of speech ${JSON.stringify(decoy)}.`);
+                    } else if (decoy === level.pos) {
+                        error(`${path}.posDecoys[${i}]`, `POS decoy repeats the answer "${level.pos}".`);
+                    }
+                });
+            }
+
+            // Etymology (optional)
+            const word = isNonEmptyString(level?.fullWord) ? level.fullWord.toLowerCase() : null;
+            if (level?.prefix !== undefined) {
+                if (!isNonEmptyString(level.prefix)) {
+                    error(`${path}.prefix`, 'Prefix must be text.');
+                } else if (word && !word.startsWith(level.prefix.toLowerCase())) {
+                    error(`${path}.prefix`, `"${level.fullWord}" does not start with the prefix "${level.prefix}".`);
+                }
+            }
+            if (level?.suffix !== undefined) {
+                if (!isNonEmptyString(level.suffix)) {
+                    error(`${path}.suffix`, 'Suffix must be text.');
+                } else if (word && !word.endsWith(level.suffix.toLowerCase())) {
+                    error(`${path}.suffix`, `"${level.fullWord}" does not end with the suffix "${level.suffix}".`);
+                }
+            }
+            if (level?.rootMeaning !== undefined && !isNonEmptyString(level.rootMeaning)) {
+                error(`${path}.rootMeaning`, 'Root meaning must be text.');
+            }
+            if (level?.origin !== undefined && !ORIGINS.includes(level.origin)) {
+                error(`${path}.origin`, `Unknown origin ${JSON.stringify(level.origin)} (expected ${ORIGINS.join(', ')}).`);
+            }
+
+            // Questions the zone asks but this word has no data for are skipped
+            if (Array.isArray(zone.questionTypes) && isNonEmptyString(level?.root) && word) {
+                zone.questionTypes.filter(type => QUESTION_DEFINITIONS[type] && !canAskQuestion(level, type)).forEach(type => {
+                    warning(path, `"${level.fullWord}" has no ${QUESTION_DEFINITIONS[type].requires.join(' or ')} and will skip the ${type} question.`);
+                });
+            }
+        });
+    });
+
+    // New games start in the first zone, so it must have something to play
+    const firstZone = pack.zones[0];
+    if (firstZone && Array.isArray(firstZone.levels) && firstZone.levels.length === 0) {
+        error('zones[0].levels', 'The first zone is where new games start, so it needs at least one level.');
+    }
+
+    return issues;
+}
+
+
+// --- 4. LOADING ---
+
+/**
+ * Turns a validated pack into the Zone[] structure used by the game.
+ * Zones without levels are kept (for the map) but can never be entered.
+ * @param {WordPack} pack
+ * @returns {import('./game_data_model.js').Zone[]}
+ */
+export function buildZones(pack) {
+    return pack.zones.map((zone, zoneIndex) => ({
+        id: zone.id,
+        title: zone.title,
+        levels: zone.levels.map(({ id, fullWord, root, decoys, pos, posDecoys, prefix, suffix, rootMeaning, origin }) => ({
+            id, fullWord, root, decoys: [...decoys], pos, posDecoys: [...posDecoys],
+            ...(prefix !== undefined && { prefix }),
+            ...(suffix !== undefined && { suffix }),
+            ...(rootMeaning !== undefined && { rootMeaning }),
+            ...(origin !== undefined && { origin }),
+        })),
+        isLocked: typeof zone.isLocked === 'boolean' ? zone.isLocked : zoneIndex > 0,
+        ...(zone.unlock ? { unlock: { ...zone.unlock } } : {}),
+        ...(zone.questionTypes ? { questionTypes: [...zone.questionTypes] } : {}),
+    }));
+}
+
+/**
+ * Combines several packs (e.g., the built-in words plus a teacher's weekly pack) into one.
+ * Zones are appended in order; the result still needs validating.
+ * @param {WordPack[]} packs
+ * @param {object} [meta]
+ * @param {string} [meta.id='combined']
+ * @param {string} [meta.title='Combined Word Packs']
+ * @returns {WordPack}
+ */
+export function combineWordPacks(packs, { id = 'combined', title = 'Combined Word Packs' } = {}) {
+    return { id, title, zones: packs.flatMap(pack => structuredClone(pack.zones)) };
+}
+
+/**
+ * Parses, validates and builds a word pack in one step.
+ * @param {string | WordPack} source - JSON text, CSV text, or a pack object.
+ * @param {object} [options]
+ * @param {'json'|'csv'} [options.format] - Detected from the source when omitted.
+ * @param {string} [options.id] - Pack id for CSV sources.
+ * @param {string} [options.title] - Pack title for CSV sources.
+ * @returns {{pack: WordPack, zones: import('./game_data_model.js').Zone[], issues: WordPackIssue[]}}
+ * @throws {WordPackError} If the pack cannot be parsed or has errors (issues are attached).
+ */
+export function loadWordPack(source, { format, id, title } = {}) {
+    const detectedFormat = format
+        || (typeof source !== 'string' || source.trim().startsWith('{') ? 'json' : 'csv');
+    const pack = detectedFormat === 'csv'
+        ? parseWordPackCsv(source, { id, title })
+        : parseWordPackJson(source);
+
+    const issues = validateWordPack(pack);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+        throw new WordPackError(
+            `Word pack has ${errors.length} error(s): ${errors.map(e => `${e.path}: ${e.message}`).join(' ')}`,
+            issues
+        );
+    }
+
+    return { pack, zones: buildZones(pack), issues };
+}
+
+/**
+ * Loads a word pack file under Node (.json or .csv).
+ * @param {string} filePath
+ * @returns {Promise<{pack: WordPack, zones: import('./game_data_model.js').Zone[], issues: WordPackIssue[]}>}
+ */
+export async function loadWordPackFile(filePath) {
+    const fs = await import('node:fs');
+    const text = fs.readFileSync(filePath, 'utf8');
+    const format = filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    const fileName = filePath.split(/[\\/]/).pop().replace(/\.(csv|json)$/i, '');
+    return loadWordPack(text, { format, id: fileName, title: fileName });
+}
@@ -0,0 +1,161 @@
+// zone_progress.js
+//
+// Per-player zone progress: how each word was answered most recently, and the
+// mastery rules a locked zone needs before it opens. Zones marked
+// isLocked: false are always open; locked zones open once their unlock rule is
+// met, and stay open for that player from then on.
+
+// --- 1. UNLOCK RULES ---
+
+/**
+ * Mastery criteria a locked zone declares (all present criteria must be met).
+ * @typedef {object} UnlockRule
+ * @property {number} [minPerfectRatio] - Share (0-1) of the previous zone's words whose latest attempt was perfect.
+ * @property {number} [maxReviewWords] - Most of the previous zone's missed words allowed to be still outstanding:
+ *   not recalled since the last miss, or due for review again. Full mastery is not needed.
+ * @property {number} [minHealth] - Lowest garden health allowed (0-100).
+ */
+
+/**
+ * The latest results for one word.
+ * @typedef {object} LevelResult
+ * @property {number} attempts - How many times the word has been finished.
+ * @property {number} perfectCount - How many of those were perfect.
+ * @property {boolean} lastPerfect - Whether the most recent attempt was perfect.
+ */
+
+/**
+ * One criterion of an unlock rule, checked against the player's progress.
+ * @typedef {object} UnlockRequirement
+ * @property {'minPerfectRatio'|'maxReviewWords'|'minHealth'} rule
+ * @property {number} required
+ * @property {number} actual
+ * @property {boolean} met
+ * @property {string} message - Child-friendly description, e.g. 'Answer 80% of the words perfectly'.
+ */
+
+/** Used for locked zones that do not declare their own rule. */
+export const DEFAULT_UNLOCK_RULE = Object.freeze({
+    minPerfectRatio: 0.8,
+    maxReviewWords: 2,
+    minHealth: 50,
+});
+
+export const UNLOCK_RULE_KEYS = Object.freeze(Object.keys(DEFAULT_UNLOCK_RULE));
+
+
+// --- 2. PROGRESS TRACKING ---
+
+/**
+ * Records the outcome of a finished word.
+ * @param {Object<string, LevelResult>} levelResults - Results keyed by level ID (updated in place).
+ * @param {number} levelId
+ * @param {boolean} wasPerfect
+ */
+export function recordLevelResult(levelResults, levelId, wasPerfect) {
+    const result = levelResults[levelId] || { attempts: 0, perfectCount: 0, lastPerfect: false };
+    result.attempts++;
+    if (wasPerfect) result.perfectCount++;
+    result.lastPerfect = wasPerfect;
+    levelResults[levelId] = result;
+}
+
+/**
+ * Share of a zone's words whose latest attempt was perfect.
+ * @param {import('./game_data_model.js').Zone} zone
+ * @param {Object<string, LevelResult>} levelResults
+ * @returns {number} 0-1 (0 for an empty zone).
+ */
+export function getPerfectRatio(zone, levelResults) {
+    if (zone.levels.length === 0) return 0;
+    const perfect = zone.levels.filter(level => levelResults[level.id]?.lastPerfect).length;
+    return perfect / zone.levels.length;
+}
+
+
+// --- 3. UNLOCK CHECKS ---
+
+/**
+ * Checks a zone's unlock rule against the player's progress.
+ * @param {import('./game_data_model.js').Zone[]} zones - All zones, in map order.
+ * @param {string} zoneId - The zone to check.
+ * @param {import('./game_data_model.js').GameState} state
+ * @param {number} now - Current time (ms since epoch), for review due dates.
+ * @returns {{unlocked: boolean, requirements: UnlockRequirement[]}}
+ *   unlocked is true if the zone is already open for this player; requirements list
+ *   each criterion of the rule and whether it is currently met.
+ */
+export function checkZoneUnlock(zones, zoneId, state, now) {
+    const zoneIndex = zones.findIndex(z => z.id === zoneId);
+    const zone = zones[zoneIndex];
+    const unlocked = !zone.isLocked || state.unlockedZoneIds.includes(zone.id);
+    const rule = zone.unlock || DEFAULT_UNLOCK_RULE;
+    const previousZone = zones[zoneIndex - 1];
+    const requirements = [];
+
+    if (rule.minPerfectRatio !== undefined) {
+        const actual = previousZone ? getPerfectRatio(previousZone, state.levelResults) : 1;
+        requirements.push({
+            rule: 'minPerfectRatio',
+            required: rule.minPerfectRatio,
+            actual,
+            met: actual >= rule.minPerfectRatio,
+            message: `Answer ${Math.round(rule.minPerfectRatio * 100)}% of the words in ${previousZone?.title || 'the previous zone'} perfectly`,
+        });
+    }
+    if (rule.maxReviewWords !== undefined) {
+        // A word missed just now counts until it is recalled once; after that only when it is due again
+        const cards = (previousZone?.levels || []).map(level => state.reviewSchedule[level.id])
+            .filter(card => card && card.masteredAt === null);
+        const actual = cards.filter(card => card.repetitions === 0 || card.dueAt <= now).length;
+        const zoneTitle = previousZone?.title || 'the previous zone';
+        requirements.push({
+            rule: 'maxReviewWords',
+            required: rule.maxReviewWords,
+            actual,
+            met: actual <= rule.maxReviewWords,
+            message: rule.maxReviewWords === 0
+                ? `Review every word you missed in ${zoneTitle}`
+                : `Have no more than ${rule.maxReviewWords} missed words in ${zoneTitle} waiting for review`,
+        });
+    }
+    if (rule.minHealth !== undefined) {
+        const actual = state.gardenHealth;
+        requirements.push({
+            rule: 'minHealth',
+            required: rule.minHealth,
+            actual,
+            met: actual >= rule.minHealth,
+            message: `Keep your garden health at ${rule.minHealth} or more`,
+        });
+    }
+
+    return { unlocked, requirements };
+}
+
+/**
+ * Checks whether an unlock rule is valid (used by the word pack validator).
+ * @param {any} rule
+ * @returns {string | null} A description of the problem, or null if the rule is fine.
+ */
+export function describeUnlockRuleProblem(rule) {
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'Unlock rule must be an object.';
+    }
+    const unknownKeys = Object.keys(rule).filter(key => !UNLOCK_RULE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        return `Unknown unlock criteria: ${unknownKeys.join(', ')} (expected ${UNLOCK_RULE_KEYS.join(', ')}).`;
+    }
+    if (rule.minPerfectRatio !== undefined
+        && !(typeof rule.minPerfectRatio === 'number' && rule.minPerfectRatio >= 0 && rule.minPerfectRatio <= 1)) {
+        return 'minPerfectRatio must be a number from 0 to 1.';
+    }
+    if (rule.maxReviewWords !== undefined && !(Number.isInteger(rule.maxReviewWords) && rule.maxReviewWords >= 0)) {
+        return 'maxReviewWords must be a whole number of 0 or more.';
+    }
+    if (rule.minHealth !== undefined
+        && !(typeof rule.minHealth === 'number' && rule.minHealth >= 0 && rule.minHealth <= 100)) {
+        return 'minHealth must be a number from 0 to 100.';
+    }
+    return null;
+}